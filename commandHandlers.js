@@ -1,13 +1,31 @@
 // commandHandlers.js - Functions for handling all extension commands
 const vscode = require("vscode");
+const path = require("path");
 const {
   findTranslationKey,
-  findTranslationFiles,
   getNestedProperty,
   flattenKeys,
   setNestedProperty,
-  writeToJsonFile,
+  deleteNestedProperty,
+  readTranslationFile,
+  writeTranslationFile,
+  saveFiles,
 } = require("./utils/translationUtils");
+const {
+  findTranslationFiles,
+  refreshTranslationFile,
+  updateTranslationFile,
+} = require("./utils/translationIndex");
+const {
+  getConfiguredFunctionName,
+  getNamespaceAt,
+} = require("./utils/callUtils");
+const { createRenameEdit } = require("./renameProvider");
+const {
+  scanWorkspaceUsages,
+  collectUsedKeys,
+  isKeyUsed,
+} = require("./utils/usageUtils");
 
 /**
  * Command handler to show translations for the key under cursor
@@ -112,17 +130,15 @@ async function insertTranslationKey() {
 
   try {
     // Find translation files
-    const { translations } = await findTranslationFiles();
+    const { translations, referenceLanguage } = await findTranslationFiles();
 
     if (Object.keys(translations).length === 0) {
       vscode.window.showErrorMessage("No translation files found");
       return;
     }
 
-    // Get a reference language (usually English)
-    const referenceLang = Object.keys(translations).includes("en")
-      ? "en"
-      : Object.keys(translations)[0];
+    // Get the reference language (the default locale, usually English)
+    const referenceLang = referenceLanguage;
 
     // Create a flattened list of all keys
     const allKeys = flattenKeys(translations[referenceLang]);
@@ -142,13 +158,7 @@ async function insertTranslationKey() {
     );
 
     if (selectedKey) {
-      // Insert t("selected.key") at current position
-      editor.edit((editBuilder) => {
-        editBuilder.insert(
-          editor.selection.active,
-          `t("${selectedKey.label}")`
-        );
-      });
+      await insertKeyAtCursor(editor, selectedKey.label);
     }
   } catch (error) {
     vscode.window.showErrorMessage(`Error: ${error.message}`);
@@ -184,6 +194,79 @@ async function addTranslationKey() {
   }
 }
 
+/**
+ * Command handler to find translation keys that aren't used anywhere in the
+ * workspace and delete the selected ones from all translation files
+ */
+async function findUnusedKeys() {
+  try {
+    const { translations, translationFilePaths, referenceLanguage } =
+      await findTranslationFiles();
+
+    if (Object.keys(translations).length === 0) {
+      vscode.window.showErrorMessage("No translation files found");
+      return;
+    }
+
+    // Scan all source files for translation calls
+    const unusedKeys = await vscode.window.withProgress(
+      {
+        location: vscode.ProgressLocation.Notification,
+        title: "Scanning workspace for translation keys",
+        cancellable: true,
+      },
+      async (progress, token) => {
+        const usages = await scanWorkspaceUsages(token);
+        const used = collectUsedKeys(usages);
+
+        return flattenKeys(translations[referenceLanguage]).filter(
+          (entry) => !isKeyUsed(entry.key, used)
+        );
+      }
+    );
+
+    if (unusedKeys.length === 0) {
+      vscode.window.showInformationMessage("No unused translation keys found");
+      return;
+    }
+
+    // Let the user review which keys to delete
+    const selectedKeys = await vscode.window.showQuickPick(
+      unusedKeys.map((entry) => ({
+        label: entry.key,
+        description: `${entry.value}`,
+      })),
+      {
+        placeHolder: `${unusedKeys.length} unused keys found. Select the keys to delete from all translation files`,
+        canPickMany: true,
+        matchOnDescription: true,
+      }
+    );
+
+    if (!selectedKeys || selectedKeys.length === 0) {
+      return; // User cancelled
+    }
+
+    const deleteOption = "Delete";
+    const response = await vscode.window.showWarningMessage(
+      `Delete ${selectedKeys.length} keys from all translation files?`,
+      { modal: true },
+      deleteOption
+    );
+
+    if (response !== deleteOption) {
+      return;
+    }
+
+    await deleteTranslationKeys(
+      selectedKeys.map((item) => item.label),
+      translationFilePaths
+    );
+  } catch (error) {
+    vscode.window.showErrorMessage(`Error: ${error.message}`);
+  }
+}
+
 /**
  * Command handler to add a translation key from hover
  * @param {string} translationKey - The translation key to add
@@ -200,6 +283,238 @@ async function addTranslationKeyFromHover(
   }
 }
 
+/**
+ * Command handler to add a key with a known value, e.g. text extracted from a
+ * component, to the reference locale. The other locales are left for the
+ * translators, with the missing translation diagnostics pointing them out.
+ * @param {string} translationKey - The translation key to add
+ * @param {string} value - The value in the reference locale
+ * @param {Object} [translationFilePaths] - Paths to translation files by language
+ * @returns {Promise<boolean>} True if the reference locale has the key with
+ *   this value afterwards
+ */
+async function addTranslationKeyWithValue(
+  translationKey,
+  value,
+  translationFilePaths
+) {
+  try {
+    const index = await findTranslationFiles();
+    const filePaths = translationFilePaths || index.translationFilePaths;
+    const filePath = filePaths[index.referenceLanguage];
+
+    if (!filePath) {
+      vscode.window.showErrorMessage("No reference translation file found");
+      return false;
+    }
+
+    const content = await readTranslationFile(filePath);
+    const existingValue = getNestedProperty(content, translationKey);
+    if (existingValue === value) {
+      return true;
+    }
+    if (existingValue !== undefined) {
+      vscode.window.showErrorMessage(
+        `"${translationKey}" already exists in ${index.referenceLanguage} with a different value`
+      );
+      return false;
+    }
+
+    setNestedProperty(content, translationKey, value);
+    await writeTranslationFile(filePath, content);
+    await refreshTranslationFile(filePath);
+    return true;
+  } catch (error) {
+    vscode.window.showErrorMessage(`Error: ${error.message}`);
+    return false;
+  }
+}
+
+/**
+ * Command handler to add missing translations from hover
+ * @param {string} translationKey - The translation key
+ * @param {Object} existingTranslations - Existing translations by language
+ * @param {string[]} missingLangs - Languages where the translation is missing
+ * @param {Object} translationFilePaths - Paths to translation files by language
+ */
+async function addMissingTranslationsFromHover(
+  translationKey,
+  existingTranslations,
+  missingLangs,
+  translationFilePaths
+) {
+  try {
+    await addMissingTranslations(
+      translationKey,
+      existingTranslations,
+      missingLangs,
+      translationFilePaths
+    );
+  } catch (error) {
+    vscode.window.showErrorMessage(`Error: ${error.message}`);
+  }
+}
+
+/**
+ * Command handler to copy a key from the translation keys view
+ * @param {{key: string}} node - The selected tree node
+ */
+async function copyTranslationKey(node) {
+  await vscode.env.clipboard.writeText(node.key);
+  vscode.window.setStatusBarMessage(`Copied "${node.key}"`, 3000);
+}
+
+/**
+ * Command handler to insert a key from the translation keys view at the cursor
+ * @param {{key: string}} node - The selected tree node
+ */
+async function insertTranslationKeyFromTree(node) {
+  const editor = vscode.window.activeTextEditor;
+  if (!editor) {
+    vscode.window.showInformationMessage("No active editor");
+    return;
+  }
+
+  await insertKeyAtCursor(editor, node.key);
+}
+
+/**
+ * Command handler to add a key below a namespace in the translation keys view
+ * @param {{key: string}} [node] - The selected tree node, or nothing for a top-level key
+ */
+async function addChildTranslationKey(node) {
+  try {
+    const { translationFilePaths } = await findTranslationFiles();
+
+    const name = await vscode.window.showInputBox({
+      prompt: node
+        ? `Enter the key to add below "${node.key}"`
+        : "Enter the translation key (e.g., timeEntry.form.newKey)",
+      placeHolder: node ? "newKey" : "timeEntry.form.newKey",
+    });
+
+    if (!name) {
+      return; // User cancelled
+    }
+
+    const translationKey = node ? `${node.key}.${name.trim()}` : name.trim();
+    await addNewTranslationKey(translationKey, translationFilePaths);
+  } catch (error) {
+    vscode.window.showErrorMessage(`Error: ${error.message}`);
+  }
+}
+
+/**
+ * Command handler to rename a key from the translation keys view, updating
+ * every locale file and every call in the code
+ * @param {{key: string}} node - The selected tree node
+ */
+async function renameTranslationKey(node) {
+  try {
+    const newKey = await vscode.window.showInputBox({
+      prompt: `Rename "${node.key}" to`,
+      value: node.key,
+      valueSelection: [node.key.lastIndexOf(".") + 1, node.key.length],
+    });
+
+    if (!newKey || newKey.trim() === node.key) {
+      return; // User cancelled
+    }
+
+    const edit = await createRenameEdit(node.key, newKey.trim());
+
+    // Save the changed locale files so the index and the other views pick up
+    // the change, except files with unsaved changes, which stay unsaved
+    const { translationFilePaths } = await findTranslationFiles();
+    const localePaths = Object.values(translationFilePaths).map((localePath) =>
+      path.resolve(localePath)
+    );
+    const isLocaleFile = (uri) =>
+      localePaths.includes(uri.fsPath) ||
+      localePaths.includes(path.dirname(uri.fsPath));
+    const isDirty = (uri) =>
+      vscode.workspace.textDocuments.some(
+        (document) => document.uri.fsPath === uri.fsPath && document.isDirty
+      );
+    const urisToSave = edit
+      .entries()
+      .map(([uri]) => uri)
+      .filter((uri) => isLocaleFile(uri) && !isDirty(uri));
+
+    if (!(await vscode.workspace.applyEdit(edit))) {
+      vscode.window.showErrorMessage(`Failed to rename "${node.key}"`);
+      return;
+    }
+    await saveFiles(urisToSave);
+  } catch (error) {
+    vscode.window.showErrorMessage(`Error: ${error.message}`);
+  }
+}
+
+/**
+ * Command handler to delete a key (or namespace) from all translation files
+ * @param {{key: string}} node - The selected tree node
+ */
+async function deleteTranslationKey(node) {
+  try {
+    const { translationFilePaths } = await findTranslationFiles();
+
+    const deleteOption = "Delete";
+    const response = await vscode.window.showWarningMessage(
+      `Delete "${node.key}" from all translation files?`,
+      { modal: true },
+      deleteOption
+    );
+
+    if (response !== deleteOption) {
+      return;
+    }
+
+    await deleteTranslationKeys([node.key], translationFilePaths);
+  } catch (error) {
+    vscode.window.showErrorMessage(`Error: ${error.message}`);
+  }
+}
+
+/**
+ * Helper function to insert t("key") at the cursor, relative to the
+ * namespace of the translation function in scope. Keys the function can't
+ * reach aren't inserted.
+ * @param {vscode.TextEditor} editor - The editor to insert into
+ * @param {string} translationKey - The full translation key
+ * @param {boolean} [braces] - Whether to wrap the call in braces for JSX
+ */
+async function insertKeyAtCursor(editor, translationKey, braces = false) {
+  const functionName = getConfiguredFunctionName();
+  const namespace = getNamespaceAt(
+    editor.document.getText(),
+    functionName,
+    editor.document.offsetAt(editor.selection.active)
+  );
+
+  if (namespace === null) {
+    vscode.window.showWarningMessage(
+      `The namespace of ${functionName} here isn't known, so "${translationKey}" can't be inserted`
+    );
+    return;
+  }
+  if (namespace && !translationKey.startsWith(`${namespace}.`)) {
+    vscode.window.showWarningMessage(
+      `"${translationKey}" isn't in the namespace "${namespace}" of ${functionName} here`
+    );
+    return;
+  }
+
+  const key = namespace
+    ? translationKey.substring(namespace.length + 1)
+    : translationKey;
+  const call = `${functionName}("${key}")`;
+
+  await editor.edit((editBuilder) => {
+    editBuilder.insert(editor.selection.active, braces ? `{${call}}` : call);
+  });
+}
+
 /**
  * Helper function to add a new translation key to all files
  * @param {string} translationKey - The translation key to add
@@ -226,7 +541,8 @@ async function addNewTranslationKey(translationKey, translationFilePaths) {
       );
 
       if (modified) {
-        await writeToJsonFile(filePath, content);
+        await writeTranslationFile(filePath, content);
+        await refreshTranslationFile(filePath);
       }
     } catch (error) {
       vscode.window.showErrorMessage(
@@ -240,6 +556,33 @@ async function addNewTranslationKey(translationKey, translationFilePaths) {
   );
 }
 
+/**
+ * Helper function to delete keys from all translation files
+ * @param {string[]} translationKeys - The translation keys to delete
+ * @param {Object} translationFilePaths - Paths to translation files by language
+ */
+async function deleteTranslationKeys(translationKeys, translationFilePaths) {
+  for (const [lang, filePath] of Object.entries(translationFilePaths)) {
+    try {
+      await updateTranslationFile(filePath, (content) => {
+        let modified = false;
+        for (const key of translationKeys) {
+          modified = deleteNestedProperty(content, key) || modified;
+        }
+        return modified;
+      });
+    } catch (error) {
+      vscode.window.showErrorMessage(
+        `Failed to delete keys from ${lang} file: ${error.message}`
+      );
+    }
+  }
+
+  vscode.window.showInformationMessage(
+    `Deleted ${translationKeys.length} keys from all translation files`
+  );
+}
+
 /**
  * Helper function to add missing translations for a key
  * @param {string} translationKey - The translation key
@@ -277,7 +620,8 @@ async function addMissingTranslations(
       );
 
       if (modified) {
-        await writeToJsonFile(filePath, content);
+        await writeTranslationFile(filePath, content);
+        await refreshTranslationFile(filePath);
       }
     } catch (error) {
       vscode.window.showErrorMessage(
@@ -299,12 +643,7 @@ async function addMissingTranslations(
  * @returns {Object} - Object containing the modified content and a flag if modified
  */
 async function addKeyToTranslationFile(filePath, key, value) {
-  const fs = require("fs");
-  const util = require("util");
-  const readFile = util.promisify(fs.readFile);
-
-  const fileContent = await readFile(filePath, "utf8");
-  const content = JSON.parse(fileContent);
+  const content = await readTranslationFile(filePath);
 
   // Check if key already exists
   const existingValue = getNestedProperty(content, key);
@@ -322,5 +661,14 @@ module.exports = {
   showTranslation,
   insertTranslationKey,
   addTranslationKey,
+  findUnusedKeys,
   addTranslationKeyFromHover,
+  addTranslationKeyWithValue,
+  addMissingTranslationsFromHover,
+  copyTranslationKey,
+  insertTranslationKeyFromTree,
+  addChildTranslationKey,
+  renameTranslationKey,
+  deleteTranslationKey,
+  insertKeyAtCursor,
 };
@@ -1,9 +1,156 @@
 // completionProvider.js - Provides autocomplete suggestions for translation keys
 const vscode = require("vscode");
-const {
-  findTranslationFiles,
-  flattenKeys,
-} = require("./utils/translationUtils");
+const { flattenKeys, getNestedProperty } = require("./utils/translationUtils");
+const { findTranslationFiles } = require("./utils/translationIndex");
+const { getNamespaceAt, isTranslationFunction } = require("./utils/callUtils");
+const { parseMessage, getMessageSignature } = require("./utils/icuUtils");
+
+/**
+ * Get the arguments and tags of a message
+ * @param {*} value - The message in the reference language
+ * @returns {{arguments: Array, tags: string[]}|null} Argument names with their
+ *   type and the tag names, or null if the message has neither
+ */
+function getMessageParameters(value) {
+  if (typeof value !== "string") return null;
+
+  const { ast } = parseMessage(value);
+  if (!ast) return null;
+
+  const signature = getMessageSignature(ast);
+  if (signature.arguments.size === 0 && signature.tags.size === 0) {
+    return null;
+  }
+
+  return {
+    arguments: Array.from(signature.arguments),
+    tags: Array.from(signature.tags),
+  };
+}
+
+/**
+ * Render a message with its arguments and tags for the completion details
+ * @param {string} referenceLang - The reference language
+ * @param {*} value - The message
+ * @returns {vscode.MarkdownString} The documentation
+ */
+function createMessageDocumentation(referenceLang, value) {
+  const documentation = new vscode.MarkdownString(
+    `**${referenceLang}:** ${value}`
+  );
+
+  const parameters = getMessageParameters(value);
+  if (parameters) {
+    for (const [name, type] of parameters.arguments) {
+      documentation.appendMarkdown(`\n\n- \`{${name}}\` ${type}`);
+    }
+    for (const tag of parameters.tags) {
+      documentation.appendMarkdown(`\n\n- \`<${tag}>\` tag`);
+    }
+  }
+
+  return documentation;
+}
+
+/**
+ * Build the snippet that completes a key and adds its values, like
+ * greeting", { name: $1, count: $2 }
+ * @param {string} prefix - Text to insert before the key
+ * @param {string} key - The key to insert
+ * @param {string} quote - The quote the key is written with
+ * @param {Object} parameters - Result of getMessageParameters
+ * @param {boolean} withTags - Whether to add a handler for each tag
+ * @returns {vscode.SnippetString} The snippet
+ */
+function createValuesSnippet(prefix, key, quote, parameters, withTags) {
+  const names = parameters.arguments.map(([name]) => name);
+  const tags = withTags ? parameters.tags : [];
+  const snippet = new vscode.SnippetString().appendText(
+    `${prefix}${key}${quote}`
+  );
+
+  if (names.length === 0 && tags.length === 0) {
+    return snippet;
+  }
+
+  snippet.appendText(", { ");
+  [...names, ...tags].forEach((name, index) => {
+    if (index > 0) snippet.appendText(", ");
+    snippet.appendText(`${name}: `);
+    if (index >= names.length) {
+      snippet.appendText("(chunks) => ").appendPlaceholder("chunks");
+    } else {
+      snippet.appendTabstop();
+    }
+  });
+  return snippet.appendText(" }");
+}
+
+/**
+ * Complete a leaf key, adding its values when the message has arguments
+ * @param {vscode.CompletionItem} item - The completion item
+ * @param {string} key - The key to insert
+ * @param {*} value - The message in the reference language
+ * @param {Object} call - The call being completed: the function name, method,
+ *   quote, where it starts, the typed key and the text after the cursor
+ * @param {vscode.Position} position - The cursor position
+ * @returns {vscode.CompletionItem|null} An extra item that switches to t.rich
+ *   for messages with tags, if that applies
+ */
+function applyLeafInsertion(item, key, value, call, position) {
+  const parameters = getMessageParameters(value);
+  const startPos = position.translate(0, -call.partialKey.length);
+  item.range = new vscode.Range(startPos, position);
+  item.insertText = new vscode.SnippetString(key);
+
+  // Values can't be added when they're already passed or for t.raw/t.has
+  const closesKey = call.suffix.startsWith(call.quote);
+  if (
+    !parameters ||
+    (call.method !== null &&
+      call.method !== "rich" &&
+      call.method !== "markup") ||
+    /^\s*,/.test(call.suffix.substring(closesKey ? 1 : 0))
+  ) {
+    return null;
+  }
+
+  const endPos = position.translate(0, closesKey ? 1 : 0);
+  item.range = new vscode.Range(startPos, endPos);
+  item.insertText = createValuesSnippet(
+    "",
+    key,
+    call.quote,
+    parameters,
+    call.method !== null
+  );
+
+  if (call.method !== null || parameters.tags.length === 0) {
+    return null;
+  }
+
+  // Messages with tags need t.rich, offer to switch the call over
+  const prefix = `${call.functionName}.rich(${call.quote}`;
+  const richItem = new vscode.CompletionItem(
+    `${key} (rich)`,
+    vscode.CompletionItemKind.Method
+  );
+  richItem.range = new vscode.Range(
+    new vscode.Position(position.line, call.start),
+    endPos
+  );
+  richItem.filterText = `${call.callPrefix}${key}`;
+  richItem.insertText = createValuesSnippet(
+    prefix,
+    key,
+    call.quote,
+    parameters,
+    true
+  );
+  richItem.detail = `${call.functionName}.rich with tag handlers`;
+  richItem.documentation = item.documentation;
+  return richItem;
+}
 
 /**
  * Provides completion items for translation keys
@@ -16,29 +163,68 @@ const completionProvider = {
       .text.substring(0, position.character);
 
     // Regex to check if we're in a t("...") call and capture the partial key
-    const tFunctionMatch = linePrefix.match(/t\(["']([^"']*)$/);
+    const tFunctionMatch = linePrefix.match(
+      /(?<![\w$.])([A-Za-z_$][\w$.]*?)(?:\.(rich|markup|raw|has))?\(\s*(["'`])([^"'`]*)$/
+    );
     if (!tFunctionMatch) {
       return undefined;
     }
 
+    // Make sure the function is a translation function and find its namespace
+    const text = document.getText();
+    const offset = document.offsetAt(position);
+    const functionName = tFunctionMatch[1];
+    if (!isTranslationFunction(text, functionName, offset)) {
+      return undefined;
+    }
+
+    const namespace = getNamespaceAt(text, functionName, offset);
+    if (namespace === null) {
+      return undefined;
+    }
+
     try {
       // We're inside a t() function call, get translation keys
-      const { translations } = await findTranslationFiles();
+      const { translations, referenceLanguage } = await findTranslationFiles();
 
-      // Get a reference language (usually English)
-      const referenceLang = Object.keys(translations).includes("en")
-        ? "en"
-        : Object.keys(translations)[0];
+      // Get the reference language (the default locale, usually English)
+      const referenceLang = referenceLanguage;
 
       if (!translations[referenceLang]) {
         return undefined;
       }
 
-      // Get all flattened keys
-      const allKeys = flattenKeys(translations[referenceLang]);
+      // Only keys inside the namespace can be used with this function
+      const scopedTranslations = namespace
+        ? getNestedProperty(translations[referenceLang], namespace)
+        : translations[referenceLang];
+
+      if (
+        typeof scopedTranslations !== "object" ||
+        scopedTranslations === null
+      ) {
+        return undefined;
+      }
+
+      // Get all flattened keys, relative to the namespace
+      const allKeys = flattenKeys(scopedTranslations);
 
       // Get the partial key that user has typed
-      const partialKey = tFunctionMatch[1];
+      const partialKey = tFunctionMatch[4];
+
+      // The call being completed, used to add the values of the message
+      const call = {
+        functionName,
+        method: tFunctionMatch[2] || null,
+        quote: tFunctionMatch[3],
+        start: tFunctionMatch.index,
+        callPrefix: tFunctionMatch[0].substring(
+          0,
+          tFunctionMatch[0].length - partialKey.length
+        ),
+        partialKey,
+        suffix: document.lineAt(position).text.substring(position.character),
+      };
 
       // Create completion items for matching keys
       const completionItems = [];
@@ -135,12 +321,24 @@ const completionProvider = {
           // If the segment has a value in the translations
           const segmentValue = allKeys.find((k) => k.key === segment)?.value;
           if (segmentValue) {
-            item.documentation = new vscode.MarkdownString(
-              `**${referenceLang}:** ${segmentValue}`
+            item.documentation = createMessageDocumentation(
+              referenceLang,
+              segmentValue
             );
           }
 
           completionItems.push(item);
+
+          if (!hasChildren) {
+            const richItem = applyLeafInsertion(
+              item,
+              segment,
+              segmentValue,
+              call,
+              position
+            );
+            if (richItem) completionItems.push(richItem);
+          }
         });
 
         // Add exact matches
@@ -155,10 +353,20 @@ const completionProvider = {
           const startPos = position.translate(0, -partialKey.length);
           item.range = new vscode.Range(startPos, position);
           item.detail = `${entry.value}`;
-          item.documentation = new vscode.MarkdownString(
-            `**${referenceLang}:** ${entry.value}`
+          item.documentation = createMessageDocumentation(
+            referenceLang,
+            entry.value
           );
           completionItems.push(item);
+
+          const richItem = applyLeafInsertion(
+            item,
+            entry.key,
+            entry.value,
+            call,
+            position
+          );
+          if (richItem) completionItems.push(richItem);
         });
       } else {
         // No partial key, suggest all top-level segments
@@ -199,12 +407,24 @@ const completionProvider = {
           // If the segment has a value in the translations
           const segmentValue = allKeys.find((k) => k.key === segment)?.value;
           if (segmentValue) {
-            item.documentation = new vscode.MarkdownString(
-              `**${referenceLang}:** ${segmentValue}`
+            item.documentation = createMessageDocumentation(
+              referenceLang,
+              segmentValue
             );
           }
 
           completionItems.push(item);
+
+          if (!hasChildren) {
+            const richItem = applyLeafInsertion(
+              item,
+              segment,
+              segmentValue,
+              call,
+              position
+            );
+            if (richItem) completionItems.push(richItem);
+          }
         });
       }
 
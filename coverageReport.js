@@ -0,0 +1,425 @@
+// coverageReport.js - Shows how complete each locale is compared to the reference locale
+const vscode = require("vscode");
+const fs = require("fs");
+const path = require("path");
+const util = require("util");
+const { flattenKeys } = require("./utils/translationUtils");
+const {
+  findTranslationFiles,
+  onDidChangeTranslations,
+} = require("./utils/translationIndex");
+const {
+  escapeHtml,
+  getNonce,
+  renderWebviewPage,
+} = require("./utils/webviewUtils");
+
+const writeFile = util.promisify(fs.writeFile);
+
+/**
+ * Namespace used for keys at the top level of the translation files
+ */
+const ROOT_NAMESPACE = "(root)";
+
+/**
+ * Headers of the summary tables
+ */
+const TABLE_HEADERS = [
+  "Coverage",
+  "Total",
+  "Translated",
+  "Missing",
+  "Identical",
+  "Empty",
+];
+
+// The open report, reused when the command runs again
+let panel = null;
+let currentReport = null;
+
+/**
+ * Create empty counters for a locale or namespace
+ * @returns {Object} The counters
+ */
+function createCounts() {
+  return { total: 0, translated: 0, missing: 0, identical: 0, empty: 0 };
+}
+
+/**
+ * Compare every locale with the reference locale
+ * @param {Object} translations - Translations by language
+ * @param {string} referenceLanguage - The reference language
+ * @returns {Object} The report, with for each other locale its totals, the missing,
+ *   identical and empty keys, and the same counts per top-level namespace
+ */
+function computeCoverage(translations, referenceLanguage) {
+  const referenceEntries = flattenKeys(translations[referenceLanguage] || {});
+  const locales = [];
+
+  for (const [locale, content] of Object.entries(translations)) {
+    if (locale === referenceLanguage) continue;
+
+    const values = new Map(
+      flattenKeys(content).map((entry) => [entry.key, entry.value])
+    );
+    const counts = createCounts();
+    const namespaces = new Map();
+    const missing = [];
+    const identical = [];
+    const empty = [];
+
+    for (const { key, value: referenceValue } of referenceEntries) {
+      const namespace = key.includes(".") ? key.split(".")[0] : ROOT_NAMESPACE;
+      if (!namespaces.has(namespace)) {
+        namespaces.set(namespace, createCounts());
+      }
+      const namespaceCounts = namespaces.get(namespace);
+      const value = values.get(key);
+
+      let status = "translated";
+      if (value === undefined || value === null) {
+        status = "missing";
+        missing.push({ key, referenceValue });
+      } else if (value === "") {
+        status = "empty";
+        empty.push({ key, referenceValue });
+      } else if (value === referenceValue) {
+        // Same text as the reference is most likely not translated yet
+        status = "identical";
+        identical.push({ key, referenceValue });
+      }
+
+      for (const target of [counts, namespaceCounts]) {
+        target.total++;
+        target[status]++;
+      }
+    }
+
+    locales.push({
+      locale,
+      ...counts,
+      missingKeys: missing,
+      identicalKeys: identical,
+      emptyKeys: empty,
+      namespaces: Array.from(namespaces, ([namespace, namespaceCounts]) => ({
+        namespace,
+        ...namespaceCounts,
+      })),
+    });
+  }
+
+  return {
+    referenceLanguage,
+    totalKeys: referenceEntries.length,
+    generatedAt: new Date().toISOString(),
+    locales,
+  };
+}
+
+/**
+ * Format the share of translated keys
+ * @param {Object} counts - Counters of a locale or namespace
+ * @returns {string} The percentage, e.g. "87.5%"
+ */
+function formatCoverage(counts) {
+  if (counts.total === 0) return "100%";
+  return `${Math.round((counts.translated / counts.total) * 1000) / 10}%`;
+}
+
+/**
+ * Get the cells of a summary row
+ * @param {string} name - The locale or namespace
+ * @param {Object} counts - Its counters
+ * @returns {Array} The cells, in the order of the table headers
+ */
+function getRowCells(name, counts) {
+  return [
+    name,
+    formatCoverage(counts),
+    counts.total,
+    counts.translated,
+    counts.missing,
+    counts.identical,
+    counts.empty,
+  ];
+}
+
+/**
+ * Render the report as Markdown, e.g. for a release checklist
+ * @param {Object} report - Result of computeCoverage
+ * @returns {string} The Markdown text
+ */
+function formatCoverageMarkdown(report) {
+  const row = (cells) => `| ${cells.join(" | ")} |`;
+  const tableHeader = (name) => [
+    row([name, ...TABLE_HEADERS]),
+    row(Array(TABLE_HEADERS.length + 1).fill("---")),
+  ];
+
+  const lines = [
+    "# Translation coverage",
+    "",
+    `Reference locale: \`${report.referenceLanguage}\` (${report.totalKeys} keys), generated ${report.generatedAt}`,
+    "",
+    ...tableHeader("Locale"),
+    ...report.locales.map((locale) => row(getRowCells(locale.locale, locale))),
+  ];
+
+  for (const locale of report.locales) {
+    lines.push("", `## ${locale.locale}`, "", ...tableHeader("Namespace"));
+    for (const namespace of locale.namespaces) {
+      lines.push(row(getRowCells(namespace.namespace, namespace)));
+    }
+
+    const keyLists = [
+      ["Missing", locale.missingKeys],
+      ["Identical to the reference", locale.identicalKeys],
+      ["Empty", locale.emptyKeys],
+    ];
+    for (const [title, keys] of keyLists) {
+      if (keys.length === 0) continue;
+      lines.push("", `### ${title}`, "");
+      for (const { key } of keys) {
+        lines.push(`- [ ] \`${key}\``);
+      }
+    }
+  }
+
+  return `${lines.join("\n")}\n`;
+}
+
+/**
+ * Render a list of keys, with a link to add each one
+ * @param {string} title - Heading of the list
+ * @param {string} locale - The locale the keys belong to
+ * @param {Object[]} keys - The keys with their reference value
+ * @param {boolean} canAdd - Whether the keys can be added to the locale
+ * @returns {string} The HTML
+ */
+function renderKeyList(title, locale, keys, canAdd) {
+  if (keys.length === 0) return "";
+
+  const items = keys.map(({ key, referenceValue }) => {
+    const name = escapeHtml(key);
+    const label = canAdd
+      ? `<a data-locale="${escapeHtml(locale)}" data-key="${name}">${name}</a>`
+      : `<code>${name}</code>`;
+    const reference = escapeHtml(referenceValue);
+    return `<li>${label} <span class="reference">${reference}</span></li>`;
+  });
+
+  const summary = `<summary>${escapeHtml(title)} (${keys.length})</summary>`;
+  return `<details>${summary}<ul>${items.join("")}</ul></details>`;
+}
+
+/**
+ * Render a summary table
+ * @param {string} nameHeader - Header of the first column
+ * @param {Array[]} rows - Cells of each row
+ * @returns {string} The HTML
+ */
+function renderTable(nameHeader, rows) {
+  const renderRow = (cells, tag) => {
+    const html = cells.map((cell) => `<${tag}>${escapeHtml(cell)}</${tag}>`);
+    return `<tr>${html.join("")}</tr>`;
+  };
+
+  const header = renderRow([nameHeader, ...TABLE_HEADERS], "th");
+  const body = rows.map((cells) => renderRow(cells, "td"));
+  return `<table>${header}${body.join("")}</table>`;
+}
+
+/**
+ * Render the report as the webview HTML
+ * @param {vscode.Webview} webview - The webview
+ * @param {Object} report - Result of computeCoverage
+ * @returns {string} The HTML document
+ */
+function renderReport(webview, report) {
+  const localeSections = report.locales.map((locale) => {
+    const namespaceRows = locale.namespaces.map((namespace) =>
+      getRowCells(namespace.namespace, namespace)
+    );
+
+    return [
+      `<h2>${escapeHtml(locale.locale)}</h2>`,
+      renderTable("Namespace", namespaceRows),
+      renderKeyList("Missing", locale.locale, locale.missingKeys, true),
+      renderKeyList(
+        "Identical to the reference",
+        locale.locale,
+        locale.identicalKeys,
+        false
+      ),
+      renderKeyList("Empty", locale.locale, locale.emptyKeys, false),
+    ].join("\n");
+  });
+
+  const referenceLanguage = escapeHtml(report.referenceLanguage);
+  const localeRows = report.locales.map((locale) =>
+    getRowCells(locale.locale, locale)
+  );
+
+  const summary = `Reference locale: <code>${referenceLanguage}</code> (${report.totalKeys} keys)`;
+  const body = `<h1>Translation coverage</h1>
+<p>${summary}</p>
+<p>
+  <button data-export="markdown">Export Markdown</button>
+  <button data-export="json">Export JSON</button>
+</p>
+${renderTable("Locale", localeRows)}
+${localeSections.join("\n")}`;
+
+  return renderWebviewPage(webview, "Translation Coverage", body, {
+    nonce: getNonce(),
+    style: ".reference { opacity: 0.7; margin-left: 0.5em; }",
+    script: `document.addEventListener("click", (event) => {
+    const target = event.target;
+    if (target.dataset.export) {
+      vscode.postMessage({ command: "export", format: target.dataset.export });
+    } else if (target.dataset.key) {
+      vscode.postMessage({
+        command: "addTranslation",
+        locale: target.dataset.locale,
+        key: target.dataset.key,
+      });
+    }
+  });`,
+  });
+}
+
+/**
+ * Save the current report as Markdown or JSON
+ * @param {string} format - "markdown" or "json"
+ */
+async function exportReport(format) {
+  if (!currentReport) return;
+
+  const isMarkdown = format === "markdown";
+  const fileName = `translation-coverage.${isMarkdown ? "md" : "json"}`;
+  const workspaceFolder = vscode.workspace.workspaceFolders?.[0];
+
+  const uri = await vscode.window.showSaveDialog({
+    defaultUri: workspaceFolder
+      ? vscode.Uri.file(path.join(workspaceFolder.uri.fsPath, fileName))
+      : undefined,
+    filters: isMarkdown ? { Markdown: ["md"] } : { JSON: ["json"] },
+  });
+
+  if (!uri) {
+    return; // User cancelled
+  }
+
+  const content = isMarkdown
+    ? formatCoverageMarkdown(currentReport)
+    : JSON.stringify(currentReport, null, 2);
+  await writeFile(uri.fsPath, content, "utf8");
+
+  vscode.window.showInformationMessage(
+    `Coverage report saved to ${path.basename(uri.fsPath)}`
+  );
+}
+
+/**
+ * Add a missing key to a locale, showing the reference value as a hint
+ * @param {string} locale - The locale missing the key
+ * @param {string} key - The full translation key
+ */
+async function addMissingKey(locale, key) {
+  const { translationFilePaths, referenceLanguage } =
+    await findTranslationFiles();
+  const entry = currentReport.locales
+    .find((item) => item.locale === locale)
+    ?.missingKeys.find((item) => item.key === key);
+  if (!entry) return;
+
+  await vscode.commands.executeCommand(
+    "nextIntlHelper.addMissingTranslationsFromHover",
+    key,
+    { [referenceLanguage]: entry.referenceValue },
+    [locale],
+    translationFilePaths
+  );
+}
+
+/**
+ * Recompute the report and show it in the panel
+ */
+async function updateReport() {
+  if (!panel) return;
+
+  const { translations, referenceLanguage } = await findTranslationFiles();
+  currentReport = computeCoverage(translations, referenceLanguage);
+  panel.webview.html = renderReport(panel.webview, currentReport);
+}
+
+/**
+ * Command handler to open the coverage report
+ */
+async function showCoverageReport() {
+  try {
+    const { translations } = await findTranslationFiles();
+    if (Object.keys(translations).length === 0) {
+      vscode.window.showErrorMessage("No translation files found");
+      return;
+    }
+
+    if (panel) {
+      panel.reveal();
+    } else {
+      panel = vscode.window.createWebviewPanel(
+        "nextIntlHelper.coverageReport",
+        "Translation Coverage",
+        vscode.ViewColumn.Active,
+        { enableScripts: true }
+      );
+
+      panel.webview.onDidReceiveMessage(async (message) => {
+        try {
+          if (message.command === "export") {
+            await exportReport(message.format);
+          } else if (message.command === "addTranslation") {
+            await addMissingKey(message.locale, message.key);
+          }
+        } catch (error) {
+          vscode.window.showErrorMessage(`Error: ${error.message}`);
+        }
+      });
+
+      panel.onDidDispose(() => {
+        panel = null;
+        currentReport = null;
+      });
+    }
+
+    await updateReport();
+  } catch (error) {
+    vscode.window.showErrorMessage(`Error: ${error.message}`);
+  }
+}
+
+/**
+ * Register the coverage report command
+ * @param {vscode.ExtensionContext} context - The extension context
+ */
+function registerCoverageReport(context) {
+  const coverageCommand = vscode.commands.registerCommand(
+    "nextIntlHelper.showCoverageReport",
+    showCoverageReport
+  );
+
+  // Keep an open report up to date when translations are added or edited
+  onDidChangeTranslations(
+    () => updateReport().catch((error) => console.error(error)),
+    null,
+    context.subscriptions
+  );
+
+  context.subscriptions.push(coverageCommand);
+}
+
+module.exports = {
+  registerCoverageReport,
+  computeCoverage,
+  formatCoverageMarkdown,
+};
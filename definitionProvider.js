@@ -0,0 +1,83 @@
+// definitionProvider.js - Provides Go to Definition from translation keys to the locale files
+const vscode = require("vscode");
+const { findKeyLocations } = require("./utils/translationIndex");
+const {
+  findTranslationCallAt,
+  findTranslatorBindings,
+} = require("./utils/callUtils");
+
+/**
+ * Find the key under the cursor, either in a t("...") call or in the namespace
+ * passed to useTranslations/getTranslations
+ * @param {vscode.TextDocument} document - The document
+ * @param {number} offset - Offset of the cursor
+ * @returns {{translationKey: string, start: number, end: number}|null} The full key and its range
+ */
+function findKeyAtOffset(document, offset) {
+  const text = document.getText();
+
+  const call = findTranslationCallAt(text, offset);
+  if (call && !call.dynamic && call.fullKey !== null) {
+    return {
+      translationKey: call.fullKey,
+      start: call.keyStart,
+      end: call.keyEnd,
+    };
+  }
+
+  const binding = findTranslatorBindings(text).find(
+    (item) =>
+      item.namespace &&
+      item.namespaceStart <= offset &&
+      offset <= item.namespaceEnd
+  );
+  if (binding) {
+    return {
+      translationKey: binding.namespace,
+      start: binding.namespaceStart,
+      end: binding.namespaceEnd,
+    };
+  }
+
+  return null;
+}
+
+/**
+ * Definition provider for translation keys. The reference locale comes first,
+ * the entries in the other locales are offered alongside it for Peek Definition.
+ */
+const definitionProvider = {
+  async provideDefinition(document, position, token) {
+    const key = findKeyAtOffset(document, document.offsetAt(position));
+    if (!key) return;
+
+    try {
+      const locations = await findKeyLocations(key.translationKey);
+      const originSelectionRange = new vscode.Range(
+        document.positionAt(key.start),
+        document.positionAt(key.end)
+      );
+
+      return locations.map((location) => {
+        const range = new vscode.Range(
+          location.start.line,
+          location.start.character,
+          location.end.line,
+          location.end.character
+        );
+
+        return {
+          originSelectionRange,
+          targetUri: vscode.Uri.file(location.filePath),
+          targetRange: range,
+          targetSelectionRange: range,
+        };
+      });
+    } catch (error) {
+      console.error("Error providing translation definition:", error);
+      return undefined;
+    }
+  },
+};
+
+module.exports = definitionProvider;
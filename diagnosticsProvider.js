@@ -0,0 +1,459 @@
+// diagnosticsProvider.js - Reports missing translation keys and values that don't match their messages
+const vscode = require("vscode");
+const { getNestedProperty } = require("./utils/translationUtils");
+const {
+  findTranslationFiles,
+  onDidChangeTranslations,
+} = require("./utils/translationIndex");
+const {
+  maskNonCode,
+  findTranslationCalls,
+  findTranslationCallAt,
+  findCallValues,
+} = require("./utils/callUtils");
+const {
+  parseMessage,
+  getMessageSignature,
+  getValueStub,
+} = require("./utils/icuUtils");
+
+/**
+ * Languages whose documents are checked for translation calls
+ */
+const SUPPORTED_LANGUAGES = [
+  "javascript",
+  "javascriptreact",
+  "typescript",
+  "typescriptreact",
+];
+
+/**
+ * Source and code shown with the diagnostics
+ */
+const DIAGNOSTIC_SOURCE = "NextIntl Helper";
+const MISSING_KEY_CODE = "missingTranslation";
+const MISSING_VALUES_CODE = "missingValues";
+const UNUSED_VALUE_CODE = "unusedValue";
+
+/**
+ * Methods whose values are checked against the message. t.rich and t.markup
+ * also take a handler for each tag.
+ */
+const VALUE_METHODS = [null, "rich", "markup"];
+
+/**
+ * Collection holding the missing key diagnostics
+ */
+let diagnosticCollection;
+
+/**
+ * Pending updates by document URI, to avoid re-checking on every keystroke
+ */
+const pendingUpdates = new Map();
+
+/**
+ * Find the languages a key is missing from
+ * @param {Object} translations - Translations by language
+ * @param {string} translationKey - The full translation key
+ * @returns {{results: Object, missingInLangs: string[]}} Existing values and missing languages
+ */
+function findMissingLanguages(translations, translationKey) {
+  const results = {};
+  const missingInLangs = [];
+
+  for (const [lang, content] of Object.entries(translations)) {
+    const value = getNestedProperty(content, translationKey);
+    if (value !== undefined) {
+      results[lang] = value;
+    } else {
+      missingInLangs.push(lang);
+    }
+  }
+
+  return { results, missingInLangs };
+}
+
+/**
+ * Compare the values passed to a call with the arguments and tags of its message
+ * @param {string} text - The source text
+ * @param {string} masked - The text masked with maskNonCode
+ * @param {Object} call - A call returned by findTranslationCalls
+ * @param {*} message - The message in the reference language
+ * @returns {Object|null} The values of the call, the missing names with their
+ *   type, and the properties the message doesn't use. null if it can't be checked.
+ */
+function compareCallValues(text, masked, call, message) {
+  if (!VALUE_METHODS.includes(call.method) || typeof message !== "string") {
+    return null;
+  }
+
+  const { ast } = parseMessage(message);
+  const values = findCallValues(text, call, masked);
+  if (!ast || !values || (values.hasValues && !values.isLiteral)) {
+    return null;
+  }
+
+  const signature = getMessageSignature(ast);
+  const expected = new Map(signature.arguments);
+  if (call.method) {
+    for (const tag of signature.tags) {
+      expected.set(tag, "tag");
+    }
+  }
+
+  const properties = values.hasValues ? values.properties : [];
+  const passed = new Set(properties.map((property) => property.name));
+
+  const missing =
+    values.hasValues && !values.isComplete
+      ? []
+      : Array.from(expected).filter(([name]) => !passed.has(name));
+  const unused = properties.filter((property) => !expected.has(property.name));
+
+  return { values, missing, unused };
+}
+
+/**
+ * Format the names of missing values, e.g. "{name}, <b>"
+ * @param {Array} missing - Missing names with their type
+ * @returns {string} The formatted names
+ */
+function formatMissingValues(missing) {
+  return missing
+    .map(([name, type]) => (type === "tag" ? `<${name}>` : `{${name}}`))
+    .join(", ");
+}
+
+/**
+ * Check all translation calls in a document against the translation files
+ * @param {vscode.TextDocument} document - The document to check
+ */
+async function updateDiagnostics(document) {
+  if (!SUPPORTED_LANGUAGES.includes(document.languageId)) {
+    return;
+  }
+
+  try {
+    const { translations, referenceLanguage } = await findTranslationFiles();
+    const languages = Object.keys(translations);
+    if (languages.length === 0) {
+      diagnosticCollection.delete(document.uri);
+      return;
+    }
+
+    const diagnostics = [];
+    const text = document.getText();
+    const masked = maskNonCode(text);
+
+    for (const call of findTranslationCalls(text)) {
+      // Dynamic keys and unknown namespaces can't be checked, t.has() checks on purpose
+      if (call.dynamic || call.fullKey === null || call.method === "has") {
+        continue;
+      }
+
+      const { results, missingInLangs } = findMissingLanguages(
+        translations,
+        call.fullKey
+      );
+
+      const comparison = compareCallValues(
+        text,
+        masked,
+        call,
+        results[referenceLanguage]
+      );
+      if (comparison) {
+        diagnostics.push(...getValueDiagnostics(document, call, comparison));
+      }
+
+      if (missingInLangs.length === 0) {
+        continue;
+      }
+
+      const range = new vscode.Range(
+        document.positionAt(call.keyStart),
+        document.positionAt(call.keyEnd)
+      );
+      const missingList = missingInLangs.join(", ");
+      const message =
+        missingInLangs.length === languages.length
+          ? `Translation key "${call.fullKey}" is missing in all locales (${missingList})`
+          : `Translation key "${call.fullKey}" is missing in: ${missingList}`;
+
+      const diagnostic = new vscode.Diagnostic(
+        range,
+        message,
+        vscode.DiagnosticSeverity.Warning
+      );
+      diagnostic.source = DIAGNOSTIC_SOURCE;
+      diagnostic.code = MISSING_KEY_CODE;
+      diagnostics.push(diagnostic);
+    }
+
+    diagnosticCollection.set(document.uri, diagnostics);
+  } catch (error) {
+    console.error("Error updating translation diagnostics:", error);
+  }
+}
+
+/**
+ * Create the diagnostics for values that are missing or not used by the message
+ * @param {vscode.TextDocument} document - The document
+ * @param {Object} call - The translation call
+ * @param {Object} comparison - Result of compareCallValues
+ * @returns {vscode.Diagnostic[]} The diagnostics
+ */
+function getValueDiagnostics(document, call, { missing, unused }) {
+  const diagnostics = [];
+  const toRange = (start, end) =>
+    new vscode.Range(document.positionAt(start), document.positionAt(end));
+
+  if (missing.length > 0) {
+    const diagnostic = new vscode.Diagnostic(
+      toRange(call.keyStart, call.keyEnd),
+      `"${call.fullKey}" needs values for ${formatMissingValues(missing)}`,
+      vscode.DiagnosticSeverity.Warning
+    );
+    diagnostic.source = DIAGNOSTIC_SOURCE;
+    diagnostic.code = MISSING_VALUES_CODE;
+    diagnostics.push(diagnostic);
+  }
+
+  for (const property of unused) {
+    const diagnostic = new vscode.Diagnostic(
+      toRange(property.start, property.end),
+      call.method
+        ? `"${call.fullKey}" has no {${property.name}} argument or <${property.name}> tag`
+        : `"${call.fullKey}" has no {${property.name}} argument`,
+      vscode.DiagnosticSeverity.Warning
+    );
+    diagnostic.source = DIAGNOSTIC_SOURCE;
+    diagnostic.code = UNUSED_VALUE_CODE;
+    diagnostic.tags = [vscode.DiagnosticTag.Unnecessary];
+    diagnostics.push(diagnostic);
+  }
+
+  return diagnostics;
+}
+
+/**
+ * Create a quick fix that adds placeholder values for the missing arguments
+ * @param {vscode.TextDocument} document - The document
+ * @param {vscode.Diagnostic} diagnostic - The missing values diagnostic
+ * @param {Object} translations - Translations by language
+ * @param {string} referenceLanguage - The reference language
+ * @returns {vscode.CodeAction|null} The quick fix
+ */
+function createAddValuesAction(
+  document,
+  diagnostic,
+  translations,
+  referenceLanguage
+) {
+  const text = document.getText();
+  const masked = maskNonCode(text);
+  const call = findTranslationCallAt(
+    text,
+    document.offsetAt(diagnostic.range.start)
+  );
+  if (!call || call.fullKey === null) return null;
+
+  const comparison = compareCallValues(
+    text,
+    masked,
+    call,
+    getNestedProperty(translations[referenceLanguage], call.fullKey)
+  );
+  if (!comparison || comparison.missing.length === 0) return null;
+
+  const { values, missing } = comparison;
+  const stubs = missing
+    .map(([name, type]) => `${name}: ${getValueStub(type)}`)
+    .join(", ");
+
+  const edit = new vscode.WorkspaceEdit();
+  if (!values.hasValues) {
+    edit.insert(
+      document.uri,
+      document.positionAt(values.insertOffset),
+      `, { ${stubs} }`
+    );
+  } else {
+    // Add the stubs after the last property, keeping a trailing comma
+    let offset = values.end - 1;
+    while (/\s/.test(masked[offset])) offset--;
+    const insertion =
+      masked[offset] === "{"
+        ? ` ${stubs} `
+        : masked[offset] === ","
+        ? ` ${stubs},`
+        : `, ${stubs}`;
+    edit.insert(document.uri, document.positionAt(offset + 1), insertion);
+  }
+
+  const action = new vscode.CodeAction(
+    `Add values for ${formatMissingValues(missing)}`,
+    vscode.CodeActionKind.QuickFix
+  );
+  action.diagnostics = [diagnostic];
+  action.isPreferred = true;
+  action.edit = edit;
+  return action;
+}
+
+/**
+ * Schedule a diagnostics update for a document
+ * @param {vscode.TextDocument} document - The changed document
+ */
+function scheduleUpdate(document) {
+  const uri = document.uri.toString();
+  clearTimeout(pendingUpdates.get(uri));
+  pendingUpdates.set(
+    uri,
+    setTimeout(() => {
+      pendingUpdates.delete(uri);
+      updateDiagnostics(document);
+    }, 300)
+  );
+}
+
+/**
+ * Provides quick fixes that add missing keys to the translation files and
+ * missing values to translation calls
+ */
+const translationCodeActionProvider = {
+  async provideCodeActions(document, range, context) {
+    const diagnostics = context.diagnostics.filter(
+      (diagnostic) =>
+        diagnostic.source === DIAGNOSTIC_SOURCE &&
+        (diagnostic.code === MISSING_KEY_CODE ||
+          diagnostic.code === MISSING_VALUES_CODE)
+    );
+    if (diagnostics.length === 0) {
+      return [];
+    }
+
+    try {
+      const { translations, translationFilePaths, referenceLanguage } =
+        await findTranslationFiles();
+      const text = document.getText();
+      const actions = [];
+
+      for (const diagnostic of diagnostics) {
+        if (diagnostic.code === MISSING_VALUES_CODE) {
+          const action = createAddValuesAction(
+            document,
+            diagnostic,
+            translations,
+            referenceLanguage
+          );
+          if (action) actions.push(action);
+          continue;
+        }
+
+        const call = findTranslationCallAt(
+          text,
+          document.offsetAt(diagnostic.range.start)
+        );
+        if (!call || call.fullKey === null) continue;
+
+        const translationKey = call.fullKey;
+        const { results, missingInLangs } = findMissingLanguages(
+          translations,
+          translationKey
+        );
+
+        // Reuses the add key flow, which skips files that already have the key
+        const addToAllAction = new vscode.CodeAction(
+          `Add "${translationKey}" to all locales`,
+          vscode.CodeActionKind.QuickFix
+        );
+        addToAllAction.diagnostics = [diagnostic];
+        addToAllAction.command = {
+          command: "nextIntlHelper.addTranslationKeyFromHover",
+          title: addToAllAction.title,
+          arguments: [translationKey, translationFilePaths],
+        };
+
+        if (Object.keys(results).length === 0) {
+          addToAllAction.isPreferred = true;
+          actions.push(addToAllAction);
+          continue;
+        }
+
+        const missingList = missingInLangs.join(", ");
+        const addMissingAction = new vscode.CodeAction(
+          `Add missing translations for "${translationKey}" (${missingList})`,
+          vscode.CodeActionKind.QuickFix
+        );
+        addMissingAction.diagnostics = [diagnostic];
+        addMissingAction.isPreferred = true;
+        addMissingAction.command = {
+          command: "nextIntlHelper.addMissingTranslationsFromHover",
+          title: addMissingAction.title,
+          arguments: [
+            translationKey,
+            results,
+            missingInLangs,
+            translationFilePaths,
+          ],
+        };
+
+        actions.push(addMissingAction, addToAllAction);
+      }
+
+      return actions;
+    } catch (error) {
+      console.error("Error providing translation quick fixes:", error);
+      return [];
+    }
+  },
+};
+
+/**
+ * Registers the missing translation diagnostics and their quick fixes
+ * @param {vscode.ExtensionContext} context - Extension context
+ */
+function registerDiagnostics(context) {
+  diagnosticCollection =
+    vscode.languages.createDiagnosticCollection("nextIntlHelper");
+
+  const codeActionProvider = vscode.languages.registerCodeActionsProvider(
+    SUPPORTED_LANGUAGES,
+    translationCodeActionProvider,
+    { providedCodeActionKinds: [vscode.CodeActionKind.QuickFix] }
+  );
+
+  vscode.workspace.onDidOpenTextDocument(
+    updateDiagnostics,
+    null,
+    context.subscriptions
+  );
+
+  vscode.workspace.onDidChangeTextDocument(
+    (event) => scheduleUpdate(event.document),
+    null,
+    context.subscriptions
+  );
+
+  vscode.workspace.onDidCloseTextDocument(
+    (document) => diagnosticCollection.delete(document.uri),
+    null,
+    context.subscriptions
+  );
+
+  // Re-check every open document when the translation files change
+  onDidChangeTranslations(
+    () => vscode.workspace.textDocuments.forEach(scheduleUpdate),
+    null,
+    context.subscriptions
+  );
+
+  vscode.workspace.textDocuments.forEach(updateDiagnostics);
+
+  context.subscriptions.push(diagnosticCollection, codeActionProvider);
+}
+
+module.exports = {
+  registerDiagnostics,
+};
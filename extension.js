@@ -2,9 +2,22 @@
 const vscode = require("vscode");
 const commandHandlers = require("./commandHandlers");
 const hoverProvider = require("./hoverProvider");
+const definitionProvider = require("./definitionProvider");
+const referenceProvider = require("./referenceProvider");
+const { renameProvider } = require("./renameProvider");
 const completionProvider = require("./completionProvider");
 const textHighlighter = require("./textHighlighter");
+const diagnosticsProvider = require("./diagnosticsProvider");
+const extractTranslationProvider = require("./extractTranslationProvider");
+const extractPreview = require("./extractPreview");
+const messageDiagnosticsProvider = require("./messageDiagnosticsProvider");
+const coverageReport = require("./coverageReport");
+const translationEditor = require("./translationEditor");
+const xliffExchange = require("./xliffExchange");
+const translationExchange = require("./translationExchange");
+const translationTreeView = require("./translationTreeView");
 const { setupContext } = require("./utils/fileUtils");
+const { registerTranslationIndex } = require("./utils/translationIndex");
 
 /**
  * Activates the extension when a qualifying file is opened
@@ -16,6 +29,9 @@ function activate(context) {
   // Initialize context
   setupContext(context);
 
+  // Keep the translation index in sync with the translation files
+  registerTranslationIndex(context);
+
   // Register all the commands
   const showTranslationDisposable = vscode.commands.registerCommand(
     "nextIntlHelper.showTranslation",
@@ -32,17 +48,96 @@ function activate(context) {
     commandHandlers.addTranslationKey
   );
 
+  const findUnusedKeysDisposable = vscode.commands.registerCommand(
+    "nextIntlHelper.findUnusedKeys",
+    commandHandlers.findUnusedKeys
+  );
+
   const addTranslationKeyFromHoverDisposable = vscode.commands.registerCommand(
     "nextIntlHelper.addTranslationKeyFromHover",
     commandHandlers.addTranslationKeyFromHover
   );
 
+  const addTranslationKeyWithValueDisposable = vscode.commands.registerCommand(
+    "nextIntlHelper.addTranslationKeyWithValue",
+    commandHandlers.addTranslationKeyWithValue
+  );
+
+  const addMissingTranslationsFromHoverDisposable =
+    vscode.commands.registerCommand(
+      "nextIntlHelper.addMissingTranslationsFromHover",
+      commandHandlers.addMissingTranslationsFromHover
+    );
+
+  // Register the actions of the translation keys view
+  const copyTranslationKeyDisposable = vscode.commands.registerCommand(
+    "nextIntlHelper.copyTranslationKey",
+    commandHandlers.copyTranslationKey
+  );
+
+  const insertTranslationKeyFromTreeDisposable =
+    vscode.commands.registerCommand(
+      "nextIntlHelper.insertTranslationKeyFromTree",
+      commandHandlers.insertTranslationKeyFromTree
+    );
+
+  const addChildTranslationKeyDisposable = vscode.commands.registerCommand(
+    "nextIntlHelper.addChildTranslationKey",
+    commandHandlers.addChildTranslationKey
+  );
+
+  const renameTranslationKeyDisposable = vscode.commands.registerCommand(
+    "nextIntlHelper.renameTranslationKey",
+    commandHandlers.renameTranslationKey
+  );
+
+  const deleteTranslationKeyDisposable = vscode.commands.registerCommand(
+    "nextIntlHelper.deleteTranslationKey",
+    commandHandlers.deleteTranslationKey
+  );
+
   // Register hover provider for translation keys
   const translationHoverProvider = vscode.languages.registerHoverProvider(
     ["javascript", "javascriptreact", "typescript", "typescriptreact"],
     hoverProvider
   );
 
+  // Register definition provider to jump from keys to the translation files
+  const translationDefinitionProvider =
+    vscode.languages.registerDefinitionProvider(
+      ["javascript", "javascriptreact", "typescript", "typescriptreact"],
+      definitionProvider
+    );
+
+  // Register reference provider to find usages of keys in translation files
+  const translationReferenceProvider =
+    vscode.languages.registerReferenceProvider(
+      [
+        "javascript",
+        "typescript",
+        { language: "json" },
+        { language: "jsonc" },
+        { language: "yaml" },
+        { pattern: "**/*.json5" },
+      ],
+      referenceProvider
+    );
+
+  // Register rename provider for keys in the code and the translation files
+  const translationRenameProvider = vscode.languages.registerRenameProvider(
+    [
+      "javascript",
+      "javascriptreact",
+      "typescript",
+      "typescriptreact",
+      { language: "json" },
+      { language: "jsonc" },
+      { language: "yaml" },
+      { pattern: "**/*.json5" },
+    ],
+    renameProvider
+  );
+
   // Register completion provider for translation keys
   const translationCompletionProvider = vscode.languages.registerCompletionItemProvider(
     ["javascript", "javascriptreact", "typescript", "typescriptreact"],
@@ -55,13 +150,51 @@ function activate(context) {
   // Register text highlighter for untranslated strings
   textHighlighter.registerTextHighlighter(context);
 
+  // Register diagnostics for missing translation keys
+  diagnosticsProvider.registerDiagnostics(context);
+
+  // Register the code action that extracts hardcoded text to a translation key
+  extractTranslationProvider.registerExtractTranslation(context);
+
+  // Register the preview to extract all untranslated text of a file
+  extractPreview.registerExtractPreview(context);
+
+  // Register diagnostics for ICU messages in the translation files
+  messageDiagnosticsProvider.registerMessageDiagnostics(context);
+
+  // Register the translation coverage report
+  coverageReport.registerCoverageReport(context);
+
+  // Register the spreadsheet-style translation editor
+  translationEditor.registerTranslationEditor(context);
+
+  // Register the XLIFF export and import for translators
+  xliffExchange.registerXliffCommands(context);
+
+  // Register the CSV and PO export and import
+  translationExchange.registerExchangeCommands(context);
+
+  // Register the translation keys view in the Explorer
+  translationTreeView.registerTranslationTree(context);
+
   // Add all disposables to the context subscriptions
   context.subscriptions.push(
     showTranslationDisposable,
     insertTranslationKeyDisposable,
     addTranslationKeyDisposable,
+    findUnusedKeysDisposable,
     addTranslationKeyFromHoverDisposable,
+    addTranslationKeyWithValueDisposable,
+    addMissingTranslationsFromHoverDisposable,
+    copyTranslationKeyDisposable,
+    insertTranslationKeyFromTreeDisposable,
+    addChildTranslationKeyDisposable,
+    renameTranslationKeyDisposable,
+    deleteTranslationKeyDisposable,
     translationHoverProvider,
+    translationDefinitionProvider,
+    translationReferenceProvider,
+    translationRenameProvider,
     translationCompletionProvider
   );
 }
@@ -0,0 +1,387 @@
+// extractPreview.js - Webview to review and extract all untranslated text of a file at once
+const vscode = require("vscode");
+const {
+  getNestedProperty,
+  setNestedProperty,
+  readTranslationFile,
+  addTranslationFileEdits,
+  saveFiles,
+} = require("./utils/translationUtils");
+const {
+  findTranslationFiles,
+  refreshTranslationFile,
+} = require("./utils/translationIndex");
+const { joinKey } = require("./utils/callUtils");
+const { findComponents } = require("./utils/astUtils");
+const { escapeMessageText } = require("./utils/icuUtils");
+const {
+  planExtraction,
+  suggestKey,
+  validateKey,
+  getCodeStyle,
+  createTranslationCall,
+  getTranslatorFactory,
+  addTranslatorDeclaration,
+  addFactoryImport,
+} = require("./utils/extractUtils");
+const { findUntranslatedStrings, isJSXFile } = require("./textHighlighter");
+const { getContext } = require("./utils/fileUtils");
+const { getNonce, renderWebviewPage } = require("./utils/webviewUtils");
+
+// The open preview, reused when the command runs again
+let panel = null;
+
+// The file shown in the preview, its version and the strings found in it
+let preview = null;
+
+/**
+ * Find the untranslated text of a document and suggest how to translate each
+ * string: with an existing key of the same text in the namespace of the
+ * translation function, or with a new key
+ * @param {vscode.TextDocument} document - The document
+ * @returns {Promise<Object>} The preview, with the strings as items
+ */
+async function buildPreview(document) {
+  const text = document.getText();
+  const module = findComponents(text, document.fileName);
+  const { translations, referenceLanguage } = await findTranslationFiles();
+
+  // Suggested keys count as taken, so different texts get different keys
+  const messages = JSON.parse(
+    JSON.stringify(translations[referenceLanguage] || {})
+  );
+
+  const strings = await findUntranslatedStrings(document);
+  const items = strings.map((string, id) => {
+    const plan = planExtraction(text, module, string.start);
+    if (plan.problem) {
+      return { id, string, plan, key: "", reusableKeys: [], action: "skip" };
+    }
+
+    // A namespaced translation function only reaches keys in its namespace
+    const prefix = plan.namespace ? `${plan.namespace}.` : "";
+    const reusableKeys = string.translationKeys
+      .filter((key) => key.startsWith(prefix))
+      .map((key) => key.substring(prefix.length));
+
+    const key =
+      reusableKeys[0] || suggestKey(string.value, plan.namespace, messages);
+    setNestedProperty(
+      messages,
+      joinKey(plan.namespace, key),
+      escapeMessageText(string.value)
+    );
+
+    return {
+      id,
+      string,
+      plan,
+      key,
+      reusableKeys,
+      action: reusableKeys.length > 0 ? "reuse" : "add",
+    };
+  });
+
+  return {
+    uri: document.uri,
+    version: document.version,
+    fileName: vscode.workspace.asRelativePath(document.uri),
+    module,
+    referenceLanguage,
+    items,
+  };
+}
+
+/**
+ * Send the strings of the preview to the webview
+ */
+async function loadPreview() {
+  if (!panel || !preview) return;
+
+  const document = await vscode.workspace.openTextDocument(preview.uri);
+  panel.webview.postMessage({
+    type: "load",
+    fileName: preview.fileName,
+    referenceLanguage: preview.referenceLanguage,
+    rows: preview.items.map((item) => ({
+      id: item.id,
+      text: item.string.value,
+      line: document.positionAt(item.string.start).line + 1,
+      namespace: item.plan.namespace,
+      key: item.key,
+      reusableKeys: item.reusableKeys,
+      action: item.action,
+      problem: item.plan.problem,
+    })),
+  });
+}
+
+/**
+ * Check the choices made in the preview and collect the keys to add
+ * @param {Object[]} changes - The action and key of each string by id
+ * @param {Object} content - Translations of the reference locale
+ * @returns {{accepted: Object[], newKeys: Map<string, string>, errors: Object}}
+ *   The items to replace with the key to use, the values of keys to add by
+ *   full key, and the problems by string id
+ */
+function validateChanges(changes, content) {
+  const accepted = [];
+  const newKeys = new Map();
+  const errors = {};
+
+  for (const { id, action, key } of changes) {
+    const item = preview.items[id];
+    if (!item || item.plan.problem || action === "skip") continue;
+
+    const problem = validateKey(key);
+    if (problem) {
+      errors[id] = problem;
+      continue;
+    }
+
+    const fullKey = joinKey(item.plan.namespace, key);
+    const value = escapeMessageText(item.string.value);
+    const existing = newKeys.has(fullKey)
+      ? newKeys.get(fullKey)
+      : getNestedProperty(content, fullKey);
+
+    if (action === "reuse" && existing === undefined) {
+      errors[id] = `"${fullKey}" doesn't exist`;
+    } else if (
+      action === "add" &&
+      existing !== undefined &&
+      existing !== value
+    ) {
+      errors[id] = `"${fullKey}" already has another value`;
+    } else {
+      if (existing === undefined) newKeys.set(fullKey, value);
+      accepted.push({ item, key });
+    }
+  }
+
+  return { accepted, newKeys, errors };
+}
+
+/**
+ * Write the new keys to the reference locale and replace the strings with
+ * translation calls, as one edit that can be undone
+ * @param {Object[]} changes - The action and key of each string by id
+ */
+async function applyExtraction(changes) {
+  const document = await vscode.workspace.openTextDocument(preview.uri);
+  if (document.version !== preview.version) {
+    vscode.window.showWarningMessage(
+      "The file changed, check the updated list and apply again"
+    );
+    preview = await buildPreview(document);
+    await loadPreview();
+    return;
+  }
+
+  const { translationFilePaths } = await findTranslationFiles();
+  const filePath = translationFilePaths[preview.referenceLanguage];
+  if (!filePath) {
+    vscode.window.showErrorMessage("No reference translation file found");
+    return;
+  }
+
+  const content = await readTranslationFile(filePath);
+  const { accepted, newKeys, errors } = validateChanges(changes, content);
+  if (Object.keys(errors).length > 0) {
+    panel.webview.postMessage({ type: "errors", errors });
+    return;
+  }
+  if (accepted.length === 0) {
+    vscode.window.showInformationMessage("No text selected for extraction");
+    return;
+  }
+
+  const edit = new vscode.WorkspaceEdit();
+  let urisToSave = [];
+  if (newKeys.size > 0) {
+    for (const [fullKey, value] of newKeys) {
+      setNestedProperty(content, fullKey, value);
+    }
+    urisToSave = await addTranslationFileEdits(edit, filePath, content);
+  }
+
+  // Components without a translation function get one declared once
+  const style = getCodeStyle(document, preview.module);
+  const declarations = new Map();
+  for (const { item, key } of accepted) {
+    const { string, plan } = item;
+    edit.replace(
+      preview.uri,
+      new vscode.Range(
+        document.positionAt(string.replaceStart),
+        document.positionAt(string.replaceEnd)
+      ),
+      createTranslationCall(plan.name, key, string, style)
+    );
+    if (plan.component) {
+      declarations.set(plan.component, plan);
+    }
+  }
+
+  const factories = new Set();
+  for (const [component, plan] of declarations) {
+    addTranslatorDeclaration(
+      edit,
+      document,
+      component,
+      plan.name,
+      plan.namespace,
+      style
+    );
+    factories.add(getTranslatorFactory(component));
+  }
+  for (const factory of factories) {
+    addFactoryImport(edit, document, preview.module, factory, style);
+  }
+
+  if (!(await vscode.workspace.applyEdit(edit))) {
+    throw new Error(`Failed to update ${preview.fileName}`);
+  }
+  await saveFiles(urisToSave);
+  await refreshTranslationFile(filePath);
+
+  vscode.window.showInformationMessage(
+    `Extracted ${accepted.length} strings, adding ${newKeys.size} keys to ${preview.referenceLanguage}`
+  );
+  panel.dispose();
+}
+
+/**
+ * Show a string of the preview in its editor
+ * @param {number} id - The string id
+ */
+async function revealString(id) {
+  const item = preview.items[id];
+  if (!item) return;
+
+  const document = await vscode.workspace.openTextDocument(preview.uri);
+  const range = new vscode.Range(
+    document.positionAt(item.string.start),
+    document.positionAt(item.string.end)
+  );
+  await vscode.window.showTextDocument(document, {
+    viewColumn: vscode.ViewColumn.One,
+    selection: range,
+  });
+}
+
+/**
+ * Command handler to review all untranslated text of the active file and
+ * extract it to translation keys
+ */
+async function extractAllText() {
+  try {
+    const editor = vscode.window.activeTextEditor;
+    if (!editor || !isJSXFile(editor.document)) {
+      vscode.window.showInformationMessage(
+        "Open a component to extract its text"
+      );
+      return;
+    }
+
+    const { translations } = await findTranslationFiles();
+    if (Object.keys(translations).length === 0) {
+      vscode.window.showErrorMessage("No translation files found");
+      return;
+    }
+
+    const nextPreview = await buildPreview(editor.document);
+    if (nextPreview.items.length === 0) {
+      vscode.window.showInformationMessage("No untranslated text found");
+      return;
+    }
+    preview = nextPreview;
+
+    if (panel) {
+      panel.reveal();
+      await loadPreview();
+      return;
+    }
+
+    const mediaUri = vscode.Uri.joinPath(getContext().extensionUri, "media");
+    panel = vscode.window.createWebviewPanel(
+      "nextIntlHelper.extractPreview",
+      "Extract Untranslated Text",
+      vscode.ViewColumn.Beside,
+      {
+        enableScripts: true,
+        retainContextWhenHidden: true,
+        localResourceRoots: [mediaUri],
+      }
+    );
+
+    panel.webview.html = renderWebviewPage(
+      panel.webview,
+      "Extract Untranslated Text",
+      `<div id="toolbar">
+  <span id="summary"></span>
+  <span class="separator"></span>
+  <button data-action="add">Add all</button>
+  <button data-action="skip">Skip all</button>
+  <span class="separator"></span>
+  <button id="apply">Apply</button>
+  <span id="status"></span>
+</div>
+<table id="rows"></table>`,
+      {
+        nonce: getNonce(),
+        style: `#toolbar { position: sticky; top: 0; display: flex; gap: 8px; align-items: center; padding: 8px 0; background: var(--vscode-editor-background); }
+    .separator { flex: 0 0 8px; }
+    td input[type="text"], td select { box-sizing: border-box; color: var(--vscode-input-foreground); background: var(--vscode-input-background); border: 1px solid transparent; }
+    td input[type="text"] { width: 100%; }
+    td.error input[type="text"] { border-color: var(--vscode-inputValidation-errorBorder); }
+    td .namespace, td .problem { opacity: 0.7; }
+    td .message { color: var(--vscode-errorForeground); }
+    tr.skipped td.text { text-decoration: line-through; opacity: 0.5; }
+    td.key { font-family: var(--vscode-editor-font-family); }`,
+        scriptUri: panel.webview.asWebviewUri(
+          vscode.Uri.joinPath(mediaUri, "extractPreview.js")
+        ),
+      }
+    );
+
+    panel.webview.onDidReceiveMessage(async (message) => {
+      try {
+        if (message.type === "ready") {
+          await loadPreview();
+        } else if (message.type === "reveal") {
+          await revealString(message.id);
+        } else if (message.type === "apply") {
+          await applyExtraction(message.changes);
+        }
+      } catch (error) {
+        vscode.window.showErrorMessage(`Error: ${error.message}`);
+        if (panel) panel.webview.postMessage({ type: "failed" });
+      }
+    });
+
+    panel.onDidDispose(() => {
+      panel = null;
+      preview = null;
+    });
+  } catch (error) {
+    vscode.window.showErrorMessage(`Error: ${error.message}`);
+  }
+}
+
+/**
+ * Register the command to extract all untranslated text of a file
+ * @param {vscode.ExtensionContext} context - The extension context
+ */
+function registerExtractPreview(context) {
+  const extractAllCommand = vscode.commands.registerCommand(
+    "nextIntlHelper.extractAllText",
+    extractAllText
+  );
+
+  context.subscriptions.push(extractAllCommand);
+}
+
+module.exports = {
+  registerExtractPreview,
+};
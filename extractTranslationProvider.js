@@ -0,0 +1,360 @@
+// extractTranslationProvider.js - Code actions that move hardcoded text in components to the translation files
+const vscode = require("vscode");
+const { findTranslationFiles } = require("./utils/translationIndex");
+const { findTranslationCallAt, joinKey } = require("./utils/callUtils");
+const {
+  findTranslatableStringAt,
+  findStringLiteralAt,
+  findInterpolatedMessageAt,
+  findComponents,
+} = require("./utils/astUtils");
+const {
+  parseMessage,
+  getMessageSignature,
+  escapeMessageText,
+} = require("./utils/icuUtils");
+const {
+  planExtraction,
+  suggestKey,
+  createIcuMessage,
+  validateKey,
+  getCodeStyle,
+  createTranslationCall,
+  getTranslatorFactory,
+  addTranslatorDeclaration,
+  addFactoryImport,
+} = require("./utils/extractUtils");
+const { addTranslationKeyWithValue } = require("./commandHandlers");
+
+/**
+ * Languages whose documents get the extract action
+ */
+const SUPPORTED_LANGUAGES = [
+  "javascript",
+  "javascriptreact",
+  "typescript",
+  "typescriptreact",
+];
+
+/**
+ * Command run by the extract action
+ */
+const EXTRACT_COMMAND = "nextIntlHelper.extractTranslation";
+
+/**
+ * Command run by the action that extracts text built from values
+ */
+const EXTRACT_MESSAGE_COMMAND = "nextIntlHelper.extractMessage";
+
+/**
+ * Number of characters of the text shown in the action title
+ */
+const MAX_TITLE_LENGTH = 30;
+
+/**
+ * Find the text at an offset that can be extracted: rendered text or a string
+ * literal with letters in it
+ * @param {vscode.TextDocument} document - The document
+ * @param {number} offset - Offset in the document
+ * @returns {Object|null} The string, see collectTranslatableStrings in astUtils
+ */
+function findExtractableString(document, offset) {
+  const string =
+    findTranslatableStringAt(document, offset) ||
+    findStringLiteralAt(document, offset);
+  return string && /\p{L}/u.test(string.value) ? string : null;
+}
+
+/**
+ * Get the text shown for a string in an action title, shortened if needed
+ * @param {string} text - The text
+ * @returns {string} The title text
+ */
+function getTitleText(text) {
+  return text.length > MAX_TITLE_LENGTH
+    ? `${text.substring(0, MAX_TITLE_LENGTH - 1)}…`
+    : text;
+}
+
+/**
+ * Check an ICU message typed by the user: it must parse and only use the
+ * arguments the call passes
+ * @param {string} message - The message
+ * @param {Object[]} values - The values passed, see createIcuMessage in
+ *   extractUtils
+ * @returns {string|null} The problem, or null if the message is valid
+ */
+function validateMessage(message, values) {
+  const { ast, error } = parseMessage(message);
+  if (error) {
+    return error.message;
+  }
+
+  for (const name of getMessageSignature(ast).arguments.keys()) {
+    if (!values.some((value) => value.name === name)) {
+      return `The call has no value for {${name}}`;
+    }
+  }
+  return null;
+}
+
+/**
+ * Add the key to the reference locale and replace the text with a call of the
+ * translation function, declaring one in the component if there's none yet
+ * @param {vscode.TextDocument} document - The document
+ * @param {number} version - Version of the document the text was found in
+ * @param {Object} module - The module, see findComponents in astUtils
+ * @param {Object} plan - How to translate the text, see planExtraction in
+ *   extractUtils
+ * @param {Object} string - The text to replace
+ * @param {string} key - The key, relative to the namespace
+ * @param {string} value - Value of the key
+ * @param {Object[]} [values] - Values of the message arguments
+ */
+async function replaceWithTranslation(
+  document,
+  version,
+  module,
+  plan,
+  string,
+  key,
+  value,
+  values = []
+) {
+  if (document.version !== version) {
+    vscode.window.showErrorMessage(
+      "The file changed while extracting the text, please try again"
+    );
+    return;
+  }
+
+  const added = await addTranslationKeyWithValue(
+    joinKey(plan.namespace, key),
+    value
+  );
+  if (!added) {
+    return;
+  }
+
+  const style = getCodeStyle(document, module);
+  const edit = new vscode.WorkspaceEdit();
+  edit.replace(
+    document.uri,
+    new vscode.Range(
+      document.positionAt(string.replaceStart),
+      document.positionAt(string.replaceEnd)
+    ),
+    createTranslationCall(plan.name, key, string, style, values)
+  );
+
+  if (plan.component) {
+    const factory = getTranslatorFactory(plan.component);
+    addTranslatorDeclaration(
+      edit,
+      document,
+      plan.component,
+      plan.name,
+      plan.namespace,
+      style
+    );
+    addFactoryImport(edit, document, module, factory, style);
+  }
+
+  if (!(await vscode.workspace.applyEdit(edit))) {
+    vscode.window.showErrorMessage("Failed to replace the text");
+  }
+}
+
+/**
+ * Command handler that moves text to a key in the reference locale and
+ * replaces it with a call of the translation function in scope
+ * @param {vscode.Uri} uri - The document
+ * @param {number} version - Version of the document the string was found in
+ * @param {Object} string - The string, see collectTranslatableStrings in astUtils
+ */
+async function extractTranslation(uri, version, string) {
+  try {
+    const document = await vscode.workspace.openTextDocument(uri);
+    const text = document.getText();
+    const module = findComponents(text, document.fileName);
+    const plan = planExtraction(text, module, string.start);
+
+    if (plan.problem) {
+      vscode.window.showErrorMessage(plan.problem);
+      return;
+    }
+
+    const { translations, referenceLanguage } = await findTranslationFiles();
+    const key = await vscode.window.showInputBox({
+      prompt: plan.namespace
+        ? `Enter the translation key for this text in "${plan.namespace}"`
+        : "Enter the translation key for this text",
+      value: suggestKey(
+        string.value,
+        plan.namespace,
+        translations[referenceLanguage]
+      ),
+      validateInput: validateKey,
+    });
+
+    if (!key) {
+      return; // User cancelled
+    }
+
+    await replaceWithTranslation(
+      document,
+      version,
+      module,
+      plan,
+      string,
+      key,
+      escapeMessageText(string.value)
+    );
+  } catch (error) {
+    vscode.window.showErrorMessage(`Error extracting text: ${error.message}`);
+  }
+}
+
+/**
+ * Command handler that turns text built from strings and values into an ICU
+ * message with an argument for each value, and replaces it with a call that
+ * passes the values, e.g. `t("welcomeBack", { name: user.name })`
+ * @param {vscode.Uri} uri - The document
+ * @param {number} version - Version of the document the text was found in
+ * @param {Object} interpolated - The text, see collectInterpolatedMessages in
+ *   astUtils
+ */
+async function extractMessage(uri, version, interpolated) {
+  try {
+    const document = await vscode.workspace.openTextDocument(uri);
+    const text = document.getText();
+    const module = findComponents(text, document.fileName);
+    const plan = planExtraction(text, module, interpolated.start);
+
+    if (plan.problem) {
+      vscode.window.showErrorMessage(plan.problem);
+      return;
+    }
+
+    const { message, values, ...icu } = createIcuMessage(interpolated.parts);
+    const { translations, referenceLanguage } = await findTranslationFiles();
+    const key = await vscode.window.showInputBox({
+      prompt: plan.namespace
+        ? `Enter the translation key for this message in "${plan.namespace}"`
+        : "Enter the translation key for this message",
+      value: suggestKey(
+        message,
+        plan.namespace,
+        translations[referenceLanguage],
+        icu.text
+      ),
+      validateInput: validateKey,
+    });
+
+    if (!key) {
+      return; // User cancelled
+    }
+
+    // Let the user adjust the wording, e.g. the plural forms
+    const value = await vscode.window.showInputBox({
+      prompt: "Check the ICU message",
+      value: message,
+      validateInput: (input) => validateMessage(input, values),
+    });
+
+    if (!value) {
+      return; // User cancelled
+    }
+
+    await replaceWithTranslation(
+      document,
+      version,
+      module,
+      plan,
+      interpolated,
+      key,
+      value,
+      values
+    );
+  } catch (error) {
+    vscode.window.showErrorMessage(`Error extracting text: ${error.message}`);
+  }
+}
+
+/**
+ * Offers to extract the text or string literal at the cursor, and text built
+ * from strings and values around it as an ICU message
+ */
+const extractCodeActionProvider = {
+  provideCodeActions(document, range) {
+    // The key of a translation call isn't text to extract
+    const offset = document.offsetAt(range.start);
+    if (findTranslationCallAt(document.getText(), offset)) {
+      return [];
+    }
+
+    const actions = [];
+    const interpolated = findInterpolatedMessageAt(document, offset);
+    if (interpolated) {
+      const { message } = createIcuMessage(interpolated.parts);
+      const action = new vscode.CodeAction(
+        `Extract "${getTitleText(message)}" to an ICU message`,
+        vscode.CodeActionKind.RefactorExtract
+      );
+      action.command = {
+        command: EXTRACT_MESSAGE_COMMAND,
+        title: action.title,
+        arguments: [document.uri, document.version, interpolated],
+      };
+      actions.push(action);
+    }
+
+    const string = findExtractableString(document, offset);
+    if (string) {
+      const action = new vscode.CodeAction(
+        `Extract "${getTitleText(string.value)}" to a translation key`,
+        vscode.CodeActionKind.RefactorExtract
+      );
+      action.command = {
+        command: EXTRACT_COMMAND,
+        title: action.title,
+        arguments: [document.uri, document.version, string],
+      };
+      actions.push(action);
+    }
+
+    return actions;
+  },
+};
+
+/**
+ * Registers the code actions that extract hardcoded text to a translation key
+ * @param {vscode.ExtensionContext} context - Extension context
+ */
+function registerExtractTranslation(context) {
+  const codeActionProvider = vscode.languages.registerCodeActionsProvider(
+    SUPPORTED_LANGUAGES,
+    extractCodeActionProvider,
+    { providedCodeActionKinds: [vscode.CodeActionKind.RefactorExtract] }
+  );
+
+  const extractCommand = vscode.commands.registerCommand(
+    EXTRACT_COMMAND,
+    extractTranslation
+  );
+
+  const extractMessageCommand = vscode.commands.registerCommand(
+    EXTRACT_MESSAGE_COMMAND,
+    extractMessage
+  );
+
+  context.subscriptions.push(
+    codeActionProvider,
+    extractCommand,
+    extractMessageCommand
+  );
+}
+
+module.exports = {
+  registerExtractTranslation,
+};
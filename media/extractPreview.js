@@ -0,0 +1,186 @@
+// media/extractPreview.js - Client side of the extract untranslated text webview
+/* global vscode */
+
+// Strings from the extension with the action and key chosen for each
+let rows = [];
+let errors = {};
+
+const table = document.getElementById("rows");
+const summaryText = document.getElementById("summary");
+const applyButton = document.getElementById("apply");
+const statusText = document.getElementById("status");
+
+/**
+ * Show how many strings will be extracted
+ */
+function updateStatus() {
+  const extracted = rows.filter((row) => row.action !== "skip").length;
+  applyButton.disabled = extracted === 0;
+  statusText.textContent = `${extracted} of ${rows.length} strings selected`;
+}
+
+/**
+ * Create the select with the actions for a string: add a new key, use one of
+ * the existing keys with the same text, or skip it
+ * @param {Object} row - The row
+ * @param {HTMLInputElement} keyInput - The key input of the row
+ * @returns {HTMLSelectElement} The select
+ */
+function renderActionSelect(row, keyInput) {
+  const select = document.createElement("select");
+  const options = [
+    { value: "add", label: "Add new key" },
+    ...row.reusableKeys.map((key) => ({
+      value: `reuse:${key}`,
+      label: `Use existing "${key}"`,
+    })),
+    { value: "skip", label: "Skip" },
+  ];
+
+  for (const { value, label } of options) {
+    const option = document.createElement("option");
+    option.value = value;
+    option.textContent = label;
+    select.appendChild(option);
+  }
+
+  select.value = row.action === "reuse" ? `reuse:${row.key}` : row.action;
+  select.disabled = Boolean(row.problem);
+  select.addEventListener("change", () => {
+    const [action, key] = select.value.split(/:(.*)/);
+    row.action = action;
+    if (action === "reuse") {
+      row.key = key;
+      keyInput.value = key;
+    }
+    render();
+  });
+
+  return select;
+}
+
+/**
+ * Create the table row of a string
+ * @param {Object} row - The row
+ * @returns {HTMLElement} The table row
+ */
+function renderRow(row) {
+  const tableRow = document.createElement("tr");
+  tableRow.classList.toggle("skipped", row.action === "skip");
+
+  const textCell = document.createElement("td");
+  textCell.className = "text";
+  textCell.textContent = row.text;
+  tableRow.appendChild(textCell);
+
+  const lineCell = document.createElement("td");
+  const lineLink = document.createElement("a");
+  lineLink.textContent = String(row.line);
+  lineLink.title = "Show in the editor";
+  lineLink.addEventListener("click", () =>
+    vscode.postMessage({ type: "reveal", id: row.id })
+  );
+  lineCell.appendChild(lineLink);
+  tableRow.appendChild(lineCell);
+
+  const keyCell = document.createElement("td");
+  keyCell.className = "key";
+  keyCell.classList.toggle("error", row.id in errors);
+
+  const message = document.createElement("div");
+  message.className = row.problem ? "problem" : "message";
+  message.textContent = row.problem || errors[row.id] || "";
+
+  const keyInput = document.createElement("input");
+  keyInput.type = "text";
+  keyInput.value = row.key;
+  keyInput.disabled = row.action !== "add";
+  keyInput.addEventListener("input", () => {
+    row.key = keyInput.value.trim();
+    delete errors[row.id];
+    keyCell.classList.remove("error");
+    message.textContent = "";
+  });
+
+  if (row.namespace) {
+    const namespace = document.createElement("span");
+    namespace.className = "namespace";
+    namespace.textContent = `${row.namespace}.`;
+    keyCell.appendChild(namespace);
+  }
+  keyCell.appendChild(keyInput);
+  keyCell.appendChild(message);
+  tableRow.appendChild(keyCell);
+
+  const actionCell = document.createElement("td");
+  actionCell.appendChild(renderActionSelect(row, keyInput));
+  tableRow.appendChild(actionCell);
+
+  return tableRow;
+}
+
+/**
+ * Render the table
+ */
+function render() {
+  const header = document.createElement("tr");
+  for (const title of ["Text", "Line", "Key", "Action"]) {
+    const cell = document.createElement("th");
+    cell.textContent = title;
+    header.appendChild(cell);
+  }
+
+  table.replaceChildren(header, ...rows.map(renderRow));
+  updateStatus();
+}
+
+/**
+ * Apply an action to every string that can be extracted
+ * @param {string} action - "add" or "skip"
+ */
+function applyBulkAction(action) {
+  for (const row of rows) {
+    if (!row.problem) {
+      row.action = action;
+    }
+  }
+  render();
+}
+
+/**
+ * Send the chosen actions and keys to the extension
+ */
+function apply() {
+  applyButton.disabled = true;
+  statusText.textContent = "Extracting...";
+  vscode.postMessage({
+    type: "apply",
+    changes: rows.map(({ id, action, key }) => ({ id, action, key })),
+  });
+}
+
+applyButton.addEventListener("click", apply);
+for (const button of document.querySelectorAll("[data-action]")) {
+  button.addEventListener("click", () =>
+    applyBulkAction(button.dataset.action)
+  );
+}
+
+window.addEventListener("message", (event) => {
+  const message = event.data;
+
+  if (message.type === "load") {
+    rows = message.rows;
+    errors = {};
+    summaryText.textContent = `${message.fileName}: new keys are added to ${message.referenceLanguage}`;
+    render();
+  } else if (message.type === "errors") {
+    errors = message.errors;
+    render();
+    statusText.textContent = "Fix the marked keys and apply again";
+  } else if (message.type === "failed") {
+    updateStatus();
+  }
+});
+
+vscode.postMessage({ type: "ready" });
@@ -0,0 +1,348 @@
+// media/translationEditor.js - Client side of the translation editor webview
+/* global vscode */
+
+// Translations from the extension, and the changes that aren't saved yet
+let referenceLanguage = "";
+let locales = [];
+let rows = [];
+const edits = new Map();
+const deletedKeys = new Set();
+const selectedKeys = new Set();
+
+const grid = document.getElementById("grid");
+const searchInput = document.getElementById("search");
+const namespaceSelect = document.getElementById("namespace");
+const missingOnlyInput = document.getElementById("missingOnly");
+const saveButton = document.getElementById("save");
+const statusText = document.getElementById("status");
+
+/**
+ * Get the value of a cell, including unsaved changes
+ * @param {Object} row - The row
+ * @param {string} locale - The locale of the cell
+ * @returns {string|null} The value, or null if the key is missing
+ */
+function getValue(row, locale) {
+  const rowEdits = edits.get(row.key);
+  return rowEdits && locale in rowEdits ? rowEdits[locale] : row.values[locale];
+}
+
+/**
+ * Change the value of a cell, dropping the change when it matches the file
+ * @param {Object} row - The row
+ * @param {string} locale - The locale of the cell
+ * @param {string} value - The new value
+ */
+function setValue(row, locale, value) {
+  const rowEdits = edits.get(row.key) || {};
+
+  if (value === row.values[locale]) {
+    delete rowEdits[locale];
+  } else {
+    rowEdits[locale] = value;
+  }
+
+  if (Object.keys(rowEdits).length > 0) {
+    edits.set(row.key, rowEdits);
+  } else {
+    edits.delete(row.key);
+  }
+}
+
+/**
+ * Check whether a row lacks a translation in any locale
+ * @param {Object} row - The row
+ * @returns {boolean} True if a value is missing or empty
+ */
+function isIncomplete(row) {
+  return locales.some((locale) => {
+    const value = getValue(row, locale);
+    return value === null || value === "";
+  });
+}
+
+/**
+ * Get the rows matching the search, namespace and missing filters
+ * @returns {Object[]} The visible rows
+ */
+function getVisibleRows() {
+  const search = searchInput.value.trim().toLowerCase();
+  const namespace = namespaceSelect.value;
+
+  return rows.filter((row) => {
+    if (namespace && !row.key.startsWith(`${namespace}.`)) return false;
+    if (missingOnlyInput.checked && !isIncomplete(row)) return false;
+    if (!search) return true;
+
+    return (
+      row.key.toLowerCase().includes(search) ||
+      locales.some((locale) => {
+        const value = getValue(row, locale);
+        return value !== null && String(value).toLowerCase().includes(search);
+      })
+    );
+  });
+}
+
+/**
+ * Update the styling of a cell after its value changed
+ * @param {HTMLElement} cell - The table cell
+ * @param {Object} row - The row
+ * @param {string} locale - The locale of the cell
+ */
+function updateCell(cell, row, locale) {
+  const value = getValue(row, locale);
+  cell.classList.toggle("missing", value === null || value === "");
+  cell.classList.toggle("changed", value !== row.values[locale]);
+}
+
+/**
+ * Show how many changes are waiting to be saved
+ */
+function updateStatus() {
+  let changes = deletedKeys.size;
+  for (const rowEdits of edits.values()) {
+    changes += Object.keys(rowEdits).length;
+  }
+
+  saveButton.disabled = changes === 0;
+  statusText.textContent =
+    changes > 0 ? `${changes} unsaved change${changes === 1 ? "" : "s"}` : "";
+}
+
+/**
+ * Create the header of the table
+ * @param {Object[]} visibleRows - The rows in the table
+ * @returns {HTMLElement} The header row
+ */
+function renderHeader(visibleRows) {
+  const header = document.createElement("tr");
+
+  const selectAll = document.createElement("input");
+  selectAll.type = "checkbox";
+  selectAll.title = "Select all shown keys";
+  selectAll.checked =
+    visibleRows.length > 0 &&
+    visibleRows.every((row) => selectedKeys.has(row.key));
+  selectAll.addEventListener("change", () => {
+    for (const row of visibleRows) {
+      if (selectAll.checked) {
+        selectedKeys.add(row.key);
+      } else {
+        selectedKeys.delete(row.key);
+      }
+    }
+    render();
+  });
+
+  const selectCell = document.createElement("th");
+  selectCell.appendChild(selectAll);
+  header.appendChild(selectCell);
+
+  for (const title of ["Key", ...locales]) {
+    const cell = document.createElement("th");
+    cell.textContent =
+      title === referenceLanguage ? `${title} (reference)` : title;
+    header.appendChild(cell);
+  }
+
+  return header;
+}
+
+/**
+ * Create the table row of a translation key
+ * @param {Object} row - The row
+ * @returns {HTMLElement} The table row
+ */
+function renderRow(row) {
+  const tableRow = document.createElement("tr");
+  tableRow.classList.toggle("deleted", deletedKeys.has(row.key));
+
+  const select = document.createElement("input");
+  select.type = "checkbox";
+  select.checked = selectedKeys.has(row.key);
+  select.addEventListener("change", () => {
+    if (select.checked) {
+      selectedKeys.add(row.key);
+    } else {
+      selectedKeys.delete(row.key);
+    }
+  });
+
+  const selectCell = document.createElement("td");
+  selectCell.appendChild(select);
+  tableRow.appendChild(selectCell);
+
+  const keyCell = document.createElement("td");
+  keyCell.className = "key";
+  keyCell.textContent = row.key;
+  tableRow.appendChild(keyCell);
+
+  for (const locale of locales) {
+    const value = getValue(row, locale);
+    const cell = document.createElement("td");
+    const input = document.createElement("input");
+    input.type = "text";
+    input.value = value === null ? "" : String(value);
+    input.placeholder = value === null ? "(missing)" : "";
+    input.disabled = deletedKeys.has(row.key);
+    input.addEventListener("input", () => {
+      setValue(row, locale, input.value);
+      updateCell(cell, row, locale);
+      updateStatus();
+    });
+
+    cell.appendChild(input);
+    updateCell(cell, row, locale);
+    tableRow.appendChild(cell);
+  }
+
+  return tableRow;
+}
+
+/**
+ * Render the table for the current filters
+ */
+function render() {
+  const visibleRows = getVisibleRows();
+
+  grid.replaceChildren(
+    renderHeader(visibleRows),
+    ...visibleRows.map(renderRow)
+  );
+  updateStatus();
+}
+
+/**
+ * Fill the namespace filter with the top-level namespaces
+ */
+function renderNamespaces() {
+  const current = namespaceSelect.value;
+  const namespaces = new Set(
+    rows
+      .filter((row) => row.key.includes("."))
+      .map((row) => row.key.split(".")[0])
+  );
+
+  namespaceSelect.replaceChildren(namespaceSelect.options[0]);
+  for (const namespace of namespaces) {
+    const option = document.createElement("option");
+    option.value = namespace;
+    option.textContent = namespace;
+    namespaceSelect.appendChild(option);
+  }
+  namespaceSelect.value = namespaces.has(current) ? current : "";
+}
+
+/**
+ * Apply a bulk action to the selected rows
+ * @param {string} action - "fill", "clear" or "delete"
+ */
+function applyBulkAction(action) {
+  const selectedRows = rows.filter((row) => selectedKeys.has(row.key));
+  if (selectedRows.length === 0) {
+    statusText.textContent = "Select the keys to change first";
+    return;
+  }
+
+  for (const row of selectedRows) {
+    if (action === "delete") {
+      // Deleting again restores the key
+      if (deletedKeys.has(row.key)) {
+        deletedKeys.delete(row.key);
+      } else {
+        deletedKeys.add(row.key);
+      }
+      continue;
+    }
+
+    const referenceValue = getValue(row, referenceLanguage);
+    for (const locale of locales) {
+      if (locale === referenceLanguage) continue;
+
+      const value = getValue(row, locale);
+      if (action === "clear") {
+        setValue(row, locale, "");
+      } else if ((value === null || value === "") && referenceValue !== null) {
+        setValue(row, locale, referenceValue);
+      }
+    }
+  }
+
+  render();
+}
+
+/**
+ * Send the unsaved changes to the extension
+ */
+function save() {
+  const changes = [];
+  for (const [key, rowEdits] of edits) {
+    if (deletedKeys.has(key)) continue;
+
+    for (const [locale, value] of Object.entries(rowEdits)) {
+      changes.push({ key, locale, value });
+    }
+  }
+
+  saveButton.disabled = true;
+  statusText.textContent = "Saving...";
+  vscode.postMessage({
+    type: "save",
+    changes,
+    deletedKeys: Array.from(deletedKeys),
+  });
+}
+
+searchInput.addEventListener("input", render);
+namespaceSelect.addEventListener("change", render);
+missingOnlyInput.addEventListener("change", render);
+saveButton.addEventListener("click", save);
+for (const button of document.querySelectorAll("[data-action]")) {
+  button.addEventListener("click", () =>
+    applyBulkAction(button.dataset.action)
+  );
+}
+
+window.addEventListener("message", (event) => {
+  const message = event.data;
+
+  if (message.type === "load") {
+    referenceLanguage = message.referenceLanguage;
+    locales = message.locales;
+    rows = message.rows;
+
+    // Keep unsaved changes to keys that still exist
+    const keys = new Set(rows.map((row) => row.key));
+    for (const key of [...edits.keys(), ...deletedKeys, ...selectedKeys]) {
+      if (!keys.has(key)) {
+        edits.delete(key);
+        deletedKeys.delete(key);
+        selectedKeys.delete(key);
+      }
+    }
+    for (const row of rows) {
+      for (const [locale, value] of Object.entries(edits.get(row.key) || {})) {
+        setValue(row, locale, value);
+      }
+    }
+
+    renderNamespaces();
+    render();
+  } else if (message.type === "saved") {
+    // Changes to locales whose file couldn't be written stay unsaved
+    const failedLocales = new Set(message.failedLocales);
+    for (const [key, rowEdits] of edits) {
+      for (const locale of Object.keys(rowEdits)) {
+        if (!failedLocales.has(locale)) delete rowEdits[locale];
+      }
+      if (Object.keys(rowEdits).length === 0) edits.delete(key);
+    }
+    if (failedLocales.size === 0) {
+      deletedKeys.clear();
+    }
+    selectedKeys.clear();
+  }
+});
+
+vscode.postMessage({ type: "ready" });
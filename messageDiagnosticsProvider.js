@@ -0,0 +1,314 @@
+// messageDiagnosticsProvider.js - Reports ICU syntax errors and differences between locales in the locale files
+const vscode = require("vscode");
+const { flattenKeys, getLocaleFiles } = require("./utils/translationUtils");
+const {
+  findTranslationFiles,
+  isTranslationFile,
+  onDidChangeTranslations,
+} = require("./utils/translationIndex");
+const { getTranslationFormat } = require("./utils/translationFormats");
+const {
+  parseMessage,
+  getMessageSignature,
+  findMissingPluralCategories,
+} = require("./utils/icuUtils");
+
+/**
+ * Source and codes shown with the diagnostics
+ */
+const DIAGNOSTIC_SOURCE = "NextIntl Helper";
+const INVALID_MESSAGE_CODE = "invalidMessage";
+const ARGUMENT_MISMATCH_CODE = "argumentMismatch";
+const MISSING_PLURAL_CATEGORY_CODE = "missingPluralCategory";
+
+/**
+ * Collection holding the diagnostics of the locale files
+ */
+let diagnosticCollection;
+
+/**
+ * Pending validation, to avoid re-checking on every keystroke
+ */
+let pendingValidation = null;
+
+/**
+ * Get the range of part of a message in the locale file
+ * @param {vscode.TextDocument} document - The locale file
+ * @param {Object} position - Position of the key, from the file's format
+ * @param {string} value - The message
+ * @param {Object} [location] - Offset and length of the part in the message
+ * @returns {vscode.Range} The range of the part, or of the whole value when the
+ *   string contains escapes and offsets can't be mapped
+ */
+function getMessageRange(document, position, value, location) {
+  const valueText = document
+    .getText()
+    .substr(position.valueOffset, position.valueLength);
+
+  // YAML values don't need quotes
+  const quoted = /^["']/.test(valueText);
+  const rawStart = position.valueOffset + (quoted ? 1 : 0);
+  const raw = quoted ? valueText.slice(1, -1) : valueText;
+
+  if (location && raw === value) {
+    return new vscode.Range(
+      document.positionAt(rawStart + location.offset),
+      document.positionAt(rawStart + location.offset + location.length)
+    );
+  }
+
+  return new vscode.Range(
+    document.positionAt(position.valueOffset),
+    document.positionAt(position.valueOffset + position.valueLength)
+  );
+}
+
+/**
+ * Create a diagnostic for the locale files
+ * @param {vscode.Range} range - The range
+ * @param {string} message - The message
+ * @param {vscode.DiagnosticSeverity} severity - The severity
+ * @param {string} code - The diagnostic code
+ * @returns {vscode.Diagnostic} The diagnostic
+ */
+function createDiagnostic(range, message, severity, code) {
+  const diagnostic = new vscode.Diagnostic(range, message, severity);
+  diagnostic.source = DIAGNOSTIC_SOURCE;
+  diagnostic.code = code;
+  return diagnostic;
+}
+
+/**
+ * Describe how the arguments and tags of a message differ from the reference
+ * @param {Object} signature - Signature of the message
+ * @param {Object} referenceSignature - Signature of the reference message
+ * @param {string} referenceLanguage - The reference language
+ * @returns {string[]} The differences
+ */
+function compareSignatures(signature, referenceSignature, referenceLanguage) {
+  const problems = [];
+
+  for (const [name, type] of referenceSignature.arguments) {
+    const localeType = signature.arguments.get(name);
+
+    if (!localeType) {
+      problems.push(`Missing argument {${name}} used in ${referenceLanguage}`);
+    } else if (
+      type !== "argument" &&
+      localeType !== "argument" &&
+      localeType !== type
+    ) {
+      problems.push(
+        `Argument {${name}} is a ${localeType} but a ${type} in ${referenceLanguage}`
+      );
+    }
+  }
+  for (const name of signature.arguments.keys()) {
+    if (!referenceSignature.arguments.has(name)) {
+      problems.push(`Argument {${name}} isn't used in ${referenceLanguage}`);
+    }
+  }
+
+  for (const tag of referenceSignature.tags) {
+    if (!signature.tags.has(tag)) {
+      problems.push(`Missing tag <${tag}> used in ${referenceLanguage}`);
+    }
+  }
+  for (const tag of signature.tags) {
+    if (!referenceSignature.tags.has(tag)) {
+      problems.push(`Tag <${tag}> isn't used in ${referenceLanguage}`);
+    }
+  }
+
+  return problems;
+}
+
+/**
+ * Check the messages of one locale file
+ * @param {vscode.TextDocument} document - The locale file
+ * @param {string} lang - The language of the file
+ * @param {?string} namespace - The namespace the file holds in a locale
+ *   directory, or null
+ * @param {Object} content - The parsed file
+ * @param {Map<string, Object>} referenceSignatures - Signatures of the valid
+ *   reference messages by key
+ * @param {string} referenceLanguage - The reference language
+ * @returns {vscode.Diagnostic[]} The diagnostics
+ */
+function validateLocaleFile(
+  document,
+  lang,
+  namespace,
+  content,
+  referenceSignatures,
+  referenceLanguage
+) {
+  const diagnostics = [];
+  const positions = getTranslationFormat(document.uri.fsPath).getKeyPositions(
+    document.getText()
+  );
+
+  const prefixLength = namespace ? namespace.length + 1 : 0;
+
+  for (const { key, value } of flattenKeys(content, namespace || "")) {
+    const position = positions.get(key.substring(prefixLength));
+    if (typeof value !== "string" || !position) continue;
+
+    const { ast, error } = parseMessage(value);
+    if (error) {
+      diagnostics.push(
+        createDiagnostic(
+          getMessageRange(document, position, value, error),
+          `Invalid message: ${error.message}`,
+          vscode.DiagnosticSeverity.Error,
+          INVALID_MESSAGE_CODE
+        )
+      );
+      continue;
+    }
+
+    for (const plural of findMissingPluralCategories(ast, lang)) {
+      const location = {
+        offset: plural.location.start.offset,
+        length: plural.location.end.offset - plural.location.start.offset,
+      };
+      const categories = plural.missing
+        .map((category) => `"${category}"`)
+        .join(", ");
+      diagnostics.push(
+        createDiagnostic(
+          getMessageRange(document, position, value, location),
+          `{${plural.argument}} is missing the ${categories} plural categories required in ${lang}`,
+          vscode.DiagnosticSeverity.Warning,
+          MISSING_PLURAL_CATEGORY_CODE
+        )
+      );
+    }
+
+    const referenceSignature = referenceSignatures.get(key);
+    if (lang === referenceLanguage || !referenceSignature) continue;
+
+    const problems = compareSignatures(
+      getMessageSignature(ast),
+      referenceSignature,
+      referenceLanguage
+    );
+    if (problems.length > 0) {
+      diagnostics.push(
+        createDiagnostic(
+          getMessageRange(document, position, value),
+          problems.join("\n"),
+          vscode.DiagnosticSeverity.Warning,
+          ARGUMENT_MISMATCH_CODE
+        )
+      );
+    }
+  }
+
+  return diagnostics;
+}
+
+/**
+ * Check every locale file, using unsaved changes of open files
+ */
+async function validateTranslationFiles() {
+  const { translationFilePaths, referenceLanguage } =
+    await findTranslationFiles();
+
+  const files = [];
+  for (const [lang, localePath] of Object.entries(translationFilePaths)) {
+    for (const { filePath, namespace } of await getLocaleFiles(localePath)) {
+      try {
+        const document = await vscode.workspace.openTextDocument(
+          vscode.Uri.file(filePath)
+        );
+        const format = getTranslationFormat(filePath);
+        const content = format.parse(document.getText());
+        files.push({ lang, namespace, document, content });
+      } catch (error) {
+        // Syntax errors are already reported by the language support
+        continue;
+      }
+    }
+  }
+
+  // The arguments and tags of the reference messages
+  const referenceSignatures = new Map();
+  const references = files.filter((file) => file.lang === referenceLanguage);
+  for (const { namespace, content } of references) {
+    for (const { key, value } of flattenKeys(content, namespace || "")) {
+      if (typeof value !== "string") continue;
+
+      const { ast } = parseMessage(value);
+      if (ast) {
+        referenceSignatures.set(key, getMessageSignature(ast));
+      }
+    }
+  }
+
+  diagnosticCollection.clear();
+  for (const { lang, namespace, document, content } of files) {
+    diagnosticCollection.set(
+      document.uri,
+      validateLocaleFile(
+        document,
+        lang,
+        namespace,
+        content,
+        referenceSignatures,
+        referenceLanguage
+      )
+    );
+  }
+}
+
+/**
+ * Validate the locale files after a short delay
+ */
+function scheduleValidation() {
+  clearTimeout(pendingValidation);
+
+  pendingValidation = setTimeout(() => {
+    pendingValidation = null;
+    validateTranslationFiles().catch((error) =>
+      console.error("Error validating translation files:", error)
+    );
+  }, 300);
+}
+
+/**
+ * Register the diagnostics for the messages in the locale files
+ * @param {vscode.ExtensionContext} context - The extension context
+ */
+function registerMessageDiagnostics(context) {
+  diagnosticCollection = vscode.languages.createDiagnosticCollection(
+    "nextIntlHelperMessages"
+  );
+
+  vscode.workspace.onDidChangeTextDocument(
+    async (event) => {
+      try {
+        if (await isTranslationFile(event.document)) {
+          scheduleValidation();
+        }
+      } catch (error) {
+        console.error("Error checking the changed document:", error);
+      }
+    },
+    null,
+    context.subscriptions
+  );
+
+  // Re-check when files are saved, added or removed
+  onDidChangeTranslations(scheduleValidation, null, context.subscriptions);
+
+  scheduleValidation();
+
+  context.subscriptions.push(diagnosticCollection, {
+    dispose: () => clearTimeout(pendingValidation),
+  });
+}
+
+module.exports = {
+  registerMessageDiagnostics,
+};
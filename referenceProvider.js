@@ -0,0 +1,97 @@
+// referenceProvider.js - Provides Find All References for keys inside translation files
+const vscode = require("vscode");
+const {
+  isTranslationFile,
+  findNamespaceOfFile,
+  findKeyLocations,
+} = require("./utils/translationIndex");
+const { getTranslationFormat } = require("./utils/translationFormats");
+const { isKeyOrChild, joinKey } = require("./utils/callUtils");
+const { scanWorkspaceUsages, getUsageRange } = require("./utils/usageUtils");
+
+/**
+ * Find every place in the workspace that uses a translation key
+ * @param {string} translationKey - The full translation key
+ * @param {vscode.CancellationToken} [token] - Token to stop the scan
+ * @returns {Promise<vscode.Location[]>} Locations of the calls and namespaces using the key
+ */
+async function findKeyReferences(translationKey, token) {
+  const usages = await scanWorkspaceUsages(token);
+  const locations = [];
+
+  for (const usage of usages) {
+    // Calls like t("leaf") are resolved against their namespace
+    const ranges = usage.calls
+      .filter(
+        (call) =>
+          call.fullKey !== null && isKeyOrChild(call.fullKey, translationKey)
+      )
+      .map((call) => [call.keyStart, call.keyEnd]);
+
+    // useTranslations("key") uses a namespace
+    for (const binding of usage.bindings) {
+      if (
+        binding.namespace &&
+        isKeyOrChild(binding.namespace, translationKey)
+      ) {
+        ranges.push([binding.namespaceStart, binding.namespaceEnd]);
+      }
+    }
+
+    for (const [start, end] of ranges.sort((a, b) => a[0] - b[0])) {
+      locations.push(
+        new vscode.Location(usage.uri, getUsageRange(usage, start, end))
+      );
+    }
+  }
+
+  return locations;
+}
+
+/**
+ * Reference provider for keys in translation files
+ */
+const referenceProvider = {
+  async provideReferences(document, position, context, token) {
+    try {
+      if (!(await isTranslationFile(document))) return;
+
+      const format = getTranslationFormat(document.uri.fsPath);
+      const key = format.getKeyAtOffset(
+        document.getText(),
+        document.offsetAt(position)
+      );
+      if (!key) return;
+
+      // Keys in a namespace file of a locale directory are relative to it
+      const namespace = await findNamespaceOfFile(document.uri.fsPath);
+      const translationKey = joinKey(namespace, key);
+
+      const locations = await findKeyReferences(translationKey, token);
+
+      // The key itself in each locale file
+      if (context.includeDeclaration) {
+        for (const location of await findKeyLocations(translationKey)) {
+          locations.push(
+            new vscode.Location(
+              vscode.Uri.file(location.filePath),
+              new vscode.Range(
+                location.start.line,
+                location.start.character,
+                location.end.line,
+                location.end.character
+              )
+            )
+          );
+        }
+      }
+
+      return locations;
+    } catch (error) {
+      console.error("Error finding translation key references:", error);
+      return undefined;
+    }
+  },
+};
+
+module.exports = referenceProvider;
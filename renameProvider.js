@@ -0,0 +1,377 @@
+// renameProvider.js - Renames translation keys across the code and all locale files
+const vscode = require("vscode");
+const {
+  getNestedProperty,
+  renameNestedProperty,
+  isLocaleDirectory,
+  getLocaleFiles,
+  getNamespaceFileChanges,
+  getWriteOptions,
+  getTextChange,
+} = require("./utils/translationUtils");
+const {
+  findTranslationFiles,
+  isTranslationFile,
+  findNamespaceOfFile,
+} = require("./utils/translationIndex");
+const {
+  getTranslationFormat,
+  renameKeyInText,
+} = require("./utils/translationFormats");
+const {
+  findTranslationCallAt,
+  findTranslatorBindings,
+  joinKey,
+  isKeyOrChild,
+} = require("./utils/callUtils");
+const { scanWorkspaceUsages, getUsageRange } = require("./utils/usageUtils");
+
+/**
+ * Find the key being renamed at a position
+ * @param {vscode.TextDocument} document - The document
+ * @param {vscode.Position} position - The position
+ * @returns {Promise<Object|null>} The full key, the range to show in the rename box,
+ *   its placeholder and how to turn the typed name into a full key
+ */
+async function findRenameTarget(document, position) {
+  const text = document.getText();
+  const offset = document.offsetAt(position);
+
+  if (await isTranslationFile(document)) {
+    const format = getTranslationFormat(document.uri.fsPath);
+    const key = format.getKeyAtOffset(text, offset);
+    const keyPosition = key && format.getKeyPositions(text).get(key);
+    if (!keyPosition) return null;
+
+    // Keys in a namespace file of a locale directory are relative to it
+    const namespace = await findNamespaceOfFile(document.uri.fsPath);
+    const translationKey = joinKey(namespace, key);
+
+    // Keys can be unquoted in YAML, JSON5 and message modules
+    const { keyOffset, keyLength } = keyPosition;
+    const quote = /["']/.test(text[keyOffset]) ? 1 : 0;
+
+    // In locale files the full path is typed, so keys can be moved
+    return {
+      translationKey,
+      range: new vscode.Range(
+        document.positionAt(keyOffset + quote),
+        document.positionAt(keyOffset + keyLength - quote)
+      ),
+      placeholder: translationKey,
+      toFullKey: (newName) => newName,
+    };
+  }
+
+  const call = findTranslationCallAt(text, offset);
+  if (call && !call.dynamic && call.fullKey !== null) {
+    // In code the key relative to the namespace is typed
+    return {
+      translationKey: call.fullKey,
+      range: new vscode.Range(
+        document.positionAt(call.keyStart),
+        document.positionAt(call.keyEnd)
+      ),
+      placeholder: call.key,
+      toFullKey: (newName) => joinKey(call.namespace, newName),
+    };
+  }
+
+  const binding = findTranslatorBindings(text).find(
+    (item) =>
+      item.namespace &&
+      item.namespaceStart <= offset &&
+      offset <= item.namespaceEnd
+  );
+  if (binding) {
+    return {
+      translationKey: binding.namespace,
+      range: new vscode.Range(
+        document.positionAt(binding.namespaceStart),
+        document.positionAt(binding.namespaceEnd)
+      ),
+      placeholder: binding.namespace,
+      toFullKey: (newName) => newName,
+    };
+  }
+
+  return null;
+}
+
+/**
+ * Make sure a key can be renamed without overwriting existing translations
+ * @param {Object} translations - Translations by language
+ * @param {string} oldKey - The current full key
+ * @param {string} newKey - The new full key
+ */
+function validateRename(translations, oldKey, newKey) {
+  if (!newKey || newKey.split(".").some((segment) => !segment.trim())) {
+    throw new Error(`"${newKey}" is not a valid translation key`);
+  }
+
+  if (isKeyOrChild(newKey, oldKey)) {
+    throw new Error(`Can't move "${oldKey}" into itself`);
+  }
+
+  const newSegments = newKey.split(".");
+
+  for (const [lang, content] of Object.entries(translations)) {
+    if (getNestedProperty(content, newKey) !== undefined) {
+      throw new Error(`Translation key "${newKey}" already exists in ${lang}`);
+    }
+
+    // A parent of the new key must not be a translation itself
+    for (let i = 1; i < newSegments.length; i++) {
+      const parentValue = getNestedProperty(
+        content,
+        newSegments.slice(0, i).join(".")
+      );
+      if (parentValue !== undefined && typeof parentValue !== "object") {
+        throw new Error(
+          `"${newSegments
+            .slice(0, i)
+            .join(".")}" is a translation in ${lang}, not a namespace`
+        );
+      }
+    }
+  }
+}
+
+/**
+ * Add the change to a locale file to a rename edit, replacing only the part of
+ * the text that differs
+ * @param {vscode.WorkspaceEdit} edit - The rename edit
+ * @param {vscode.TextDocument} document - The locale file
+ * @param {string} newText - The new text of the file
+ */
+function addLocaleFileChange(edit, document, newText) {
+  const change = getTextChange(document.getText(), newText);
+  if (!change) return;
+
+  edit.replace(
+    document.uri,
+    new vscode.Range(
+      document.positionAt(change.start),
+      document.positionAt(change.end)
+    ),
+    change.text
+  );
+}
+
+/**
+ * Add the changes a rename makes to a locale directory with a file per
+ * namespace. Keys moved to another namespace move to its file, which is
+ * created if needed, and files of namespaces that end up empty are deleted.
+ * @param {vscode.WorkspaceEdit} edit - The rename edit
+ * @param {string} directory - Path of the locale directory
+ * @param {string} oldKey - The current full key
+ * @param {string} newKey - The new full key
+ */
+async function addLocaleDirectoryRename(edit, directory, oldKey, newKey) {
+  const files = await getLocaleFiles(directory);
+
+  // A key renamed within its namespace file only changes its name
+  const namespace = oldKey.split(".")[0];
+  const file = files.find((item) => item.namespace === namespace);
+  if (file && oldKey !== namespace && newKey.startsWith(`${namespace}.`)) {
+    const document = await vscode.workspace.openTextDocument(
+      vscode.Uri.file(file.filePath)
+    );
+    const renamed = renameKeyInText(
+      getTranslationFormat(file.filePath),
+      document.getText(),
+      oldKey.substring(namespace.length + 1),
+      newKey.substring(namespace.length + 1)
+    );
+    if (renamed !== null) {
+      addLocaleFileChange(edit, document, renamed);
+      return;
+    }
+  }
+  const documents = new Map();
+  const previous = {};
+
+  for (const { filePath, namespace } of files) {
+    const document = await vscode.workspace.openTextDocument(
+      vscode.Uri.file(filePath)
+    );
+    documents.set(filePath, document);
+    previous[namespace] = getTranslationFormat(filePath).parse(
+      document.getText()
+    );
+  }
+
+  const content = JSON.parse(JSON.stringify(previous));
+  if (!renameNestedProperty(content, oldKey, newKey)) return;
+
+  const { writes, deletes } = getNamespaceFileChanges(
+    directory,
+    files,
+    previous,
+    content
+  );
+
+  for (const write of writes) {
+    const format = getTranslationFormat(write.filePath);
+    const document = documents.get(write.filePath);
+
+    if (document) {
+      addLocaleFileChange(
+        edit,
+        document,
+        format.serialize(write.content, document.getText(), getWriteOptions())
+      );
+    } else {
+      const uri = vscode.Uri.file(write.filePath);
+      edit.createFile(uri, { ignoreIfExists: true });
+      edit.insert(
+        uri,
+        new vscode.Position(0, 0),
+        format.serialize(write.content, null, getWriteOptions())
+      );
+    }
+  }
+
+  for (const filePath of deletes) {
+    edit.deleteFile(vscode.Uri.file(filePath));
+  }
+}
+
+/**
+ * Build the edit that renames a key (or a whole namespace subtree) in every locale
+ * file and rewrites every call site. Calls under a namespaced t only get their
+ * relative part changed, and namespaces passed to useTranslations are renamed too.
+ * @param {string} oldKey - The current full key
+ * @param {string} newKey - The new full key
+ * @param {vscode.CancellationToken} [token] - Token to stop the workspace scan
+ * @returns {Promise<vscode.WorkspaceEdit>} A single edit that can be undone at once
+ */
+async function createRenameEdit(oldKey, newKey, token) {
+  const { translations, translationFilePaths } = await findTranslationFiles();
+  validateRename(translations, oldKey, newKey);
+
+  const edit = new vscode.WorkspaceEdit();
+  const renameKey = (key) => newKey + key.substring(oldKey.length);
+
+  // Move the value in every locale file, using unsaved changes if the file is open
+  for (const filePath of Object.values(translationFilePaths)) {
+    if (isLocaleDirectory(filePath)) {
+      await addLocaleDirectoryRename(edit, filePath, oldKey, newKey);
+      continue;
+    }
+
+    const document = await vscode.workspace.openTextDocument(
+      vscode.Uri.file(filePath)
+    );
+    const format = getTranslationFormat(filePath);
+    const text = document.getText();
+
+    // Keys renamed within their parent keep their place in the file
+    const renamed = renameKeyInText(format, text, oldKey, newKey);
+    if (renamed !== null) {
+      addLocaleFileChange(edit, document, renamed);
+      continue;
+    }
+
+    const content = format.parse(text);
+    if (renameNestedProperty(content, oldKey, newKey)) {
+      addLocaleFileChange(
+        edit,
+        document,
+        format.serialize(content, text, getWriteOptions())
+      );
+    }
+  }
+
+  // Rewrite namespaces and call sites in the code
+  const unsupportedCalls = [];
+
+  for (const usage of await scanWorkspaceUsages(token)) {
+    const renamedBindings = new Set();
+
+    for (const binding of usage.bindings) {
+      if (binding.namespace && isKeyOrChild(binding.namespace, oldKey)) {
+        renamedBindings.add(binding.declarationStart);
+        edit.replace(
+          usage.uri,
+          getUsageRange(usage, binding.namespaceStart, binding.namespaceEnd),
+          renameKey(binding.namespace)
+        );
+      }
+    }
+
+    for (const call of usage.calls) {
+      // Calls under a renamed namespace keep their relative key
+      if (
+        call.namespace === null ||
+        (call.binding && renamedBindings.has(call.binding.declarationStart))
+      ) {
+        continue;
+      }
+
+      // Only the static part of t(`status.${status}`) can be renamed
+      const usedKey = call.dynamic
+        ? call.quote === "`" && joinKey(call.namespace, call.staticPrefix)
+        : call.fullKey;
+      if (!usedKey || !isKeyOrChild(usedKey, oldKey)) {
+        continue;
+      }
+
+      const renamedKey = renameKey(usedKey);
+      if (call.namespace && !renamedKey.startsWith(`${call.namespace}.`)) {
+        unsupportedCalls.push(usage.uri);
+        continue;
+      }
+
+      const relativeKey = call.namespace
+        ? renamedKey.substring(call.namespace.length + 1)
+        : renamedKey;
+      const keyEnd = call.dynamic
+        ? call.keyStart + call.staticPrefix.length
+        : call.keyEnd;
+      edit.replace(
+        usage.uri,
+        getUsageRange(usage, call.keyStart, keyEnd),
+        relativeKey
+      );
+    }
+  }
+
+  if (unsupportedCalls.length > 0) {
+    throw new Error(
+      `"${newKey}" is outside the namespace of ${unsupportedCalls.length} translation call(s); change their useTranslations namespace first`
+    );
+  }
+
+  return edit;
+}
+
+/**
+ * Rename provider for translation keys in code and in locale files
+ */
+const renameProvider = {
+  async prepareRename(document, position, token) {
+    const target = await findRenameTarget(document, position);
+    if (!target) {
+      throw new Error("Place the cursor on a translation key to rename it");
+    }
+
+    return { range: target.range, placeholder: target.placeholder };
+  },
+
+  async provideRenameEdits(document, position, newName, token) {
+    const target = await findRenameTarget(document, position);
+    if (!target) return;
+
+    return createRenameEdit(
+      target.translationKey,
+      target.toFullKey(newName.trim()),
+      token
+    );
+  },
+};
+
+module.exports = {
+  renameProvider,
+  createRenameEdit,
+};
@@ -1,9 +1,22 @@
-// textHighlighter.js - Highlights untranslated text in components
+// textHighlighter.js - Highlights untranslated text and previews translations in components
 const vscode = require("vscode");
+const { getNestedProperty } = require("./utils/translationUtils");
 const {
   findTranslationFiles,
-  getNestedProperty,
-} = require("./utils/translationUtils");
+  findKeysForValue,
+  onDidChangeTranslations,
+} = require("./utils/translationIndex");
+const {
+  maskNonCode,
+  findTranslationCalls,
+  findCallEnd,
+} = require("./utils/callUtils");
+const {
+  findTranslatableStrings,
+  findTranslatableStringAt,
+  findStringLiteralAt,
+} = require("./utils/astUtils");
+const { insertKeyAtCursor } = require("./commandHandlers");
 
 /**
  * Decorations for untranslated text
@@ -15,6 +28,21 @@ let untranslatedDecorationType;
  */
 let existingTranslationDecorationType;
 
+/**
+ * Decorations showing the translated value after translation calls
+ */
+let previewDecorationType;
+
+/**
+ * Status bar item to pick the locale of the previews
+ */
+let previewLocaleStatusBarItem;
+
+/**
+ * Pending updates by document URI, to avoid re-parsing on every keystroke
+ */
+const pendingUpdates = new Map();
+
 /**
  * Sets up the decoration types for highlighting
  */
@@ -38,6 +66,15 @@ function setupDecorationTypes() {
       overviewRulerColor: "#6699cc",
       overviewRulerLane: vscode.OverviewRulerLane.Right,
     });
+
+  // Decoration for the translated value after t("key") calls (dimmed text)
+  previewDecorationType = vscode.window.createTextEditorDecorationType({
+    after: {
+      color: new vscode.ThemeColor("editorCodeLens.foreground"),
+      fontStyle: "italic",
+      margin: "0 0 0 0.75em",
+    },
+  });
 }
 
 /**
@@ -69,7 +106,7 @@ function registerTextHighlighter(context) {
       const editor = vscode.window.activeTextEditor;
       if (!editor) return;
 
-      await translateTextAtRange(editor, text, range);
+      await translateTextAtRange(editor, range);
     }
   );
 
@@ -89,12 +126,18 @@ function registerTextHighlighter(context) {
         const editor = vscode.window.activeTextEditor;
         if (!editor) return;
 
-        // Get the range of the word or quoted string at the position
-        const range = getStringRangeAtPosition(document, position);
-        if (!range) return;
+        // Get the rendered text at the position
+        const string = findTranslatableStringAt(
+          document,
+          document.offsetAt(position)
+        );
+        if (!string) return;
 
-        const text = document.getText(range);
-        const cleanText = cleanStringLiteral(text);
+        const range = new vscode.Range(
+          document.positionAt(string.start),
+          document.positionAt(string.end)
+        );
+        const cleanText = string.value;
 
         // Skip if it's an empty string or just whitespace
         if (!cleanText.trim()) return;
@@ -147,6 +190,33 @@ function registerTextHighlighter(context) {
     }
   );
 
+  // Register command to toggle the inline translation previews
+  const togglePreviewsCommand = vscode.commands.registerCommand(
+    "nextIntlHelper.toggleInlinePreviews",
+    async () => {
+      const config = vscode.workspace.getConfiguration("nextIntlHelper");
+      await config.update(
+        "inlinePreview.enabled",
+        !config.get("inlinePreview.enabled", false),
+        vscode.ConfigurationTarget.Global
+      );
+    }
+  );
+
+  // Register command to pick the locale shown in the previews
+  const selectPreviewLocaleCommand = vscode.commands.registerCommand(
+    "nextIntlHelper.selectPreviewLocale",
+    selectPreviewLocale
+  );
+
+  // Status bar item showing the preview locale
+  previewLocaleStatusBarItem = vscode.window.createStatusBarItem(
+    vscode.StatusBarAlignment.Right,
+    100
+  );
+  previewLocaleStatusBarItem.command = "nextIntlHelper.selectPreviewLocale";
+  previewLocaleStatusBarItem.tooltip = "Locale of the translation previews";
+
   // Add change active editor event to highlight untranslated text
   vscode.window.onDidChangeActiveTextEditor(
     async (editor) => {
@@ -154,6 +224,7 @@ function registerTextHighlighter(context) {
         // Automatically highlight - always on
         await highlightUntranslatedText(editor);
       }
+      await updateTranslationPreviews(editor);
     },
     null,
     context.subscriptions
@@ -161,99 +232,211 @@ function registerTextHighlighter(context) {
 
   // Add document change event to update highlights
   vscode.workspace.onDidChangeTextDocument(
-    async (event) => {
+    (event) => {
       const editor = vscode.window.activeTextEditor;
       if (editor && event.document === editor.document) {
-        // Automatically highlight - always on
-        await highlightUntranslatedText(editor);
+        scheduleUpdate(event.document);
+      }
+    },
+    null,
+    context.subscriptions
+  );
+
+  // Update the previews when the translations or their settings change
+  onDidChangeTranslations(
+    () => updateTranslationPreviews(vscode.window.activeTextEditor),
+    null,
+    context.subscriptions
+  );
+
+  vscode.workspace.onDidChangeConfiguration(
+    (event) => {
+      if (event.affectsConfiguration("nextIntlHelper.inlinePreview")) {
+        updateTranslationPreviews(vscode.window.activeTextEditor);
       }
     },
     null,
     context.subscriptions
   );
 
+  updateTranslationPreviews(vscode.window.activeTextEditor);
+
   // Register the commands
   context.subscriptions.push(highlightCommand);
   context.subscriptions.push(translateTextCommand);
   context.subscriptions.push(findKeyForTextCommand);
   context.subscriptions.push(highlightHoverProvider);
+  context.subscriptions.push(togglePreviewsCommand);
+  context.subscriptions.push(selectPreviewLocaleCommand);
+  context.subscriptions.push(previewLocaleStatusBarItem);
 }
 
 /**
- * Highlights untranslated text in the editor
- * @param {vscode.TextEditor} editor - The active text editor
+ * Get the locale shown in the previews
+ * @param {Object} translations - Translations by language
+ * @param {string} referenceLanguage - The reference language
+ * @returns {string} The configured display locale, or the reference language
+ *   if it isn't set or has no translation file
  */
-async function highlightUntranslatedText(editor) {
+function getPreviewLocale(translations, referenceLanguage) {
+  const displayLocale = vscode.workspace
+    .getConfiguration("nextIntlHelper")
+    .get("inlinePreview.displayLocale", "");
+
+  return translations[displayLocale] ? displayLocale : referenceLanguage;
+}
+
+/**
+ * Shows the translated value after each translation call in the editor
+ * @param {vscode.TextEditor} [editor] - The active text editor
+ */
+async function updateTranslationPreviews(editor) {
   try {
-    const document = editor.document;
-    if (!isJSXFile(document)) {
+    const config = vscode.workspace.getConfiguration("nextIntlHelper");
+    const enabled = config.get("inlinePreview.enabled", false);
+
+    if (!editor || !isJSXFile(editor.document)) {
+      previewLocaleStatusBarItem.hide();
+      return;
+    }
+    if (!enabled) {
+      editor.setDecorations(previewDecorationType, []);
+      previewLocaleStatusBarItem.hide();
       return;
     }
 
-    const text = document.getText();
-
-    // Find all potential untranslated strings
-    const untranslatedRanges = [];
-    const existingTranslationRanges = [];
+    const { translations, referenceLanguage } = await findTranslationFiles();
+    const locale = getPreviewLocale(translations, referenceLanguage);
+    if (!locale) return;
 
-    // Find text between > and < (JSX text content), with improved matching
-    // This regex ensures we're in an actual JSX tag context by checking for "<tag>" pattern
-    const jsxTextRegex =
-      /(<[A-Za-z][A-Za-z0-9]*[^>]*>)([^<>]*?)(<\/[A-Za-z][A-Za-z0-9]*>)/g;
-    let match;
+    previewLocaleStatusBarItem.text = `$(globe) ${locale}`;
+    previewLocaleStatusBarItem.show();
 
-    while ((match = jsxTextRegex.exec(text)) !== null) {
-      let content = match[2]; // The content between the opening and closing tags
+    const maxLength = config.get("inlinePreview.maxLength", 40);
+    const document = editor.document;
+    const text = document.getText();
+    const masked = maskNonCode(text);
+    const previews = [];
 
-      // Skip if empty or just whitespace
-      if (!content.trim()) {
+    for (const call of findTranslationCalls(text)) {
+      if (call.dynamic || call.fullKey === null || call.method === "has") {
         continue;
       }
 
-      // Skip if it seems to be a translation key already
-      if (content.includes("{t(") || content.includes("{ t(")) {
-        continue;
+      const value = getNestedProperty(translations[locale], call.fullKey);
+      if (typeof value === "object" && value !== null) {
+        continue; // t.raw() of a whole namespace
       }
 
-      // Trim the content but remember original position
-      const leadingSpace = content.length - content.trimStart().length;
-      const trailingSpace = content.length - content.trimEnd().length;
-      content = content.trim();
-
-      // Skip if the content is too short
-      if (content.length <= 1) {
-        continue;
+      let preview =
+        value === undefined
+          ? `missing in ${locale}`
+          : `${value}`.replace(/\s+/g, " ");
+      if (preview.length > maxLength) {
+        preview = `${preview.substring(0, maxLength - 1)}…`;
       }
 
-      // Skip if it contains code-like fragments
-      if (
-        content.includes("{") ||
-        content.includes("}") ||
-        content.includes("(") ||
-        content.includes(")") ||
-        content.includes("[") ||
-        content.includes("]")
-      ) {
-        continue;
-      }
+      const position = document.positionAt(findCallEnd(text, call, masked));
+      previews.push({
+        range: new vscode.Range(position, position),
+        renderOptions: { after: { contentText: preview } },
+      });
+    }
 
-      // Skip if not likely translatable text
-      if (!isLikelyTranslatableText(content)) {
-        continue;
-      }
+    editor.setDecorations(previewDecorationType, previews);
+  } catch (error) {
+    console.error("Error showing translation previews:", error);
+  }
+}
 
-      // Check if content exists in translations
-      const { existsInTranslations } = await textExistsInTranslations(content);
+/**
+ * Lets the user pick the locale shown in the previews
+ */
+async function selectPreviewLocale() {
+  const { translations, referenceLanguage } = await findTranslationFiles();
+  const current = getPreviewLocale(translations, referenceLanguage);
+
+  const selected = await vscode.window.showQuickPick(
+    Object.keys(translations).map((locale) => ({
+      label: locale,
+      description: [
+        locale === referenceLanguage ? "reference" : "",
+        locale === current ? "current" : "",
+      ]
+        .filter(Boolean)
+        .join(", "),
+    })),
+    { placeHolder: "Select the locale of the translation previews" }
+  );
 
-      // Calculate the actual range of the content in the document
-      const contentStartIndex = match.index + match[1].length + leadingSpace;
-      const contentEndIndex = contentStartIndex + content.length;
+  if (!selected) {
+    return; // User cancelled
+  }
 
-      const startPos = document.positionAt(contentStartIndex);
-      const endPos = document.positionAt(contentEndIndex);
-      const range = new vscode.Range(startPos, endPos);
+  await vscode.workspace
+    .getConfiguration("nextIntlHelper")
+    .update(
+      "inlinePreview.displayLocale",
+      selected.label,
+      vscode.workspace.workspaceFolders
+        ? vscode.ConfigurationTarget.Workspace
+        : vscode.ConfigurationTarget.Global
+    );
+}
+
+/**
+ * Find the text in a document that looks like it needs translation, and the
+ * keys that already have it as their value
+ * @param {vscode.TextDocument} document - The document
+ * @returns {Promise<Object[]>} The strings, see collectTranslatableStrings in
+ *   astUtils, each with the keys of its text in translationKeys
+ */
+async function findUntranslatedStrings(document) {
+  const results = [];
+
+  for (const string of findTranslatableStrings(document)) {
+    const content = string.value;
+
+    // Skip if the content is too short
+    if (content.length <= 1) {
+      continue;
+    }
+
+    // Skip if not likely translatable text
+    if (!isLikelyTranslatableText(content)) {
+      continue;
+    }
+
+    // Check if content exists in translations
+    const { translationKeys } = await textExistsInTranslations(content);
+    results.push({ ...string, translationKeys });
+  }
 
-      if (existsInTranslations) {
+  return results;
+}
+
+/**
+ * Highlights untranslated text in the editor
+ * @param {vscode.TextEditor} editor - The active text editor
+ */
+async function highlightUntranslatedText(editor) {
+  try {
+    const document = editor.document;
+    if (!isJSXFile(document)) {
+      return;
+    }
+
+    // Find all potential untranslated strings
+    const untranslatedRanges = [];
+    const existingTranslationRanges = [];
+
+    for (const string of await findUntranslatedStrings(document)) {
+      const range = new vscode.Range(
+        document.positionAt(string.start),
+        document.positionAt(string.end)
+      );
+
+      if (string.translationKeys.length > 0) {
         existingTranslationRanges.push({ range });
       } else {
         untranslatedRanges.push({ range });
@@ -271,6 +454,28 @@ async function highlightUntranslatedText(editor) {
   }
 }
 
+/**
+ * Schedule an update of the highlights and previews of a changed document
+ * @param {vscode.TextDocument} document - The changed document
+ */
+function scheduleUpdate(document) {
+  const uri = document.uri.toString();
+  clearTimeout(pendingUpdates.get(uri));
+  pendingUpdates.set(
+    uri,
+    setTimeout(async () => {
+      pendingUpdates.delete(uri);
+
+      // The user may have switched to another editor in the meantime
+      const editor = vscode.window.activeTextEditor;
+      if (editor && editor.document === document) {
+        await highlightUntranslatedText(editor);
+        await updateTranslationPreviews(editor);
+      }
+    }, 300)
+  );
+}
+
 /**
  * Checks if text exists in translation files
  * @param {string} text - Text to check
@@ -278,28 +483,8 @@ async function highlightUntranslatedText(editor) {
  */
 async function textExistsInTranslations(text) {
   try {
-    const { translations } = await findTranslationFiles();
-    const matchingKeys = [];
-
-    // Get a reference language (usually English)
-    const referenceLang = Object.keys(translations).includes("en")
-      ? "en"
-      : Object.keys(translations)[0];
-
-    // Search flattened translations for this text
-    const searchForValue = (obj, path = "") => {
-      for (const [key, value] of Object.entries(obj)) {
-        const currentPath = path ? `${path}.${key}` : key;
-
-        if (typeof value === "string" && value.trim() === text.trim()) {
-          matchingKeys.push(currentPath);
-        } else if (typeof value === "object" && value !== null) {
-          searchForValue(value, currentPath);
-        }
-      }
-    };
-
-    searchForValue(translations[referenceLang]);
+    // Reverse lookup in the cached translation index
+    const matchingKeys = await findKeysForValue(text);
 
     return {
       existsInTranslations: matchingKeys.length > 0,
@@ -312,51 +497,58 @@ async function textExistsInTranslations(text) {
 }
 
 /**
- * Translate text at specified range
+ * Translate the text at a range, or the text at the selection when the
+ * command runs from the context menu. The text is extracted like with the
+ * extract code action, so the key is relative to the namespace of the `t` in
+ * scope, and a component without one gets it declared.
  * @param {vscode.TextEditor} editor - The active text editor
- * @param {string} text - Text to translate
- * @param {vscode.Range} range - Range of the text
+ * @param {vscode.Range} [range] - Range of the text
  */
-async function translateTextAtRange(editor, text, range) {
+async function translateTextAtRange(editor, range) {
   try {
+    const document = editor.document;
+
     // Convert range from a serialized object back to a Range instance if needed
-    if (!(range instanceof vscode.Range)) {
+    if (range && !(range instanceof vscode.Range)) {
       range = new vscode.Range(
         new vscode.Position(range.start.line, range.start.character),
         new vscode.Position(range.end.line, range.end.character)
       );
     }
+    range = range || editor.selection;
+
+    // Replace the whole string or JSX text the range is in
+    const offset = document.offsetAt(range.start);
+    let string =
+      findTranslatableStringAt(document, offset) ||
+      findStringLiteralAt(document, offset);
+
+    if (!string) {
+      const selected = document.getText(range);
+      const value = selected.trim();
+      if (!value) {
+        vscode.window.showInformationMessage("Select the text to translate");
+        return;
+      }
 
-    // Suggest a key based on the text
-    let suggestedKey = suggestTranslationKey(text);
-
-    // Ask user for the translation key
-    const key = await vscode.window.showInputBox({
-      prompt: "Enter the translation key for this text",
-      placeHolder: suggestedKey,
-      value: suggestedKey,
-    });
-
-    if (!key) return; // User cancelled
-
-    // Get the translation files
-    const { translationFilePaths } = await findTranslationFiles();
-
-    // Add the key to translation files
-    const addCommand = "nextIntlHelper.addTranslationKeyWithValue";
+      const start = document.offsetAt(range.start) + selected.indexOf(value);
+      string = {
+        value,
+        start,
+        end: start + value.length,
+        replaceStart: start,
+        replaceEnd: start + value.length,
+        needsBraces: true,
+        attribute: null,
+      };
+    }
 
-    // Call the command to add the translation key with the provided value
     await vscode.commands.executeCommand(
-      addCommand,
-      key,
-      text,
-      translationFilePaths
+      "nextIntlHelper.extractTranslation",
+      document.uri,
+      document.version,
+      string
     );
-
-    // Replace the text with t() call
-    editor.edit((editBuilder) => {
-      editBuilder.replace(range, `{t("${key}")}`);
-    });
   } catch (error) {
     vscode.window.showErrorMessage(`Error translating text: ${error.message}`);
   }
@@ -380,14 +572,9 @@ async function findExistingTranslationKey(text) {
 
     // If there's only one key, use it directly
     if (translationKeys.length === 1) {
-      const key = translationKeys[0];
-
-      // Insert the key at cursor position
       const editor = vscode.window.activeTextEditor;
       if (editor) {
-        editor.edit((editBuilder) => {
-          editBuilder.insert(editor.selection.active, `{t("${key}")}`);
-        });
+        await insertKeyAtCursor(editor, translationKeys[0], true);
       }
 
       return;
@@ -403,15 +590,9 @@ async function findExistingTranslationKey(text) {
     );
 
     if (selectedKey) {
-      // Insert the key at cursor position
       const editor = vscode.window.activeTextEditor;
       if (editor) {
-        editor.edit((editBuilder) => {
-          editBuilder.insert(
-            editor.selection.active,
-            `{t("${selectedKey.label}")}`
-          );
-        });
+        await insertKeyAtCursor(editor, selectedKey.label, true);
       }
     }
   } catch (error) {
@@ -421,140 +602,6 @@ async function findExistingTranslationKey(text) {
   }
 }
 
-/**
- * Suggest a translation key based on text
- * @param {string} text - Text to create key for
- * @returns {string} Suggested key
- */
-function suggestTranslationKey(text) {
-  // Convert to camelCase and clean up
-  const cleanText = text
-    .trim()
-    .toLowerCase()
-    .replace(/[^\w\s]/g, "") // Remove special chars
-    .replace(/\s+/g, "."); // Convert spaces to dots
-
-  // Try to identify context (common patterns in UI text)
-  if (/no .+ (found|entries)/i.test(text)) {
-    return `timeEntry.noEntries`;
-  }
-
-  if (/add( a)? new/i.test(text)) {
-    return `timeEntry.addNewEntry`;
-  }
-
-  if (/track your work/i.test(text) || /time entry/i.test(text)) {
-    return `timeEntry.addNewEntryPrompt`;
-  }
-
-  if (/total/i.test(text)) {
-    return `general.total`;
-  }
-
-  if (/time entries?/i.test(text)) {
-    return `timeEntry.entries`;
-  }
-
-  // Default: use a shortened version of the text
-  const words = cleanText.split(".");
-  if (words.length > 3) {
-    return `ui.${words.slice(0, 3).join(".")}`;
-  }
-
-  return `ui.${cleanText}`;
-}
-
-/**
- * Get the string range at position
- * @param {vscode.TextDocument} document - The text document
- * @param {vscode.Position} position - The position
- * @returns {vscode.Range|null} The range of the string or null
- */
-function getStringRangeAtPosition(document, position) {
-  const line = document.lineAt(position.line).text;
-
-  // Check if we're in a JSX text node
-  let textStart = -1;
-  let textEnd = -1;
-  let depth = 0;
-
-  // Scan whole document for multiline JSX nodes that might contain our position
-  const text = document.getText();
-  const lines = text.split("\n");
-
-  // Find the JSX node that contains our cursor position
-  for (let i = 0; i < lines.length; i++) {
-    const currentLine = lines[i];
-
-    // Process this line character by character
-    for (let j = 0; j < currentLine.length; j++) {
-      const char = currentLine[j];
-      const globalPos = document.offsetAt(new vscode.Position(i, j));
-
-      if (char === "<") {
-        if (currentLine.substr(j, 2) !== "</") {
-          depth++;
-          if (depth === 1) {
-            // Beginning of a tag, find the closing '>'
-            const closeTagIndex = currentLine.indexOf(">", j);
-            if (closeTagIndex !== -1) {
-              textStart = globalPos + (closeTagIndex - j) + 1;
-            }
-          }
-        } else {
-          // Closing tag
-          depth--;
-          if (depth === 0 && textStart !== -1) {
-            textEnd = globalPos;
-
-            // Check if our cursor position is within this text node
-            const cursorGlobalPos = document.offsetAt(position);
-            if (textStart <= cursorGlobalPos && cursorGlobalPos <= textEnd) {
-              return new vscode.Range(
-                document.positionAt(textStart),
-                document.positionAt(textEnd)
-              );
-            }
-
-            textStart = -1;
-            textEnd = -1;
-          }
-        }
-      }
-    }
-  }
-
-  // Otherwise, check if we're in a quoted string
-  const stringRegex = /["']([^"']+)["']/g;
-  let stringMatch;
-  while ((stringMatch = stringRegex.exec(line)) !== null) {
-    const stringStartPos = position.line,
-      stringStartChar = stringMatch.index + 1;
-    const stringEndPos = position.line,
-      stringEndChar = stringMatch.index + 1 + stringMatch[1].length;
-
-    const stringRange = new vscode.Range(
-      new vscode.Position(stringStartPos, stringStartChar),
-      new vscode.Position(stringEndPos, stringEndChar)
-    );
-
-    if (stringRange.contains(position)) {
-      return stringRange;
-    }
-  }
-
-  return null;
-}
-
-/**
- * Clean up a string literal
- * @param {string} text - String to clean
- * @returns {string} Cleaned string
- */
-function cleanStringLiteral(text) {
-  return text.replace(/^["']|["']$/g, "").trim();
-}
-
 /**
  * Check if a file is a JSX file
  * @param {vscode.TextDocument} document - Document to check
@@ -649,51 +696,8 @@ function isLikelyTranslatableText(text) {
   return /[a-z][a-z\s]+/i.test(text);
 }
 
-/**
- * Check if string is in a non-translatable attribute
- * @param {string} fullText - Complete document text
- * @param {number} position - Position in text
- * @returns {boolean} True if in a non-translatable attribute
- */
-function isInNonTranslatableAttribute(fullText, position) {
-  // Look back for attribute name
-  const textBefore = fullText.substring(Math.max(0, position - 30), position);
-
-  // Common attributes that don't need translation
-  const nonTranslatableAttrs = [
-    "className",
-    "style",
-    "id",
-    "key",
-    "ref",
-    "type",
-    "name",
-    "value",
-    "href",
-    "src",
-    "alt",
-    "onClick",
-    "onChange",
-    "onSubmit",
-    "onFocus",
-    "onBlur",
-  ];
-
-  // Special case: These attributes typically need translation
-  const translatableAttrs = ["placeholder", "aria-label", "title"];
-
-  // Check if any of these attributes precede the string
-  for (const attr of nonTranslatableAttrs) {
-    const attrPattern = new RegExp(`${attr}\\s*=\\s*$`);
-    if (attrPattern.test(textBefore)) {
-      // If it's one of the translatable attrs, don't skip it
-      return !translatableAttrs.includes(attr);
-    }
-  }
-
-  return false;
-}
-
 module.exports = {
   registerTextHighlighter,
+  findUntranslatedStrings,
+  isJSXFile,
 };
@@ -0,0 +1,229 @@
+// translationEditor.js - Spreadsheet-style webview to edit all locales side by side
+const vscode = require("vscode");
+const {
+  flattenKeys,
+  getNestedProperty,
+  setNestedProperty,
+  deleteNestedProperty,
+} = require("./utils/translationUtils");
+const {
+  findTranslationFiles,
+  updateTranslationFile,
+  onDidChangeTranslations,
+} = require("./utils/translationIndex");
+const { getContext } = require("./utils/fileUtils");
+const { getNonce, renderWebviewPage } = require("./utils/webviewUtils");
+
+// The open editor, reused when the command runs again
+let panel = null;
+
+/**
+ * Build the rows of the editor: every key of every locale, in the order of
+ * the reference locale followed by keys that only exist in other locales
+ * @param {Object} translations - Translations by language
+ * @param {string[]} locales - The locales, reference first
+ * @returns {Array} Rows with the key and its value in each locale (null if missing)
+ */
+function buildRows(translations, locales) {
+  const keys = new Set();
+  for (const locale of locales) {
+    for (const { key } of flattenKeys(translations[locale])) {
+      keys.add(key);
+    }
+  }
+
+  return Array.from(keys, (key) => {
+    const values = {};
+    for (const locale of locales) {
+      const value = getNestedProperty(translations[locale], key);
+      values[locale] = value === undefined ? null : value;
+    }
+    return { key, values };
+  });
+}
+
+/**
+ * Send the current translations to the webview
+ */
+async function loadEditor() {
+  if (!panel) return;
+
+  const { translations, referenceLanguage } = await findTranslationFiles();
+  const locales = [
+    referenceLanguage,
+    ...Object.keys(translations).filter((lang) => lang !== referenceLanguage),
+  ];
+
+  panel.webview.postMessage({
+    type: "load",
+    referenceLanguage,
+    locales,
+    rows: buildRows(translations, locales),
+  });
+}
+
+/**
+ * Write the changes made in the editor to the locale files
+ * @param {Object[]} changes - Changed cells with key, locale and value
+ *   (null removes the key from that locale)
+ * @param {string[]} deletedKeys - Keys to delete from every locale
+ * @returns {Promise<string[]>} The locales whose file couldn't be written
+ */
+async function saveChanges(changes, deletedKeys) {
+  const { translationFilePaths } = await findTranslationFiles();
+  const failedLocales = [];
+  let savedFiles = 0;
+
+  for (const [lang, filePath] of Object.entries(translationFilePaths)) {
+    const localeChanges = changes.filter((change) => change.locale === lang);
+    if (localeChanges.length === 0 && deletedKeys.length === 0) continue;
+
+    try {
+      const written = await updateTranslationFile(filePath, (content) => {
+        let modified = false;
+
+        for (const key of deletedKeys) {
+          modified = deleteNestedProperty(content, key) || modified;
+        }
+
+        for (const { key, value } of localeChanges) {
+          if (value === null) {
+            modified = deleteNestedProperty(content, key) || modified;
+          } else if (getNestedProperty(content, key) !== value) {
+            setNestedProperty(content, key, value);
+            modified = true;
+          }
+        }
+
+        return modified;
+      });
+
+      if (written) savedFiles++;
+    } catch (error) {
+      failedLocales.push(lang);
+      vscode.window.showErrorMessage(
+        `Failed to save ${lang} translations: ${error.message}`
+      );
+    }
+  }
+
+  if (failedLocales.length > 0) {
+    const failed = failedLocales.join(", ");
+    vscode.window.showWarningMessage(
+      `Saved translations to ${savedFiles} files, the changes to ${failed} are kept in the editor`
+    );
+  } else {
+    vscode.window.showInformationMessage(
+      `Saved translations to ${savedFiles} files`
+    );
+  }
+  return failedLocales;
+}
+
+/**
+ * Command handler to open the translation editor
+ */
+async function openTranslationEditor() {
+  try {
+    const { translations } = await findTranslationFiles();
+    if (Object.keys(translations).length === 0) {
+      vscode.window.showErrorMessage("No translation files found");
+      return;
+    }
+
+    if (panel) {
+      panel.reveal();
+      return;
+    }
+
+    const mediaUri = vscode.Uri.joinPath(getContext().extensionUri, "media");
+    panel = vscode.window.createWebviewPanel(
+      "nextIntlHelper.translationEditor",
+      "Translation Editor",
+      vscode.ViewColumn.Active,
+      {
+        enableScripts: true,
+        retainContextWhenHidden: true,
+        localResourceRoots: [mediaUri],
+      }
+    );
+
+    panel.webview.html = renderWebviewPage(
+      panel.webview,
+      "Translation Editor",
+      `<div id="toolbar">
+  <input id="search" type="search" placeholder="Search keys and values">
+  <select id="namespace"><option value="">All namespaces</option></select>
+  <label><input id="missingOnly" type="checkbox"> Missing only</label>
+  <span class="separator"></span>
+  <button data-action="fill">Fill from reference</button>
+  <button data-action="clear">Clear</button>
+  <button data-action="delete">Delete key</button>
+  <span class="separator"></span>
+  <button id="save" disabled>Save</button>
+  <span id="status"></span>
+</div>
+<table id="grid"></table>`,
+      {
+        nonce: getNonce(),
+        style: `#toolbar { position: sticky; top: 0; display: flex; gap: 8px; align-items: center; padding: 8px 0; background: var(--vscode-editor-background); }
+    .separator { flex: 0 0 8px; }
+    td input[type="text"] { width: 100%; box-sizing: border-box; color: var(--vscode-input-foreground); background: var(--vscode-input-background); border: 1px solid transparent; }
+    td.missing input[type="text"] { border-color: var(--vscode-inputValidation-warningBorder); }
+    td.changed input[type="text"] { border-color: var(--vscode-inputValidation-infoBorder); }
+    tr.deleted td { text-decoration: line-through; opacity: 0.5; }
+    td.key { font-family: var(--vscode-editor-font-family); white-space: nowrap; }`,
+        scriptUri: panel.webview.asWebviewUri(
+          vscode.Uri.joinPath(mediaUri, "translationEditor.js")
+        ),
+      }
+    );
+
+    panel.webview.onDidReceiveMessage(async (message) => {
+      try {
+        if (message.type === "ready") {
+          await loadEditor();
+        } else if (message.type === "save") {
+          const failedLocales = await saveChanges(
+            message.changes,
+            message.deletedKeys
+          );
+          panel.webview.postMessage({ type: "saved", failedLocales });
+          await loadEditor();
+        }
+      } catch (error) {
+        vscode.window.showErrorMessage(`Error: ${error.message}`);
+      }
+    });
+
+    panel.onDidDispose(() => {
+      panel = null;
+    });
+  } catch (error) {
+    vscode.window.showErrorMessage(`Error: ${error.message}`);
+  }
+}
+
+/**
+ * Register the translation editor command
+ * @param {vscode.ExtensionContext} context - The extension context
+ */
+function registerTranslationEditor(context) {
+  const editorCommand = vscode.commands.registerCommand(
+    "nextIntlHelper.openTranslationEditor",
+    openTranslationEditor
+  );
+
+  // Show changes made outside the editor, unsaved edits are kept by the webview
+  onDidChangeTranslations(
+    () => loadEditor().catch((error) => console.error(error)),
+    null,
+    context.subscriptions
+  );
+
+  context.subscriptions.push(editorCommand);
+}
+
+module.exports = {
+  registerTranslationEditor,
+};
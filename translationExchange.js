@@ -0,0 +1,469 @@
+// translationExchange.js - Export and import translations as CSV and Gettext PO files
+const vscode = require("vscode");
+const fs = require("fs");
+const path = require("path");
+const util = require("util");
+const {
+  flattenKeys,
+  getNestedProperty,
+  setNestedProperty,
+} = require("./utils/translationUtils");
+const {
+  findTranslationFiles,
+  updateTranslationFile,
+} = require("./utils/translationIndex");
+const { parseMessage } = require("./utils/icuUtils");
+const { parseCsv, formatCsv } = require("./utils/csvUtils");
+const { parsePo, formatPo } = require("./utils/poUtils");
+
+const readFile = util.promisify(fs.readFile);
+const writeFile = util.promisify(fs.writeFile);
+
+/**
+ * File dialog filters of the formats
+ */
+const CSV_FILTERS = { CSV: ["csv", "tsv"] };
+const PO_FILTERS = { "Gettext PO": ["po"] };
+
+/**
+ * Name of the optional CSV column with notes for the translators
+ */
+const DESCRIPTION_COLUMN = "description";
+
+/**
+ * Find the columns of a CSV file from its header row
+ * @param {string[]} [header] - The header row
+ * @returns {{columns: string[], keyColumn: number, descriptionColumn: number}}
+ *   The trimmed column names and the indexes of the key and description
+ *   columns, -1 when missing
+ */
+function getCsvColumns(header) {
+  const columns = (header || []).map((column) => column.trim());
+  const findColumn = (name) =>
+    columns.findIndex((column) => column.toLowerCase() === name);
+
+  return {
+    columns,
+    keyColumn: findColumn("key"),
+    descriptionColumn: findColumn(DESCRIPTION_COLUMN),
+  };
+}
+
+/**
+ * Read the descriptions of an earlier export, so exporting to the same file
+ * again keeps the notes added for the translators
+ * @param {vscode.Uri} uri - The CSV file
+ * @returns {Promise<Map<string, string>>} Descriptions by key, empty if the
+ *   file doesn't exist or has no description column
+ */
+async function readCsvDescriptions(uri) {
+  const descriptions = new Map();
+  if (!fs.existsSync(uri.fsPath)) {
+    return descriptions;
+  }
+
+  const [header, ...rows] = parseCsv(await readFile(uri.fsPath, "utf8"));
+  const { keyColumn, descriptionColumn } = getCsvColumns(header);
+  if (keyColumn === -1 || descriptionColumn === -1) {
+    return descriptions;
+  }
+
+  for (const row of rows) {
+    const key = (row[keyColumn] || "").trim();
+    if (key && row[descriptionColumn]) {
+      descriptions.set(key, row[descriptionColumn]);
+    }
+  }
+  return descriptions;
+}
+
+/**
+ * Ask where to save an exported file
+ * @param {string} fileName - The suggested file name
+ * @param {Object} filters - The file dialog filters
+ * @returns {Promise<vscode.Uri|undefined>} The file, or undefined if cancelled
+ */
+function pickSaveUri(fileName, filters) {
+  const workspaceFolder = vscode.workspace.workspaceFolders?.[0];
+
+  return vscode.window.showSaveDialog({
+    defaultUri: workspaceFolder
+      ? vscode.Uri.file(path.join(workspaceFolder.uri.fsPath, fileName))
+      : undefined,
+    filters,
+  });
+}
+
+/**
+ * Ask for a file to import
+ * @param {Object} filters - The file dialog filters
+ * @returns {Promise<vscode.Uri|undefined>} The file, or undefined if cancelled
+ */
+async function pickOpenUri(filters) {
+  const uris = await vscode.window.showOpenDialog({
+    canSelectMany: false,
+    filters,
+    openLabel: "Import",
+  });
+
+  return uris?.[0];
+}
+
+/**
+ * Shorten a list of names for a message, e.g. "a, b, c and 4 more"
+ * @param {string[]} names - The names
+ * @returns {string} The list
+ */
+function formatList(names) {
+  const shown = names.slice(0, 5).join(", ");
+  return names.length > 5 ? `${shown} and ${names.length - 5} more` : shown;
+}
+
+/**
+ * Merge imported translations into the locale files. Keys that aren't in the
+ * reference locale are rejected, and values that differ from an existing
+ * translation are only written if the user picks them.
+ * @param {Array<{key: string, lang: string, value: string,
+ *   description: ?string}>} entries - The imported translations, with the
+ *   notes for the translators shown when picking conflicts
+ * @param {string} fileName - Name of the imported file, for messages
+ */
+async function importTranslations(entries, fileName) {
+  const { translations, referenceLanguage } = await findTranslationFiles();
+
+  const rejected = new Set();
+  const invalid = [];
+  const changes = [];
+  const conflicts = [];
+
+  for (const entry of entries) {
+    const { key, lang, value } = entry;
+    const reference = getNestedProperty(translations[referenceLanguage], key);
+
+    if (typeof reference !== "string") {
+      rejected.add(key);
+    } else if (value === "") {
+      continue; // Not translated
+    } else if (parseMessage(value).error) {
+      invalid.push(`${key} (${lang})`);
+    } else {
+      const existing = getNestedProperty(translations[lang], key);
+
+      if (existing === value) {
+        continue;
+      } else if (typeof existing === "string" && existing !== "") {
+        conflicts.push({ ...entry, existing });
+      } else {
+        changes.push(entry);
+      }
+    }
+  }
+
+  let kept = 0;
+  if (conflicts.length > 0) {
+    const overwrite = await vscode.window.showQuickPick(
+      conflicts.map((conflict) => ({
+        label: `${conflict.key} (${conflict.lang})`,
+        description: `"${conflict.existing}" → "${conflict.value}"`,
+        detail: conflict.description || undefined,
+        conflict,
+      })),
+      {
+        placeHolder: `${conflicts.length} imported values differ from the current translations. Select the ones to overwrite`,
+        canPickMany: true,
+        matchOnDescription: true,
+      }
+    );
+
+    if (!overwrite) {
+      return; // User cancelled
+    }
+
+    changes.push(...overwrite.map((item) => item.conflict));
+    kept = conflicts.length - overwrite.length;
+  }
+
+  const { translationFilePaths } = await findTranslationFiles();
+  for (const [lang, filePath] of Object.entries(translationFilePaths)) {
+    const localeChanges = changes.filter((change) => change.lang === lang);
+    if (localeChanges.length === 0) continue;
+
+    await updateTranslationFile(filePath, (content) => {
+      for (const { key, value } of localeChanges) {
+        setNestedProperty(content, key, value);
+      }
+      return true;
+    });
+  }
+
+  const summary = [`Imported ${changes.length} translations from ${fileName}`];
+  if (kept > 0) {
+    summary.push(`kept ${kept} current translations`);
+  }
+  if (rejected.size > 0) {
+    const keys = formatList([...rejected]);
+    summary.push(
+      `rejected keys that don't exist in ${referenceLanguage}: ${keys}`
+    );
+  }
+  if (invalid.length > 0) {
+    summary.push(`skipped invalid messages: ${formatList(invalid)}`);
+  }
+
+  const message = summary.join("; ");
+  if (rejected.size > 0 || invalid.length > 0) {
+    vscode.window.showWarningMessage(message);
+  } else {
+    vscode.window.showInformationMessage(message);
+  }
+}
+
+/**
+ * Command handler to export all translations to a CSV file, with a row per
+ * key, a column per locale and a description column. Descriptions aren't
+ * stored in the locale files, only those of an earlier export to the same
+ * file are kept. Files ending in .tsv are separated by tabs.
+ */
+async function exportCsv() {
+  try {
+    const { translations, referenceLanguage } = await findTranslationFiles();
+    if (!translations[referenceLanguage]) {
+      vscode.window.showErrorMessage("No translation files found");
+      return;
+    }
+
+    const uri = await pickSaveUri("translations.csv", CSV_FILTERS);
+    if (!uri) {
+      return; // User cancelled
+    }
+
+    const locales = [
+      referenceLanguage,
+      ...Object.keys(translations).filter((lang) => lang !== referenceLanguage),
+    ];
+    const descriptions = await readCsvDescriptions(uri);
+    const rows = flattenKeys(translations[referenceLanguage])
+      .filter(({ value }) => typeof value === "string")
+      .map(({ key }) => [
+        key,
+        ...locales.map((lang) => {
+          const value = getNestedProperty(translations[lang], key);
+          return typeof value === "string" ? value : "";
+        }),
+        descriptions.get(key) || "",
+      ]);
+
+    const delimiter =
+      path.extname(uri.fsPath).toLowerCase() === ".tsv" ? "\t" : ",";
+    await writeFile(
+      uri.fsPath,
+      formatCsv([["key", ...locales, DESCRIPTION_COLUMN], ...rows], delimiter),
+      "utf8"
+    );
+
+    vscode.window.showInformationMessage(
+      `Exported ${rows.length} keys to ${path.basename(uri.fsPath)}`
+    );
+  } catch (error) {
+    vscode.window.showErrorMessage(`Error: ${error.message}`);
+  }
+}
+
+/**
+ * Command handler to import translations from a CSV file with a "key" column,
+ * a column per locale and an optional description column
+ */
+async function importCsv() {
+  try {
+    const uri = await pickOpenUri(CSV_FILTERS);
+    if (!uri) {
+      return; // User cancelled
+    }
+
+    const [header, ...rows] = parseCsv(await readFile(uri.fsPath, "utf8"));
+    const { columns, keyColumn, descriptionColumn } = getCsvColumns(header);
+
+    if (keyColumn === -1) {
+      vscode.window.showErrorMessage(
+        'The CSV file needs a header row with a "key" column'
+      );
+      return;
+    }
+
+    const { translationFilePaths } = await findTranslationFiles();
+    const unknownColumns = columns.filter(
+      (column, index) =>
+        index !== keyColumn &&
+        index !== descriptionColumn &&
+        !translationFilePaths[column]
+    );
+
+    if (unknownColumns.length > 0) {
+      const names = formatList(unknownColumns);
+      vscode.window.showWarningMessage(
+        `Ignoring CSV columns without a translation file: ${names}`
+      );
+    }
+
+    const entries = [];
+    for (const row of rows) {
+      const key = (row[keyColumn] || "").trim();
+      if (!key) continue;
+
+      const description =
+        descriptionColumn === -1 ? null : row[descriptionColumn] || null;
+      columns.forEach((lang, index) => {
+        if (
+          index !== keyColumn &&
+          index !== descriptionColumn &&
+          translationFilePaths[lang]
+        ) {
+          entries.push({ key, lang, value: row[index] || "", description });
+        }
+      });
+    }
+
+    await importTranslations(entries, path.basename(uri.fsPath));
+  } catch (error) {
+    vscode.window.showErrorMessage(`Error: ${error.message}`);
+  }
+}
+
+/**
+ * Command handler to export the translations of one locale to a PO file,
+ * with the key as msgctxt and the reference message as msgid
+ */
+async function exportPo() {
+  try {
+    const { translations, referenceLanguage } = await findTranslationFiles();
+    const targetLanguages = Object.keys(translations).filter(
+      (lang) => lang !== referenceLanguage
+    );
+
+    if (targetLanguages.length === 0) {
+      vscode.window.showErrorMessage(
+        "Add a translation file for another locale to export to PO"
+      );
+      return;
+    }
+
+    const lang = await vscode.window.showQuickPick(targetLanguages, {
+      placeHolder: `Select the locale to translate ${referenceLanguage} into`,
+    });
+
+    if (!lang) {
+      return; // User cancelled
+    }
+
+    const uri = await pickSaveUri(`${lang}.po`, PO_FILTERS);
+    if (!uri) {
+      return; // User cancelled
+    }
+
+    const entries = flattenKeys(translations[referenceLanguage])
+      .filter(({ value }) => typeof value === "string")
+      .map(({ key, value }) => {
+        const target = getNestedProperty(translations[lang], key);
+        return {
+          key,
+          source: value,
+          target: typeof target === "string" ? target : null,
+        };
+      });
+
+    await writeFile(
+      uri.fsPath,
+      formatPo({ srcLang: referenceLanguage, trgLang: lang, entries }),
+      "utf8"
+    );
+
+    vscode.window.showInformationMessage(
+      `Exported ${entries.length} keys to ${path.basename(uri.fsPath)}`
+    );
+  } catch (error) {
+    vscode.window.showErrorMessage(`Error: ${error.message}`);
+  }
+}
+
+/**
+ * Command handler to import the translations of a PO file, using msgctxt as
+ * the key
+ */
+async function importPo() {
+  try {
+    const uri = await pickOpenUri(PO_FILTERS);
+    if (!uri) {
+      return; // User cancelled
+    }
+
+    const { language, entries } = parsePo(await readFile(uri.fsPath, "utf8"));
+    const { translationFilePaths, referenceLanguage } =
+      await findTranslationFiles();
+
+    let lang = language;
+    if (!translationFilePaths[lang]) {
+      lang = await vscode.window.showQuickPick(
+        Object.keys(translationFilePaths).filter(
+          (locale) => locale !== referenceLanguage
+        ),
+        {
+          placeHolder: language
+            ? `No translation file for "${language}". Select the locale to import into`
+            : "Select the locale to import into",
+        }
+      );
+
+      if (!lang) {
+        return; // User cancelled
+      }
+    }
+
+    await importTranslations(
+      entries.map(({ context, msgid, msgstr }) => ({
+        key: context || msgid,
+        lang,
+        value: msgstr,
+      })),
+      path.basename(uri.fsPath)
+    );
+  } catch (error) {
+    vscode.window.showErrorMessage(`Error: ${error.message}`);
+  }
+}
+
+/**
+ * Register the CSV and PO export and import commands
+ * @param {vscode.ExtensionContext} context - The extension context
+ */
+function registerExchangeCommands(context) {
+  const exportCsvCommand = vscode.commands.registerCommand(
+    "nextIntlHelper.exportCsv",
+    exportCsv
+  );
+
+  const importCsvCommand = vscode.commands.registerCommand(
+    "nextIntlHelper.importCsv",
+    importCsv
+  );
+
+  const exportPoCommand = vscode.commands.registerCommand(
+    "nextIntlHelper.exportPo",
+    exportPo
+  );
+
+  const importPoCommand = vscode.commands.registerCommand(
+    "nextIntlHelper.importPo",
+    importPo
+  );
+
+  context.subscriptions.push(
+    exportCsvCommand,
+    importCsvCommand,
+    exportPoCommand,
+    importPoCommand
+  );
+}
+
+module.exports = {
+  registerExchangeCommands,
+};
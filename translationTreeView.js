@@ -0,0 +1,309 @@
+// translationTreeView.js - Explorer view to browse the translation keys of the reference locale
+const vscode = require("vscode");
+const { flattenKeys, getNestedProperty } = require("./utils/translationUtils");
+const {
+  findTranslationFiles,
+  onDidChangeTranslations,
+} = require("./utils/translationIndex");
+
+/**
+ * Id of the view, as declared in package.json
+ */
+const VIEW_ID = "nextIntlHelper.translationKeys";
+
+/**
+ * Context key that is set while the view is filtered
+ */
+const FILTERED_CONTEXT_KEY = "nextIntlHelper.translationKeysFiltered";
+
+const changeEmitter = new vscode.EventEmitter();
+
+// The loaded translations and the current search
+let treeIndex = null;
+let filterText = "";
+let matchingKeys = null;
+let treeView = null;
+
+/**
+ * Get the status of every leaf key in the other locales
+ * @param {Object} translations - Translations by language
+ * @param {string} referenceLanguage - The reference language
+ * @param {Object[]} referenceEntries - Flattened reference keys
+ * @returns {Map<string, Object>} Keys to the locales where they're missing or empty
+ */
+function computeKeyStatus(translations, referenceLanguage, referenceEntries) {
+  const status = new Map();
+
+  for (const { key } of referenceEntries) {
+    const missing = [];
+    const empty = [];
+
+    for (const [lang, content] of Object.entries(translations)) {
+      if (lang === referenceLanguage) continue;
+
+      const value = getNestedProperty(content, key);
+      if (value === undefined || value === null) {
+        missing.push(lang);
+      } else if (value === "") {
+        empty.push(lang);
+      }
+    }
+
+    status.set(key, { missing, empty });
+  }
+
+  return status;
+}
+
+/**
+ * Load the translations shown in the tree
+ * @returns {Promise<Object>} The reference translations, its flattened keys and
+ *   the status of each key
+ */
+async function loadTree() {
+  if (treeIndex) {
+    return treeIndex;
+  }
+
+  const { translations, referenceLanguage } = await findTranslationFiles();
+  const reference = translations[referenceLanguage] || {};
+  const entries = flattenKeys(reference);
+
+  treeIndex = {
+    translations,
+    referenceLanguage,
+    reference,
+    entries,
+    status: computeKeyStatus(translations, referenceLanguage, entries),
+  };
+  updateMatchingKeys();
+
+  return treeIndex;
+}
+
+/**
+ * Collect the keys matching the filter, including their parents so the
+ * matches can be reached in the tree
+ */
+function updateMatchingKeys() {
+  if (!filterText || !treeIndex) {
+    matchingKeys = null;
+    return;
+  }
+
+  const search = filterText.toLowerCase();
+  matchingKeys = new Set();
+
+  for (const { key } of treeIndex.entries) {
+    const values = Object.values(treeIndex.translations).map((content) =>
+      getNestedProperty(content, key)
+    );
+    const matches =
+      key.toLowerCase().includes(search) ||
+      values.some(
+        (value) =>
+          typeof value === "string" && value.toLowerCase().includes(search)
+      );
+
+    if (matches) {
+      const segments = key.split(".");
+      for (let i = 1; i <= segments.length; i++) {
+        matchingKeys.add(segments.slice(0, i).join("."));
+      }
+    }
+  }
+}
+
+/**
+ * Count the missing and empty values of a key and everything below it
+ * @param {string} key - The full key
+ * @returns {{missing: Object, empty: Object}} Counts by locale
+ */
+function countIssues(key) {
+  const missing = {};
+  const empty = {};
+
+  for (const [entryKey, status] of treeIndex.status) {
+    if (entryKey !== key && !entryKey.startsWith(`${key}.`)) continue;
+
+    for (const lang of status.missing) {
+      missing[lang] = (missing[lang] || 0) + 1;
+    }
+    for (const lang of status.empty) {
+      empty[lang] = (empty[lang] || 0) + 1;
+    }
+  }
+
+  return { missing, empty };
+}
+
+/**
+ * Format the badges of a node, e.g. "nl: 2 missing, de: 1 empty"
+ * @param {{missing: Object, empty: Object}} issues - Result of countIssues
+ * @param {boolean} isLeaf - Whether the node is a single translation
+ * @returns {string} The badges, or an empty string
+ */
+function formatBadges({ missing, empty }, isLeaf) {
+  const badges = [];
+
+  for (const [lang, count] of Object.entries(missing)) {
+    badges.push(isLeaf ? `${lang} missing` : `${lang}: ${count} missing`);
+  }
+  for (const [lang, count] of Object.entries(empty)) {
+    badges.push(isLeaf ? `${lang} empty` : `${lang}: ${count} empty`);
+  }
+
+  return badges.join(", ");
+}
+
+/**
+ * Tree data provider for the translation keys of the reference locale
+ */
+const translationTreeProvider = {
+  onDidChangeTreeData: changeEmitter.event,
+
+  getTreeItem(node) {
+    const value = getNestedProperty(treeIndex.reference, node.key);
+    const isLeaf = typeof value !== "object" || value === null;
+    const badges = formatBadges(countIssues(node.key), isLeaf);
+
+    const item = new vscode.TreeItem(
+      node.name,
+      isLeaf
+        ? vscode.TreeItemCollapsibleState.None
+        : matchingKeys
+        ? vscode.TreeItemCollapsibleState.Expanded
+        : vscode.TreeItemCollapsibleState.Collapsed
+    );
+    // A new id while filtering lets the matches open up expanded
+    item.id = matchingKeys ? `${filterText}:${node.key}` : node.key;
+    item.contextValue = isLeaf ? "translationKey" : "translationNamespace";
+    item.description = [isLeaf ? `${value}` : "", badges]
+      .filter(Boolean)
+      .join("  ");
+    item.iconPath = new vscode.ThemeIcon(
+      badges ? "warning" : isLeaf ? "symbol-string" : "symbol-namespace"
+    );
+
+    // Show the value in every locale when hovering a translation
+    const tooltip = new vscode.MarkdownString(`**${node.key}**\n\n`);
+    if (isLeaf) {
+      for (const [lang, content] of Object.entries(treeIndex.translations)) {
+        const translation = getNestedProperty(content, node.key);
+        tooltip.appendMarkdown(`- **${lang}**: `);
+        tooltip.appendText(
+          translation === undefined ? "(missing)" : `${translation}`
+        );
+        tooltip.appendMarkdown("\n");
+      }
+    }
+    item.tooltip = tooltip;
+
+    return item;
+  },
+
+  async getChildren(node) {
+    const { reference } = await loadTree();
+    const parent = node ? getNestedProperty(reference, node.key) : reference;
+
+    if (typeof parent !== "object" || parent === null) {
+      return [];
+    }
+
+    return Object.keys(parent)
+      .map((name) => ({ name, key: node ? `${node.key}.${name}` : name }))
+      .filter((child) => !matchingKeys || matchingKeys.has(child.key));
+  },
+
+  getParent(node) {
+    const separator = node.key.lastIndexOf(".");
+    if (separator === -1) return null;
+
+    const key = node.key.substring(0, separator);
+    return { key, name: key.substring(key.lastIndexOf(".") + 1) };
+  },
+};
+
+/**
+ * Reload the tree, e.g. after the translation files changed
+ */
+function refreshTranslationTree() {
+  treeIndex = null;
+  changeEmitter.fire();
+}
+
+/**
+ * Command handler to filter the tree by key or value
+ */
+async function filterTranslationTree() {
+  const search = await vscode.window.showInputBox({
+    prompt: "Filter translation keys by key or value",
+    placeHolder: "e.g. checkout or Save",
+    value: filterText,
+  });
+
+  if (search === undefined) {
+    return; // User cancelled
+  }
+
+  setFilter(search.trim());
+}
+
+/**
+ * Apply a filter to the tree, or remove it with an empty string
+ * @param {string} search - The text to search for
+ */
+function setFilter(search) {
+  filterText = search;
+  updateMatchingKeys();
+
+  treeView.message = filterText
+    ? `Keys and values matching "${filterText}"`
+    : undefined;
+  vscode.commands.executeCommand(
+    "setContext",
+    FILTERED_CONTEXT_KEY,
+    Boolean(filterText)
+  );
+  changeEmitter.fire();
+}
+
+/**
+ * Register the translation keys view and its commands
+ * @param {vscode.ExtensionContext} context - The extension context
+ */
+function registerTranslationTree(context) {
+  treeView = vscode.window.createTreeView(VIEW_ID, {
+    treeDataProvider: translationTreeProvider,
+    showCollapseAll: true,
+  });
+
+  const filterCommand = vscode.commands.registerCommand(
+    "nextIntlHelper.filterTranslationTree",
+    filterTranslationTree
+  );
+
+  const clearFilterCommand = vscode.commands.registerCommand(
+    "nextIntlHelper.clearTranslationTreeFilter",
+    () => setFilter("")
+  );
+
+  const refreshCommand = vscode.commands.registerCommand(
+    "nextIntlHelper.refreshTranslationTree",
+    refreshTranslationTree
+  );
+
+  // Reload the tree when a locale file changes
+  onDidChangeTranslations(refreshTranslationTree, null, context.subscriptions);
+
+  context.subscriptions.push(
+    treeView,
+    filterCommand,
+    clearFilterCommand,
+    refreshCommand
+  );
+}
+
+module.exports = {
+  registerTranslationTree,
+};
@@ -0,0 +1,848 @@
+// utils/astUtils.js - Utilities for finding text in components that could be translated, using a Babel AST
+const vscode = require("vscode");
+const { parse } = require("@babel/parser");
+
+/**
+ * Number of documents whose strings are kept between calls
+ */
+const MAX_CACHED_DOCUMENTS = 20;
+
+/**
+ * Strings found in each document by URI and collector, reused while the
+ * document version is unchanged
+ */
+const stringsByDocument = new Map();
+
+/**
+ * Functions whose string arguments are module names or namespaces
+ */
+const NON_TEXT_CALLEES = ["require", "useTranslations", "getTranslations"];
+
+/**
+ * Operators whose string operands are compared values, not text
+ */
+const COMPARISON_OPERATORS = ["===", "!==", "==", "!="];
+
+/**
+ * Node types of functions that can be components
+ */
+const FUNCTION_TYPES = [
+  "FunctionDeclaration",
+  "FunctionExpression",
+  "ArrowFunctionExpression",
+];
+
+/**
+ * Expressions in JSX children that end a message, like elements,
+ * conditionals and callbacks that render lists
+ */
+const MESSAGE_BREAKING_TYPES = [
+  "JSXElement",
+  "JSXFragment",
+  "JSXEmptyExpression",
+  "ConditionalExpression",
+  "LogicalExpression",
+  "ArrowFunctionExpression",
+  "FunctionExpression",
+];
+
+/**
+ * Parse a JavaScript or TypeScript source file
+ * @param {string} text - The source
+ * @param {string} fileName - Name of the file, to pick the syntax plugins
+ * @returns {Object|null} The Babel AST, or null if the source can't be parsed
+ */
+function parseSource(text, fileName) {
+  const extension = fileName.toLowerCase().split(".").pop();
+  const isTypeScript = ["ts", "tsx", "mts", "cts"].includes(extension);
+
+  // Type assertions like <T>value rule out JSX in .ts files
+  const plugins = isTypeScript
+    ? extension === "tsx"
+      ? ["typescript", "jsx"]
+      : ["typescript"]
+    : ["jsx"];
+
+  try {
+    return parse(text, {
+      sourceType: "unambiguous",
+      plugins,
+      errorRecovery: true,
+      allowReturnOutsideFunction: true,
+    });
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Call a function for a node and every node below it
+ * @param {Object} node - The AST node
+ * @param {function(Object): void} visit - Called for each node
+ */
+function walk(node, visit) {
+  visit(node);
+
+  for (const [key, value] of Object.entries(node)) {
+    if (key === "loc" || key === "extra" || key.endsWith("Comments")) continue;
+
+    const children = Array.isArray(value) ? value : [value];
+    for (const child of children) {
+      if (child && typeof child.type === "string") {
+        walk(child, visit);
+      }
+    }
+  }
+}
+
+/**
+ * Get the name of a JSX element or attribute, e.g. "Form.Input" or "xlink:title"
+ * @param {Object} node - The JSXIdentifier, JSXMemberExpression or
+ *   JSXNamespacedName
+ * @returns {string} The name
+ */
+function getJsxName(node) {
+  switch (node.type) {
+    case "JSXMemberExpression":
+      return `${getJsxName(node.object)}.${getJsxName(node.property)}`;
+    case "JSXNamespacedName":
+      return `${node.namespace.name}:${node.name.name}`;
+    default:
+      return node.name;
+  }
+}
+
+/**
+ * Add the attributes of a JSX element to the attributes found so far
+ * @param {Object} node - The JSXOpeningElement
+ * @param {Object[]} attributes - The attribute nodes with their element and
+ *   attribute name, see findAttributeAround
+ */
+function addAttributes(node, attributes) {
+  const element = getJsxName(node.name);
+  for (const attribute of node.attributes) {
+    if (attribute.type === "JSXAttribute") {
+      attributes.push({
+        node: attribute,
+        attribute: { element, name: getJsxName(attribute.name) },
+      });
+    }
+  }
+}
+
+/**
+ * Find the innermost JSX attribute around a node. The AST is walked in
+ * pre-order, so that's the last one found around it.
+ * @param {Object[]} attributes - The attributes found so far, see addAttributes
+ * @param {Object} node - The node
+ * @returns {?Object} The attribute node, and its element and name
+ */
+function findAttributeAround(attributes, node) {
+  for (let i = attributes.length - 1; i >= 0; i--) {
+    const item = attributes[i];
+    if (item.node.start < node.start && node.end <= item.node.end) {
+      return item;
+    }
+  }
+  return null;
+}
+
+/**
+ * Describe a string literal found in JSX
+ * @param {Object} node - The StringLiteral or TemplateLiteral
+ * @param {string} value - The string value
+ * @param {boolean} needsBraces - Whether the translation call replacing it
+ *   must be wrapped in braces
+ * @param {?Object} attribute - The attribute the string is the value of
+ * @returns {Object} The string, see collectTranslatableStrings
+ */
+function createLiteralString(node, value, needsBraces, attribute) {
+  return {
+    value,
+    start: node.start + 1,
+    end: node.end - 1,
+    replaceStart: node.start,
+    replaceEnd: node.end,
+    needsBraces,
+    attribute,
+  };
+}
+
+/**
+ * Collect the string literals an expression in JSX can render, including both
+ * branches of `cond ? "a" : "b"` and the fallback of `value || "b"`
+ * @param {Object} node - The expression
+ * @param {Object[]} strings - Found strings are added here
+ * @param {?Object} [attribute] - The attribute the expression is the value of
+ */
+function collectExpressionStrings(node, strings, attribute = null) {
+  if (!node) return;
+
+  switch (node.type) {
+    case "StringLiteral":
+      strings.push(createLiteralString(node, node.value, false, attribute));
+      break;
+    case "TemplateLiteral":
+      if (node.expressions.length === 0) {
+        const value = node.quasis[0].value.cooked;
+        strings.push(createLiteralString(node, value, false, attribute));
+      }
+      break;
+    case "ConditionalExpression":
+      collectExpressionStrings(node.consequent, strings, attribute);
+      collectExpressionStrings(node.alternate, strings, attribute);
+      break;
+    case "LogicalExpression":
+      collectExpressionStrings(node.right, strings, attribute);
+      break;
+    case "ParenthesizedExpression":
+      collectExpressionStrings(node.expression, strings, attribute);
+      break;
+  }
+}
+
+/**
+ * Find the text a component renders: JSX text, strings in JSX expressions, the
+ * string branches of conditionals in them and attribute values
+ * @param {string} text - The source
+ * @param {string} fileName - Name of the file
+ * @returns {Object[]} The strings, in source order, with their value, the
+ *   offsets of the text, the offsets to replace with a translation call,
+ *   whether that call needs braces (`{t("key")}` for JSX text and attribute
+ *   values, `t("key")` in expressions), and for attribute values the name of
+ *   the element and attribute
+ */
+function collectTranslatableStrings(text, fileName) {
+  const ast = parseSource(text, fileName);
+  if (!ast) {
+    return [];
+  }
+
+  const strings = [];
+  const attributeValues = new Set();
+
+  walk(ast.program, (node) => {
+    if (node.type === "JSXText") {
+      const raw = text.substring(node.start, node.end);
+      const value = raw.trim();
+      if (!value) return;
+
+      // JSX joins the lines of multi-line text with a space
+      const start = node.start + raw.indexOf(value);
+      strings.push({
+        value: value.replace(/\s*\n\s*/g, " "),
+        start,
+        end: start + value.length,
+        replaceStart: start,
+        replaceEnd: start + value.length,
+        needsBraces: true,
+        attribute: null,
+      });
+    } else if (node.type === "JSXOpeningElement") {
+      const element = getJsxName(node.name);
+
+      for (const attributeNode of node.attributes) {
+        const { value } = attributeNode;
+        if (attributeNode.type !== "JSXAttribute" || !value) continue;
+
+        const attribute = { element, name: getJsxName(attributeNode.name) };
+        if (value.type === "StringLiteral") {
+          strings.push(
+            createLiteralString(value, value.value, true, attribute)
+          );
+        } else if (value.type === "JSXExpressionContainer") {
+          attributeValues.add(value);
+          collectExpressionStrings(value.expression, strings, attribute);
+        }
+      }
+    } else if (
+      node.type === "JSXExpressionContainer" &&
+      !attributeValues.has(node)
+    ) {
+      collectExpressionStrings(node.expression, strings);
+    }
+  });
+
+  return strings.sort((a, b) => a.start - b.start);
+}
+
+/**
+ * Find the string literals in a file that could be text, leaving out module
+ * names, property keys, types, compared values and tagged templates
+ * @param {string} text - The source
+ * @param {string} fileName - Name of the file
+ * @returns {Object[]} The strings in source order, like those of
+ *   collectTranslatableStrings. Strings in a JSX attribute have the attribute.
+ */
+function collectStringLiterals(text, fileName) {
+  const ast = parseSource(text, fileName);
+  if (!ast) {
+    return [];
+  }
+
+  const strings = [];
+  const skipped = new Set();
+  const attributes = [];
+
+  walk(ast.program, (node) => {
+    switch (node.type) {
+      case "ImportDeclaration":
+      case "ExportNamedDeclaration":
+      case "ExportAllDeclaration":
+        skipped.add(node.source);
+        break;
+      case "ImportSpecifier":
+      case "ExportSpecifier":
+        skipped.add(node.imported).add(node.exported);
+        break;
+      case "ObjectProperty":
+      case "ObjectMethod":
+      case "ClassProperty":
+      case "ClassMethod":
+      case "TSPropertySignature":
+        if (!node.computed) skipped.add(node.key);
+        break;
+      case "MemberExpression":
+      case "OptionalMemberExpression":
+        if (node.computed) skipped.add(node.property);
+        break;
+      case "CallExpression":
+        if (
+          node.callee.type === "Import" ||
+          NON_TEXT_CALLEES.includes(node.callee.name)
+        ) {
+          node.arguments.forEach((argument) => skipped.add(argument));
+        }
+        break;
+      case "ImportExpression":
+        skipped.add(node.source);
+        break;
+      case "BinaryExpression":
+        if (COMPARISON_OPERATORS.includes(node.operator)) {
+          skipped.add(node.left).add(node.right);
+        }
+        break;
+      case "SwitchCase":
+        skipped.add(node.test);
+        break;
+      case "TaggedTemplateExpression":
+        skipped.add(node.quasi);
+        break;
+      case "TSLiteralType":
+        skipped.add(node.literal);
+        break;
+      case "TSEnumMember":
+      case "TSModuleDeclaration":
+        skipped.add(node.id);
+        break;
+      case "TSExternalModuleReference":
+        skipped.add(node.expression);
+        break;
+      case "TSImportType":
+        skipped.add(node.argument);
+        break;
+      case "JSXOpeningElement":
+        addAttributes(node, attributes);
+        break;
+      case "StringLiteral":
+      case "TemplateLiteral": {
+        const value =
+          node.type === "StringLiteral"
+            ? node.value
+            : node.expressions.length === 0 && node.quasis[0].value.cooked;
+        if (skipped.has(node) || typeof value !== "string" || !value.trim()) {
+          return;
+        }
+
+        const around = findAttributeAround(attributes, node);
+        const attribute = around ? around.attribute : null;
+        const needsBraces = Boolean(around) && around.node.value === node;
+
+        strings.push(createLiteralString(node, value, needsBraces, attribute));
+        break;
+      }
+    }
+  });
+
+  return strings;
+}
+
+/**
+ * Check whether an expression is string concatenation, being `+` with a
+ * string on either side. `a + b + "c"` adds `a + b` first, so only the outer
+ * `+` is concatenation.
+ * @param {Object} node - The expression
+ * @returns {boolean} True if it's concatenation
+ */
+function isConcatenation(node) {
+  return (
+    node.type === "BinaryExpression" &&
+    node.operator === "+" &&
+    [node.left, node.right].some(
+      (operand) =>
+        operand.type === "StringLiteral" ||
+        operand.type === "TemplateLiteral" ||
+        isConcatenation(operand)
+    )
+  );
+}
+
+/**
+ * Suggest an argument name for a value in a message, e.g. "name" for
+ * `user.name`, "itemsCount" for `items.length` and "date" for
+ * `formatDate(createdAt)`
+ * @param {Object} node - The expression
+ * @returns {string} The name
+ */
+function getArgumentName(node) {
+  switch (node.type) {
+    case "Identifier":
+      return node.name;
+    case "MemberExpression":
+    case "OptionalMemberExpression":
+      if (node.computed || node.property.type !== "Identifier") {
+        return getArgumentName(node.object);
+      }
+      return node.property.name === "length"
+        ? `${getArgumentName(node.object)}Count`
+        : node.property.name;
+    case "CallExpression":
+    case "OptionalCallExpression": {
+      const { callee } = node;
+      const name = callee.property ? callee.property.name : callee.name;
+
+      // Conversions like `price.toFixed(2)` are named after the value
+      if (!name || (callee.property && /^to[A-Z]/.test(name))) {
+        return callee.object ? getArgumentName(callee.object) : "value";
+      }
+      const stripped = name.replace(/^(get|format)(?=[A-Z])/, "");
+      return stripped[0].toLowerCase() + stripped.slice(1);
+    }
+    case "TSNonNullExpression":
+    case "TSAsExpression":
+      return getArgumentName(node.expression);
+    default:
+      return "value";
+  }
+}
+
+/**
+ * Split text built from strings and values into its parts
+ * @param {Object} node - A string, template literal, concatenation or value
+ * @param {string} text - The source
+ * @param {Object[]} parts - Parts are added here, see collectInterpolatedMessages
+ */
+function addMessageParts(node, text, parts) {
+  if (node.type === "StringLiteral") {
+    parts.push({ text: node.value });
+  } else if (node.type === "TemplateLiteral") {
+    node.quasis.forEach((quasi, index) => {
+      parts.push({ text: quasi.value.cooked || "" });
+      if (index < node.expressions.length) {
+        addMessageParts(node.expressions[index], text, parts);
+      }
+    });
+  } else if (isConcatenation(node)) {
+    addMessageParts(node.left, text, parts);
+    addMessageParts(node.right, text, parts);
+  } else {
+    parts.push({
+      source: text.substring(node.start, node.end),
+      name: getArgumentName(node),
+    });
+  }
+}
+
+/**
+ * Get the text JSX renders for JSXText: lines are trimmed and joined with a
+ * space, and blank lines are dropped
+ * @param {string} raw - The JSXText source
+ * @returns {string} The text
+ */
+function getJsxTextValue(raw) {
+  const lines = raw.split(/\r\n|\n|\r/);
+  return lines
+    .map((line, index) => {
+      const start = index > 0 ? line.trimStart() : line;
+      return index < lines.length - 1 ? start.trimEnd() : start;
+    })
+    .filter(Boolean)
+    .join(" ");
+}
+
+/**
+ * Check whether a child of a JSX element can be part of a message, being text
+ * or a value like `{count}`, but not elements, conditionals or callbacks
+ * @param {Object} node - The child
+ * @returns {boolean} True if it can be part of a message
+ */
+function isMessageChild(node) {
+  if (node.type === "JSXText") return true;
+  if (node.type !== "JSXExpressionContainer") return false;
+
+  return !MESSAGE_BREAKING_TYPES.includes(node.expression.type);
+}
+
+/**
+ * Split the children of a JSX element into the runs of text and values that
+ * make up a message, like `You have {count} messages`
+ * @param {Object[]} children - The children of the element
+ * @param {string} text - The source
+ * @returns {Object[]} The runs with their parts and offsets, leaving out the
+ *   whitespace around them
+ */
+function collectJsxMessages(children, text) {
+  const runs = [];
+  let run = null;
+
+  for (const child of children) {
+    if (!isMessageChild(child)) {
+      run = null;
+      continue;
+    }
+    if (!run) {
+      run = { parts: [], start: child.start, end: child.end };
+      runs.push(run);
+    }
+
+    if (child.type === "JSXText") {
+      const raw = text.substring(child.start, child.end);
+      if (run.parts.length === 0) {
+        run.start += raw.length - raw.trimStart().length;
+      }
+      if (raw.trim()) {
+        run.end = child.start + raw.trimEnd().length;
+      }
+      run.parts.push({ text: getJsxTextValue(raw) });
+    } else {
+      run.end = child.end;
+      addMessageParts(child.expression, text, run.parts);
+    }
+  }
+
+  // Whitespace before the first and after the last text is layout
+  for (const { parts } of runs) {
+    const first = parts[0];
+    const last = parts[parts.length - 1];
+    if ("text" in first) first.text = first.text.trimStart();
+    if ("text" in last) last.text = last.text.trimEnd();
+  }
+  return runs;
+}
+
+/**
+ * Find text built from strings and values: string concatenation like
+ * `"Hi, " + user.name`, template literals with expressions and JSX text mixed
+ * with values like `You have {count} messages`. Only text with words counts,
+ * which leaves out paths like `/users/${id}` and class names.
+ * @param {string} text - The source
+ * @param {string} fileName - Name of the file
+ * @returns {Object[]} The messages in source order, with their parts being
+ *   `{text}` for literal text and `{source, name}` for values with a
+ *   suggested argument name, and the offsets, braces and attribute like the
+ *   strings of collectTranslatableStrings
+ */
+function collectInterpolatedMessages(text, fileName) {
+  const ast = parseSource(text, fileName);
+  if (!ast) {
+    return [];
+  }
+
+  const messages = [];
+  const skipped = new Set();
+  const attributes = [];
+
+  const addMessage = (parts, start, end, needsBraces, attribute) => {
+    const literalText = parts.map((part) => part.text || "").join("");
+    if (
+      parts.some((part) => "source" in part) &&
+      /\p{L}/u.test(literalText) &&
+      /\s/.test(literalText)
+    ) {
+      messages.push({
+        parts,
+        start,
+        end,
+        replaceStart: start,
+        replaceEnd: end,
+        needsBraces,
+        attribute,
+      });
+    }
+  };
+
+  walk(ast.program, (node) => {
+    // Pre-order, so a message inside another one comes after it
+    if (
+      skipped.has(node) ||
+      messages.some(({ start, end }) => start <= node.start && node.end <= end)
+    ) {
+      return;
+    }
+
+    switch (node.type) {
+      case "TaggedTemplateExpression":
+        skipped.add(node.quasi);
+        break;
+      case "TSLiteralType":
+        skipped.add(node.literal);
+        break;
+      case "CallExpression":
+        if (
+          node.callee.type === "Import" ||
+          NON_TEXT_CALLEES.includes(node.callee.name)
+        ) {
+          node.arguments.forEach((argument) => skipped.add(argument));
+        }
+        break;
+      case "JSXOpeningElement":
+        addAttributes(node, attributes);
+        break;
+      case "JSXElement":
+      case "JSXFragment":
+        for (const run of collectJsxMessages(node.children, text)) {
+          addMessage(run.parts, run.start, run.end, true, null);
+        }
+        break;
+      case "TemplateLiteral":
+      case "BinaryExpression":
+        if (node.type === "TemplateLiteral" || isConcatenation(node)) {
+          const parts = [];
+          addMessageParts(node, text, parts);
+
+          const around = findAttributeAround(attributes, node);
+          const attribute = around ? around.attribute : null;
+          addMessage(parts, node.start, node.end, false, attribute);
+        }
+        break;
+    }
+  });
+
+  return messages.sort((a, b) => a.start - b.start);
+}
+
+/**
+ * Check whether an attribute name matches one of a list of names, which can
+ * contain * wildcards like "data-*"
+ * @param {string[]} patterns - The names
+ * @param {string} name - The attribute name
+ * @returns {boolean} True if it matches
+ */
+function matchesAttribute(patterns, name) {
+  return patterns.some((pattern) => {
+    const source = pattern
+      .split("*")
+      .map((part) => part.replace(/[.+?^${}()|[\]\\]/g, "\\$&"))
+      .join(".*");
+    return new RegExp(`^${source}$`).test(name);
+  });
+}
+
+/**
+ * Check whether the value of an attribute is user-facing text, using the
+ * per-component overrides first, then the ignored and translatable attributes
+ * @param {string} element - Name of the element, e.g. "input" or "Form.Input"
+ * @param {string} name - Name of the attribute
+ * @returns {boolean} True if the value needs translation
+ */
+function isTranslatableAttribute(element, name) {
+  const config = vscode.workspace.getConfiguration("nextIntlHelper");
+  const override = config.get("componentAttributes", {})[element] || {};
+
+  if (matchesAttribute(override.ignored || [], name)) return false;
+  if (matchesAttribute(override.translatable || [], name)) return true;
+  if (matchesAttribute(config.get("ignoredPatterns", []), name)) return false;
+
+  return matchesAttribute(config.get("translatableAttributes", []), name);
+}
+
+/**
+ * Get strings of a document, collecting them once per document version
+ * @param {vscode.TextDocument} document - The document
+ * @param {function(string, string): Object[]} collect - The collector, e.g.
+ *   collectTranslatableStrings
+ * @returns {Object[]} The strings
+ */
+function getCachedStrings(document, collect) {
+  const uri = document.uri.toString();
+  let cached = stringsByDocument.get(uri);
+
+  if (!cached || cached.version !== document.version) {
+    cached = { version: document.version, strings: new Map() };
+  }
+
+  // Keep the most recently used documents
+  stringsByDocument.delete(uri);
+  stringsByDocument.set(uri, cached);
+  if (stringsByDocument.size > MAX_CACHED_DOCUMENTS) {
+    stringsByDocument.delete(stringsByDocument.keys().next().value);
+  }
+
+  if (!cached.strings.has(collect)) {
+    cached.strings.set(collect, collect(document.getText(), document.fileName));
+  }
+  return cached.strings.get(collect);
+}
+
+/**
+ * Leave out the strings in attributes whose values aren't user-facing
+ * @param {Object[]} strings - The strings
+ * @returns {Object[]} The strings that need translation
+ */
+function filterAttributeStrings(strings) {
+  return strings.filter(
+    ({ attribute }) =>
+      !attribute || isTranslatableAttribute(attribute.element, attribute.name)
+  );
+}
+
+/**
+ * Find the text a component renders, reusing the parsed strings until the
+ * document changes. Values of attributes that aren't user-facing are left out.
+ * @param {vscode.TextDocument} document - The document
+ * @returns {Object[]} The strings, see collectTranslatableStrings
+ */
+function findTranslatableStrings(document) {
+  return filterAttributeStrings(
+    getCachedStrings(document, collectTranslatableStrings)
+  );
+}
+
+/**
+ * Find the rendered text at an offset
+ * @param {vscode.TextDocument} document - The document
+ * @param {number} offset - Offset in the document
+ * @returns {Object|null} The string, see collectTranslatableStrings
+ */
+function findTranslatableStringAt(document, offset) {
+  return (
+    findTranslatableStrings(document).find(
+      (string) => string.start <= offset && offset <= string.end
+    ) || null
+  );
+}
+
+/**
+ * Find the string literal at an offset that could be text, e.g. a label in an
+ * object or an argument of a function, see collectStringLiterals
+ * @param {vscode.TextDocument} document - The document
+ * @param {number} offset - Offset in the document
+ * @returns {Object|null} The string, see collectTranslatableStrings
+ */
+function findStringLiteralAt(document, offset) {
+  return (
+    filterAttributeStrings(
+      getCachedStrings(document, collectStringLiterals)
+    ).find((string) => string.start <= offset && offset <= string.end) || null
+  );
+}
+
+/**
+ * Find the text built from strings and values at an offset, like
+ * `"Hi, " + name`, see collectInterpolatedMessages
+ * @param {vscode.TextDocument} document - The document
+ * @param {number} offset - Offset in the document
+ * @returns {Object|null} The message
+ */
+function findInterpolatedMessageAt(document, offset) {
+  return (
+    filterAttributeStrings(
+      getCachedStrings(document, collectInterpolatedMessages)
+    ).find((message) => message.start <= offset && offset <= message.end) ||
+    null
+  );
+}
+
+/**
+ * Find the components of a module, being its outermost functions, and its
+ * imports, to declare translation functions in the components
+ * @param {string} text - The source
+ * @param {string} fileName - Name of the file
+ * @returns {Object} The components with their name, whether they're async,
+ *   the offsets of their body (including parentheses around an expression
+ *   body) and of the first statement of a block body; the import declarations
+ *   with their module, named imports, quote and semicolon; and the offset
+ *   after the imports and directives
+ */
+function findComponents(text, fileName) {
+  const ast = parseSource(text, fileName);
+  if (!ast) {
+    return { components: [], imports: [], importOffset: 0 };
+  }
+
+  const assignedNames = new Map();
+  const components = [];
+
+  walk(ast.program, (node) => {
+    if (node.type === "VariableDeclarator" && node.id.type === "Identifier") {
+      let init = node.init;
+      while (init && init.type === "CallExpression") {
+        init = init.arguments[0];
+      }
+      if (init) assignedNames.set(init, node.id.name);
+    }
+
+    // Pre-order, so a function inside the last component comes after it
+    const last = components[components.length - 1];
+    if (
+      !FUNCTION_TYPES.includes(node.type) ||
+      (last && node.start < last.end)
+    ) {
+      return;
+    }
+
+    const { body } = node;
+    let bodyStart = body.start;
+    let bodyEnd = body.end;
+    if (body.extra && body.extra.parenthesized) {
+      bodyStart = body.extra.parenStart;
+      bodyEnd = text.indexOf(")", body.end) + 1;
+    }
+
+    const isBlock = body.type === "BlockStatement";
+    components.push({
+      name: node.id ? node.id.name : assignedNames.get(node) || null,
+      async: node.async,
+      end: node.end,
+      bodyStart,
+      bodyEnd,
+      isBlock,
+      statementOffset:
+        isBlock && body.body.length > 0 ? body.body[0].start : -1,
+    });
+  });
+
+  const declarations = ast.program.body.filter(
+    (node) => node.type === "ImportDeclaration"
+  );
+  const imports = declarations.map((node) => ({
+    source: node.source.value,
+    typeOnly: node.importKind === "type",
+    named: node.specifiers
+      .filter((specifier) => specifier.type === "ImportSpecifier")
+      .map((specifier) => ({
+        name: specifier.imported.name || specifier.imported.value,
+        end: specifier.end,
+      })),
+    quote: text[node.source.start],
+    semicolon: text[node.end - 1] === ";",
+  }));
+
+  // New imports go after the last import or a "use client" directive
+  const { directives } = ast.program;
+  const last =
+    declarations[declarations.length - 1] || directives[directives.length - 1];
+
+  return { components, imports, importOffset: last ? last.end : 0 };
+}
+
+module.exports = {
+  parseSource,
+  collectTranslatableStrings,
+  isTranslatableAttribute,
+  findTranslatableStrings,
+  findTranslatableStringAt,
+  findStringLiteralAt,
+  findInterpolatedMessageAt,
+  findComponents,
+};
@@ -0,0 +1,569 @@
+// utils/callUtils.js - Utilities for locating translation calls and the namespaces they are bound to
+const vscode = require("vscode");
+
+/**
+ * Functions from next-intl that create a translation function for a namespace
+ */
+const TRANSLATOR_FACTORIES = ["useTranslations", "getTranslations"];
+
+/**
+ * Methods on the translation function that take a key as first argument
+ */
+const TRANSLATOR_METHODS = ["rich", "markup", "raw", "has"];
+
+/**
+ * Replace the contents of comments, strings and the text of template literals
+ * with spaces so braces inside them don't influence scope detection. Code in
+ * template expressions like `${t("title")}` is kept. Offsets are kept intact.
+ * @param {string} text - The source text
+ * @returns {string} The masked text, same length as the input
+ */
+function maskNonCode(text) {
+  const chars = text.split("");
+  // Brace depth inside each template expression we are in, innermost last
+  const expressions = [];
+  let i = 0;
+
+  const blank = (from, to) => {
+    for (let j = from; j < to; j++) {
+      if (chars[j] !== "\n") {
+        chars[j] = " ";
+      }
+    }
+  };
+
+  // Blank template text up to the closing backtick or the next expression,
+  // including its ${ delimiter, and return where the code continues
+  const skipTemplateText = (start) => {
+    let j = start;
+    while (j < text.length) {
+      if (text[j] === "\\") {
+        j += 2;
+      } else if (text[j] === "`") {
+        blank(start, j);
+        return j + 1;
+      } else if (text[j] === "$" && text[j + 1] === "{") {
+        blank(start, j + 2);
+        expressions.push(0);
+        return j + 2;
+      } else {
+        j++;
+      }
+    }
+    blank(start, text.length);
+    return text.length;
+  };
+
+  while (i < text.length) {
+    const char = text[i];
+    const next = text[i + 1];
+    const depth = expressions.length - 1;
+
+    if (char === "/" && next === "/") {
+      // Line comment
+      const end = text.indexOf("\n", i);
+      const stop = end === -1 ? text.length : end;
+      blank(i, stop);
+      i = stop;
+    } else if (char === "/" && next === "*") {
+      // Block comment
+      const end = text.indexOf("*/", i + 2);
+      const stop = end === -1 ? text.length : end + 2;
+      blank(i, stop);
+      i = stop;
+    } else if (
+      (char === '"' || char === "'") &&
+      !/[\w$]/.test(text[i - 1] || "")
+    ) {
+      // String literal, which can't span lines. Quotes right after a word
+      // (e.g. "Don't" in JSX text) or without a closing quote aren't strings.
+      let j = i + 1;
+      while (j < text.length && text[j] !== char && text[j] !== "\n") {
+        j += text[j] === "\\" ? 2 : 1;
+      }
+      if (text[j] === char) {
+        blank(i + 1, j);
+        i = j + 1;
+      } else {
+        i++;
+      }
+    } else if (char === "`") {
+      // Template literal, its expressions are scanned as code
+      i = skipTemplateText(i + 1);
+    } else if (depth >= 0 && char === "{") {
+      expressions[depth]++;
+      i++;
+    } else if (depth >= 0 && char === "}") {
+      if (expressions[depth] > 0) {
+        expressions[depth]--;
+        i++;
+      } else {
+        // End of a template expression, back in the template text
+        expressions.pop();
+        blank(i, i + 1);
+        i = skipTemplateText(i + 1);
+      }
+    } else {
+      i++;
+    }
+  }
+
+  return chars.join("");
+}
+
+/**
+ * Find the block that encloses an offset
+ * @param {string} masked - Source text masked with maskNonCode
+ * @param {number} offset - Offset inside the block
+ * @returns {{start: number, end: number}} Offsets of the enclosing braces (whole file if none)
+ */
+function findEnclosingBlock(masked, offset) {
+  let depth = 0;
+  let start = -1;
+
+  for (let i = offset - 1; i >= 0; i--) {
+    if (masked[i] === "}") {
+      depth++;
+    } else if (masked[i] === "{") {
+      if (depth === 0) {
+        start = i;
+        break;
+      }
+      depth--;
+    }
+  }
+
+  if (start === -1) {
+    return { start: 0, end: masked.length };
+  }
+
+  depth = 0;
+  for (let i = start; i < masked.length; i++) {
+    if (masked[i] === "{") {
+      depth++;
+    } else if (masked[i] === "}") {
+      depth--;
+      if (depth === 0) {
+        return { start, end: i };
+      }
+    }
+  }
+
+  return { start, end: masked.length };
+}
+
+/**
+ * Escape a string for use in a regular expression
+ * @param {string} text - Text to escape
+ * @returns {string} Escaped text
+ */
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+/**
+ * Parse the arguments passed to useTranslations/getTranslations
+ * @param {string} args - Raw argument text
+ * @param {number} argsOffset - Offset of the argument text in the document
+ * @returns {{namespace: string|null, namespaceStart: number, namespaceEnd: number}}
+ *   The namespace ("" for none, null if it can't be determined statically) and its offsets
+ */
+function parseTranslatorArguments(args, argsOffset) {
+  const trimmed = args.trim();
+  if (!trimmed) {
+    return { namespace: "", namespaceStart: -1, namespaceEnd: -1 };
+  }
+
+  // useTranslations("ns") / getTranslations("ns")
+  // getTranslations({ locale, namespace: "ns" })
+  const literalMatch =
+    args.match(/^\s*(["'`])([^"'`$]*)\1\s*$/) ||
+    (trimmed.startsWith("{") &&
+      args.match(/\bnamespace\s*:\s*(["'`])([^"'`$]*)\1/));
+
+  if (literalMatch) {
+    const namespaceStart =
+      argsOffset +
+      literalMatch.index +
+      literalMatch[0].indexOf(literalMatch[1]) +
+      1;
+    return {
+      namespace: literalMatch[2],
+      namespaceStart,
+      namespaceEnd: namespaceStart + literalMatch[2].length,
+    };
+  }
+
+  // An options object without a namespace means the root namespace
+  if (trimmed.startsWith("{") && !/\bnamespace\b/.test(trimmed)) {
+    return { namespace: "", namespaceStart: -1, namespaceEnd: -1 };
+  }
+
+  return { namespace: null, namespaceStart: -1, namespaceEnd: -1 };
+}
+
+/**
+ * Find every translation function created with useTranslations/getTranslations
+ * @param {string} text - The source text
+ * @param {string} [masked] - Pre-computed result of maskNonCode(text)
+ * @returns {Array} Bindings with name, namespace and the scope they're visible in
+ */
+function findTranslatorBindings(text, masked = maskNonCode(text)) {
+  const bindings = [];
+  const regex = new RegExp(
+    `\\b(?:const|let|var)\\s+([A-Za-z_$][\\w$]*)\\s*(?::[^=]+)?=\\s*(?:await\\s+)?(${TRANSLATOR_FACTORIES.join(
+      "|"
+    )})\\s*(?:<[^>]*>)?\\(([^)]*)\\)`,
+    "g"
+  );
+  let match;
+
+  while ((match = regex.exec(text)) !== null) {
+    // Ignore matches inside comments or strings
+    if (masked[match.index] !== text[match.index]) {
+      continue;
+    }
+
+    const argsOffset = match.index + match[0].lastIndexOf("(") + 1;
+    const scope = findEnclosingBlock(masked, match.index);
+
+    bindings.push({
+      name: match[1],
+      factory: match[2],
+      ...parseTranslatorArguments(match[3], argsOffset),
+      declarationStart: match.index,
+      declarationEnd: match.index + match[0].length,
+      scopeStart: scope.start,
+      scopeEnd: scope.end,
+    });
+  }
+
+  return bindings;
+}
+
+/**
+ * Find the binding for a translation function name visible at an offset
+ * @param {Array} bindings - Bindings from findTranslatorBindings
+ * @param {string} name - Name of the translation function
+ * @param {number} offset - Offset of the usage
+ * @returns {Object|null} The innermost visible binding, or null
+ */
+function findBindingAt(bindings, name, offset) {
+  let result = null;
+
+  for (const binding of bindings) {
+    if (
+      binding.name !== name ||
+      binding.declarationStart > offset ||
+      offset < binding.scopeStart ||
+      offset > binding.scopeEnd
+    ) {
+      continue;
+    }
+
+    if (
+      !result ||
+      binding.scopeStart > result.scopeStart ||
+      (binding.scopeStart === result.scopeStart &&
+        binding.declarationStart > result.declarationStart)
+    ) {
+      result = binding;
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Join a namespace and a relative key into a full key path
+ * @param {string} namespace - The namespace (may be empty)
+ * @param {string} key - The key relative to the namespace
+ * @returns {string} The full key path
+ */
+function joinKey(namespace, key) {
+  return namespace ? `${namespace}.${key}` : key;
+}
+
+/**
+ * Check whether a full key is the given key or one of its children
+ * @param {string} fullKey - The key to check
+ * @param {string} parentKey - The possible parent key
+ * @returns {boolean} True if fullKey is parentKey or nested below it
+ */
+function isKeyOrChild(fullKey, parentKey) {
+  return fullKey === parentKey || fullKey.startsWith(`${parentKey}.`);
+}
+
+/**
+ * Get the translation function name configured by the user
+ * @returns {string} Name of the translation function
+ */
+function getConfiguredFunctionName() {
+  return vscode.workspace
+    .getConfiguration("nextIntlHelper")
+    .get("translationFunction", "t");
+}
+
+/**
+ * Find all translation calls like t("key"), t.rich("key") or tCommon("key")
+ * @param {string} text - The source text
+ * @returns {Array} Calls with their relative key, resolved namespace and full key.
+ *   Dynamic calls (template literals or expressions) have no full key, only a static prefix.
+ */
+function findTranslationCalls(text) {
+  const masked = maskNonCode(text);
+  const bindings = findTranslatorBindings(text, masked);
+  const names = new Set(bindings.map((binding) => binding.name));
+  names.add(getConfiguredFunctionName());
+
+  // The key is either a string literal or an expression like t(key) or t(item.key)
+  const namePattern = [...names].map(escapeRegExp).join("|");
+  const regex = new RegExp(
+    `(?<![\\w$.])(${namePattern})(?:\\.(${TRANSLATOR_METHODS.join(
+      "|"
+    )}))?\\s*\\(\\s*(?:(["'\`])((?:(?!\\3)[^\\\\\\n]|\\\\.)*)\\3|([A-Za-z_$][\\w$.]*)\\s*[,)])`,
+    "g"
+  );
+  const calls = [];
+  let match;
+
+  while ((match = regex.exec(text)) !== null) {
+    // Ignore matches inside comments or strings
+    if (masked[match.index] !== text[match.index]) {
+      continue;
+    }
+
+    const name = match[1];
+    const binding = findBindingAt(bindings, name, match.index);
+    const namespace = binding ? binding.namespace : "";
+    const expression = match[5];
+
+    if (expression) {
+      // Only trust expression keys for functions created with useTranslations/getTranslations
+      if (!binding) continue;
+
+      const keyStart = match.index + match[0].indexOf(expression, name.length);
+      calls.push({
+        name,
+        method: match[2] || null,
+        key: expression,
+        quote: null,
+        dynamic: true,
+        staticPrefix: "",
+        namespace,
+        fullKey: null,
+        binding,
+        start: match.index,
+        keyStart,
+        keyEnd: keyStart + expression.length,
+        end: keyStart + expression.length,
+      });
+      continue;
+    }
+
+    const key = match[4];
+    const keyStart = match.index + match[0].length - key.length - 1;
+    const dynamic = match[3] === "`" && key.includes("${");
+
+    calls.push({
+      name,
+      method: match[2] || null,
+      key,
+      quote: match[3],
+      dynamic,
+      staticPrefix: dynamic ? key.substring(0, key.indexOf("${")) : key,
+      namespace,
+      fullKey: namespace === null || dynamic ? null : joinKey(namespace, key),
+      binding,
+      start: match.index,
+      keyStart,
+      keyEnd: keyStart + key.length,
+      end: match.index + match[0].length,
+    });
+  }
+
+  return calls;
+}
+
+/**
+ * Find the closing bracket that matches an opening bracket
+ * @param {string} masked - Source text masked with maskNonCode
+ * @param {number} start - Offset of the opening bracket
+ * @returns {number} Offset of the matching closing bracket, or -1 if it's missing
+ */
+function findClosingBracket(masked, start) {
+  let depth = 0;
+
+  for (let i = start; i < masked.length; i++) {
+    if ("({[".includes(masked[i])) {
+      depth++;
+    } else if (")}]".includes(masked[i])) {
+      depth--;
+      if (depth === 0) {
+        return i;
+      }
+    }
+  }
+
+  return -1;
+}
+
+/**
+ * Find where a translation call ends
+ * @param {string} text - The source text
+ * @param {Object} call - A call returned by findTranslationCalls
+ * @param {string} [masked] - The text masked with maskNonCode
+ * @returns {number} Offset right after the closing parenthesis, or the end of
+ *   the key while the call isn't complete
+ */
+function findCallEnd(text, call, masked = maskNonCode(text)) {
+  const open = masked.indexOf("(", call.start);
+  const close = open === -1 ? -1 : findClosingBracket(masked, open);
+
+  return close === -1 ? call.end : close + 1;
+}
+
+/**
+ * Find the values passed as second argument of a translation call, like
+ * t("greeting", { name, count: 3 })
+ * @param {string} text - The source text
+ * @param {Object} call - A call returned by findTranslationCalls
+ * @param {string} [masked] - The text masked with maskNonCode
+ * @returns {Object|null} null when the call isn't complete yet. Otherwise whether
+ *   values are passed, and for an object literal its braces, the names and
+ *   ranges of its properties and whether it has spreads or computed names.
+ *   insertOffset is where a values argument can be added when there is none.
+ */
+function findCallValues(text, call, masked = maskNonCode(text)) {
+  let offset = call.keyEnd + (call.quote ? 1 : 0);
+  const skipWhitespace = () => {
+    while (/\s/.test(masked[offset] || "")) offset++;
+  };
+
+  skipWhitespace();
+  if (masked[offset] === ")") {
+    return { hasValues: false, insertOffset: offset };
+  }
+  if (masked[offset] !== ",") {
+    return null;
+  }
+
+  const commaOffset = offset;
+  offset++;
+  skipWhitespace();
+  if (masked[offset] === ")") {
+    return { hasValues: false, insertOffset: commaOffset };
+  }
+  if (masked[offset] !== "{") {
+    // A variable or call, whose properties can't be known
+    return { hasValues: true, isLiteral: false };
+  }
+
+  const start = offset;
+  const end = findClosingBracket(masked, start);
+  if (end === -1) {
+    return null;
+  }
+
+  // Split the object on top-level commas
+  const properties = [];
+  let isComplete = true;
+  let segmentStart = start + 1;
+
+  for (let i = start + 1; i <= end; i++) {
+    if ("({[".includes(masked[i]) && i !== end) {
+      i = findClosingBracket(masked, i);
+      if (i === -1) return null;
+      continue;
+    }
+    if (masked[i] !== "," && i !== end) continue;
+
+    const segment = masked.substring(segmentStart, i);
+    const leading = segment.length - segment.trimStart().length;
+    const propertyStart = segmentStart + leading;
+    const trimmed = segment.trim();
+    segmentStart = i + 1;
+
+    if (!trimmed) continue;
+
+    const nameMatch = trimmed.match(/^([A-Za-z_$][\w$]*)\s*(?::|\(|$)/);
+    const quotedMatch = text
+      .substring(propertyStart, propertyStart + trimmed.length)
+      .match(/^(["'])(.*?)\1\s*:/);
+
+    if (nameMatch || quotedMatch) {
+      properties.push({
+        name: nameMatch ? nameMatch[1] : quotedMatch[2],
+        start: propertyStart,
+        end: propertyStart + trimmed.length,
+      });
+    } else {
+      // Spreads and computed names could add any property
+      isComplete = false;
+    }
+  }
+
+  return {
+    hasValues: true,
+    isLiteral: true,
+    start,
+    end,
+    properties,
+    isComplete,
+  };
+}
+
+/**
+ * Find the translation call whose key contains an offset
+ * @param {string} text - The source text
+ * @param {number} offset - Offset in the text
+ * @returns {Object|null} The call or null if the offset isn't in a call
+ */
+function findTranslationCallAt(text, offset) {
+  return (
+    findTranslationCalls(text).find(
+      (call) => call.start <= offset && offset <= call.end
+    ) || null
+  );
+}
+
+/**
+ * Get the namespace that a translation function name resolves to at an offset
+ * @param {string} text - The source text
+ * @param {string} name - Name of the translation function
+ * @param {number} offset - Offset of the usage
+ * @returns {string|null} The namespace ("" for none), or null if it can't be determined
+ */
+function getNamespaceAt(text, name, offset) {
+  const binding = findBindingAt(findTranslatorBindings(text), name, offset);
+  return binding ? binding.namespace : "";
+}
+
+/**
+ * Check whether a name refers to a translation function at an offset
+ * @param {string} text - The source text
+ * @param {string} name - The identifier to check
+ * @param {number} offset - Offset of the usage
+ * @returns {boolean} True if the name is a translation function
+ */
+function isTranslationFunction(text, name, offset) {
+  return (
+    name === getConfiguredFunctionName() ||
+    findBindingAt(findTranslatorBindings(text), name, offset) !== null
+  );
+}
+
+module.exports = {
+  maskNonCode,
+  findTranslatorBindings,
+  findBindingAt,
+  findTranslationCalls,
+  findTranslationCallAt,
+  findCallValues,
+  findCallEnd,
+  getNamespaceAt,
+  isTranslationFunction,
+  getConfiguredFunctionName,
+  joinKey,
+  isKeyOrChild,
+};
@@ -0,0 +1,112 @@
+// utils/csvUtils.js - Utilities for writing and reading CSV files
+
+/**
+ * Byte order mark, so spreadsheet apps open the file as UTF-8
+ */
+const BOM = "\uFEFF";
+
+/**
+ * Guess the delimiter of a CSV file from its first line. Spreadsheet apps in
+ * many locales use semicolons, and tab-separated files are common too.
+ * @param {string} text - The file content
+ * @returns {string} The delimiter
+ */
+function detectDelimiter(text) {
+  const counts = { ",": 0, ";": 0, "\t": 0 };
+  let inQuotes = false;
+
+  for (const char of text) {
+    if (char === '"') {
+      inQuotes = !inQuotes;
+    } else if (!inQuotes && (char === "\n" || char === "\r")) {
+      break;
+    } else if (!inQuotes && char in counts) {
+      counts[char]++;
+    }
+  }
+
+  return Object.keys(counts).reduce((best, delimiter) =>
+    counts[delimiter] > counts[best] ? delimiter : best
+  );
+}
+
+/**
+ * Parse CSV text into rows
+ * @param {string} text - The file content
+ * @returns {string[][]} The rows, without empty lines
+ */
+function parseCsv(text) {
+  if (text.startsWith(BOM)) {
+    text = text.substring(1);
+  }
+
+  const delimiter = detectDelimiter(text);
+  const rows = [];
+  let row = [];
+  let field = "";
+  let inQuotes = false;
+
+  const endRow = () => {
+    row.push(field);
+    if (row.length > 1 || row[0] !== "") {
+      rows.push(row);
+    }
+    row = [];
+    field = "";
+  };
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === delimiter) {
+      row.push(field);
+      field = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && text[i + 1] === "\n") i++;
+      endRow();
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== "" || row.length > 0) {
+    endRow();
+  }
+
+  return rows;
+}
+
+/**
+ * Format rows as CSV text
+ * @param {string[][]} rows - The rows
+ * @param {string} [delimiter] - The delimiter, e.g. a tab for TSV files
+ * @returns {string} The file content, with a byte order mark
+ */
+function formatCsv(rows, delimiter = ",") {
+  const formatField = (value) =>
+    /["\r\n]|^\s|\s$/.test(value) || value.includes(delimiter)
+      ? `"${value.replace(/"/g, '""')}"`
+      : value;
+
+  return (
+    BOM +
+    rows.map((row) => row.map(formatField).join(delimiter)).join("\r\n") +
+    "\r\n"
+  );
+}
+
+module.exports = {
+  parseCsv,
+  formatCsv,
+};
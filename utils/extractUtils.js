@@ -0,0 +1,390 @@
+// utils/extractUtils.js - Utilities for replacing hardcoded text in components with translation calls
+const vscode = require("vscode");
+const { getNestedProperty } = require("./translationUtils");
+const {
+  findTranslatorBindings,
+  findBindingAt,
+  getConfiguredFunctionName,
+  joinKey,
+} = require("./callUtils");
+const { escapeMessageText } = require("./icuUtils");
+
+/**
+ * Number of words of the text used for the suggested key
+ */
+const MAX_KEY_WORDS = 4;
+
+/**
+ * Module each translation function factory is imported from
+ */
+const FACTORY_SOURCES = {
+  useTranslations: "next-intl",
+  getTranslations: "next-intl/server",
+};
+
+/**
+ * Argument names of values that are usually numbers, like "count" or
+ * "itemsCount", whose following word gets a plural
+ */
+const NUMERIC_NAME_PATTERN =
+  /^(n|num|count|total|amount|quantity|size|length)$|(Count|Total|Number|Amount|Size|Length)$/;
+
+/**
+ * Find the translation function in scope at an offset, preferring the one
+ * with the configured name
+ * @param {string} text - The source text
+ * @param {number} offset - Offset of the text to translate
+ * @returns {Object|null} The binding, see findTranslatorBindings in callUtils
+ */
+function findTranslatorAt(text, offset) {
+  const bindings = findTranslatorBindings(text);
+  const names = new Set([
+    getConfiguredFunctionName(),
+    ...bindings.map(({ name }) => name),
+  ]);
+
+  for (const name of names) {
+    const binding = findBindingAt(bindings, name, offset);
+    if (binding) return binding;
+  }
+  return null;
+}
+
+/**
+ * Get the name to declare a translation function with: the configured name,
+ * unless that isn't a plain identifier like "i18n.t"
+ * @returns {string} The name
+ */
+function getDeclaredName() {
+  const name = getConfiguredFunctionName();
+  return /^[A-Za-z_$][\w$]*$/.test(name) ? name : "t";
+}
+
+/**
+ * Work out how text at an offset gets translated: with the translation
+ * function in scope, or with one declared in the component around it, named
+ * after the component
+ * @param {string} text - The source text
+ * @param {Object} module - The module, see findComponents in astUtils
+ * @param {number} offset - Offset of the text
+ * @returns {Object} The translator binding or the component to declare one
+ *   in, the name and namespace of the translation function, and a problem
+ *   when the text can't be translated
+ */
+function planExtraction(text, module, offset) {
+  const translator = findTranslatorAt(text, offset);
+  if (translator) {
+    return {
+      translator,
+      component: null,
+      name: translator.name,
+      namespace: translator.namespace,
+      problem:
+        translator.namespace === null
+          ? `Can't determine the namespace of "${translator.name}"`
+          : null,
+    };
+  }
+
+  const component = module.components.find(
+    ({ bodyStart, bodyEnd }) => bodyStart <= offset && offset <= bodyEnd
+  );
+  return {
+    translator: null,
+    component: component || null,
+    name: getDeclaredName(),
+    namespace: component ? component.name || "" : null,
+    problem: component
+      ? null
+      : "Text outside a component can't be translated with useTranslations",
+  };
+}
+
+/**
+ * Suggest a key for text from its first words in camelCase, e.g. "saveChanges",
+ * adding a number if the namespace already has the key with another value
+ * @param {string} value - The text
+ * @param {string} namespace - Namespace of the key
+ * @param {Object} [messages] - Translations of the reference locale
+ * @param {string} [text] - Text to take the words from when the value is an
+ *   ICU message, whose argument names would end up in the key
+ * @returns {string} The key, relative to the namespace
+ */
+function suggestKey(value, namespace, messages = {}, text = value) {
+  const words =
+    text
+      .normalize("NFKD")
+      .replace(/\p{M}/gu, "")
+      .match(/[\p{L}\p{N}]+/gu) || [];
+  const base =
+    words
+      .slice(0, MAX_KEY_WORDS)
+      .map((word, index) => {
+        const lower = word.toLowerCase();
+        return index === 0 ? lower : lower[0].toUpperCase() + lower.slice(1);
+      })
+      .join("") || "text";
+
+  let key = base;
+  for (let suffix = 2; ; suffix++) {
+    const existing = getNestedProperty(messages, joinKey(namespace, key));
+    if (existing === undefined || existing === value) {
+      return key;
+    }
+    key = `${base}${suffix}`;
+  }
+}
+
+/**
+ * Get the singular of an English plural noun, e.g. "entry" for "entries"
+ * @param {string} word - The plural
+ * @returns {string|null} The singular, or null if the word isn't a plural
+ */
+function getSingular(word) {
+  if (word.length < 3 || !/[^su]s$/i.test(word)) {
+    return null;
+  }
+  if (/ies$/i.test(word)) {
+    return `${word.slice(0, -3)}y`;
+  }
+  if (/(ch|sh|ss|x|z)es$/i.test(word)) {
+    return word.slice(0, -2);
+  }
+  return word.slice(0, -1);
+}
+
+/**
+ * Build an ICU message from text and values, like "Welcome back, {name}!".
+ * A number followed by a plural noun, like `${count} items`, gets a plural:
+ * "{count, plural, one {# item} other {# items}}".
+ * @param {Object[]} parts - The text and values, see collectInterpolatedMessages
+ *   in astUtils
+ * @returns {{message: string, text: string, values: Object[]}} The message,
+ *   its literal text, and the values with their unique argument names
+ */
+function createIcuMessage(parts) {
+  const values = [];
+  const namesBySource = new Map();
+  let message = "";
+  let text = "";
+
+  // Length of the plural noun at the start of the next text, already used
+  let usedLength = 0;
+
+  parts.forEach((part, index) => {
+    if ("text" in part) {
+      const rest = part.text.substring(usedLength);
+      message += escapeMessageText(rest);
+      text += rest;
+      usedLength = 0;
+      return;
+    }
+
+    // The same value is one argument, different values get different names
+    let name = namesBySource.get(part.source);
+    if (!name) {
+      name = part.name;
+      for (let suffix = 2; values.some((value) => value.name === name); ) {
+        name = `${part.name}${suffix++}`;
+      }
+      namesBySource.set(part.source, name);
+      values.push({ name, source: part.source });
+    }
+
+    const next = parts[index + 1];
+    const match = next && "text" in next && /^ (\p{L}+)/u.exec(next.text);
+    const singular = match && getSingular(match[1]);
+    if (singular && NUMERIC_NAME_PATTERN.test(name)) {
+      message += `{${name}, plural, one {# ${singular}} other {# ${match[1]}}}`;
+      text += match[0];
+      usedLength = match[0].length;
+    } else {
+      message += `{${name}}`;
+    }
+  });
+
+  return { message, text, values };
+}
+
+/**
+ * Check a key typed by the user
+ * @param {string} key - The key
+ * @returns {string|null} The problem, or null if the key is valid
+ */
+function validateKey(key) {
+  if (!/^[^\s."'`]+(\.[^\s."'`]+)*$/.test(key)) {
+    return "Enter dot-separated names without spaces or quotes";
+  }
+  return null;
+}
+
+/**
+ * Get the code style for added code, following the first import
+ * @param {vscode.TextDocument} document - The document
+ * @param {Object} module - The module, see findComponents in astUtils
+ * @returns {{quote: string, semicolon: string, eol: string}} The quote, ";"
+ *   or "" to end statements with, and the line break
+ */
+function getCodeStyle(document, module) {
+  const reference = module.imports[0];
+
+  return {
+    quote: reference ? reference.quote : '"',
+    semicolon: !reference || reference.semicolon ? ";" : "",
+    eol: document.eol === vscode.EndOfLine.CRLF ? "\r\n" : "\n",
+  };
+}
+
+/**
+ * Create the call that replaces a string, with braces where JSX needs them
+ * @param {string} name - Name of the translation function
+ * @param {string} key - The key, relative to the namespace
+ * @param {Object} string - The string, see collectTranslatableStrings in astUtils
+ * @param {Object} style - The code style, see getCodeStyle
+ * @param {Object[]} [values] - Values of the message arguments, see
+ *   createIcuMessage
+ * @returns {string} The call, e.g. `{t("title")}` or
+ *   `t("greeting", { name: user.name })`
+ */
+function createTranslationCall(name, key, string, { quote }, values = []) {
+  const properties = values.map((value) =>
+    value.source === value.name ? value.name : `${value.name}: ${value.source}`
+  );
+  const argument =
+    properties.length > 0 ? `, { ${properties.join(", ")} }` : "";
+
+  const call = `${name}(${quote}${key}${quote}${argument})`;
+  return string.needsBraces ? `{${call}}` : call;
+}
+
+/**
+ * Get the indentation unit of the editor showing a document
+ * @param {vscode.TextDocument} document - The document
+ * @returns {string} A tab or spaces
+ */
+function getIndentUnit(document) {
+  const editor = vscode.window.visibleTextEditors.find(
+    (item) => item.document === document
+  );
+  if (editor && editor.options.insertSpaces === false) {
+    return "\t";
+  }
+  return " ".repeat(editor ? editor.options.tabSize : 2);
+}
+
+/**
+ * Get the factory that creates translation functions in a component:
+ * useTranslations, or getTranslations in async server components
+ * @param {Object} component - The component, see findComponents in astUtils
+ * @returns {string} Name of the factory
+ */
+function getTranslatorFactory(component) {
+  return component.async ? "getTranslations" : "useTranslations";
+}
+
+/**
+ * Add the declaration of a translation function to a component
+ * @param {vscode.WorkspaceEdit} edit - The edit to add to
+ * @param {vscode.TextDocument} document - The document
+ * @param {Object} component - The component, see findComponents in astUtils
+ * @param {string} name - Name of the translation function
+ * @param {string} namespace - Namespace of the translation function
+ * @param {Object} style - The code style, see getCodeStyle
+ */
+function addTranslatorDeclaration(
+  edit,
+  document,
+  component,
+  name,
+  namespace,
+  { quote, semicolon, eol }
+) {
+  const factory = getTranslatorFactory(component);
+  const argument = namespace ? `${quote}${namespace}${quote}` : "";
+  const call = `${component.async ? "await " : ""}${factory}(${argument})`;
+  const declaration = `const ${name} = ${call}${semicolon}`;
+
+  if (component.isBlock) {
+    const position = document.positionAt(component.statementOffset);
+    const before = document
+      .lineAt(position.line)
+      .text.substring(0, position.character);
+
+    // Keep a one-line body like `{ return <p>Hi</p>; }` on one line
+    const separator = /^\s*$/.test(before) ? `${eol}${before}` : " ";
+    edit.insert(document.uri, position, `${declaration}${separator}`);
+    return;
+  }
+
+  // Turn `() => <div />` into a block that declares the function first
+  const start = document.positionAt(component.bodyStart);
+  const lineIndent = /^\s*/.exec(document.lineAt(start.line).text)[0];
+  const indent = lineIndent + getIndentUnit(document);
+  edit.insert(
+    document.uri,
+    start,
+    `{${eol}${indent}${declaration}${eol}${indent}return `
+  );
+  edit.insert(
+    document.uri,
+    document.positionAt(component.bodyEnd),
+    `${semicolon}${eol}${lineIndent}}`
+  );
+}
+
+/**
+ * Import a translation function factory, adding it to an existing import of
+ * its module if there is one
+ * @param {vscode.WorkspaceEdit} edit - The edit to add to
+ * @param {vscode.TextDocument} document - The document
+ * @param {Object} module - The module, see findComponents in astUtils
+ * @param {string} factory - Name of the factory, see getTranslatorFactory
+ * @param {Object} style - The code style, see getCodeStyle
+ */
+function addFactoryImport(
+  edit,
+  document,
+  module,
+  factory,
+  { quote, semicolon, eol }
+) {
+  const source = FACTORY_SOURCES[factory];
+  const existing = module.imports.find(
+    (item) => item.source === source && !item.typeOnly
+  );
+  if (existing && existing.named.some((item) => item.name === factory)) {
+    return;
+  }
+
+  if (existing && existing.named.length > 0) {
+    const lastNamed = existing.named[existing.named.length - 1];
+    edit.insert(
+      document.uri,
+      document.positionAt(lastNamed.end),
+      `, ${factory}`
+    );
+    return;
+  }
+
+  const statement = `import { ${factory} } from ${quote}${source}${quote}${semicolon}`;
+  const position = document.positionAt(module.importOffset);
+  if (module.importOffset === 0) {
+    edit.insert(document.uri, position, `${statement}${eol}${eol}`);
+  } else if (module.imports.length === 0) {
+    edit.insert(document.uri, position, `${eol}${eol}${statement}`);
+  } else {
+    edit.insert(document.uri, position, `${eol}${statement}`);
+  }
+}
+
+module.exports = {
+  planExtraction,
+  suggestKey,
+  createIcuMessage,
+  validateKey,
+  getCodeStyle,
+  createTranslationCall,
+  getTranslatorFactory,
+  addTranslatorDeclaration,
+  addFactoryImport,
+};
@@ -0,0 +1,276 @@
+// utils/icuUtils.js - Utilities for parsing and comparing ICU messages
+const { parse, TYPE } = require("@formatjs/icu-messageformat-parser");
+
+/**
+ * Readable descriptions of the parser's error kinds
+ */
+const ERROR_MESSAGES = {
+  EXPECT_ARGUMENT_CLOSING_BRACE: "Missing closing brace `}` for the argument",
+  EMPTY_ARGUMENT: "Empty argument `{}`",
+  MALFORMED_ARGUMENT: "Malformed argument",
+  EXPECT_ARGUMENT_TYPE: "Expected an argument type after the comma",
+  INVALID_ARGUMENT_TYPE: "Unknown argument type",
+  EXPECT_ARGUMENT_STYLE: "Expected an argument style after the comma",
+  INVALID_NUMBER_SKELETON: "Invalid number skeleton",
+  INVALID_DATE_TIME_SKELETON: "Invalid date/time skeleton",
+  EXPECT_NUMBER_SKELETON: "Expected a number skeleton",
+  EXPECT_DATE_TIME_SKELETON: "Expected a date/time skeleton",
+  UNCLOSED_QUOTE_IN_ARGUMENT_STYLE: "Unclosed quote in the argument style",
+  EXPECT_SELECT_ARGUMENT_OPTIONS: "Expected options for the select argument",
+  EXPECT_PLURAL_ARGUMENT_OFFSET_VALUE:
+    "Expected a number for the plural offset",
+  INVALID_PLURAL_ARGUMENT_OFFSET_VALUE: "Invalid plural offset",
+  EXPECT_SELECT_ARGUMENT_SELECTOR: "Expected a selector for the select option",
+  EXPECT_PLURAL_ARGUMENT_SELECTOR:
+    "Expected a plural category like `one` or `other`",
+  EXPECT_SELECT_ARGUMENT_SELECTOR_FRAGMENT:
+    "Expected `{` with the message for the select option",
+  EXPECT_PLURAL_ARGUMENT_SELECTOR_FRAGMENT:
+    "Expected `{` with the message for the plural category",
+  INVALID_PLURAL_ARGUMENT_SELECTOR: "Invalid plural category",
+  DUPLICATE_PLURAL_ARGUMENT_SELECTOR: "Duplicate plural category",
+  DUPLICATE_SELECT_ARGUMENT_SELECTOR: "Duplicate select option",
+  MISSING_OTHER_CLAUSE: "The `other` option is required",
+  INVALID_TAG: "Invalid tag",
+  INVALID_TAG_NAME: "Invalid tag name",
+  UNMATCHED_CLOSING_TAG: "Closing tag doesn't match the opening tag",
+  UNCLOSED_TAG: "Unclosed tag",
+};
+
+/**
+ * Names of the argument types, as written in the message
+ */
+const ARGUMENT_TYPES = {
+  [TYPE.argument]: "argument",
+  [TYPE.number]: "number",
+  [TYPE.date]: "date",
+  [TYPE.time]: "time",
+  [TYPE.select]: "select",
+  [TYPE.plural]: "plural",
+};
+
+/**
+ * Parse an ICU message
+ * @param {string} message - The message text
+ * @returns {{ast: Array|null, error: Object|null}} The parsed message, or the error
+ *   with a readable message and the offset and length of the problem in the text
+ */
+function parseMessage(message) {
+  try {
+    return { ast: parse(message, { captureLocation: true }), error: null };
+  } catch (error) {
+    const location = error.location;
+    const offset = location ? location.start.offset : 0;
+    const length = location ? location.end.offset - offset : message.length;
+
+    return {
+      ast: null,
+      error: {
+        message: ERROR_MESSAGES[error.message] || error.message,
+        offset,
+        length,
+      },
+    };
+  }
+}
+
+/**
+ * Visit every element of a parsed message, including the ones nested in
+ * plural/select options and rich text tags
+ * @param {Array} ast - The parsed message
+ * @param {function(Object): void} callback - Called with each element
+ */
+function walkMessage(ast, callback) {
+  for (const element of ast) {
+    callback(element);
+
+    if (element.type === TYPE.tag) {
+      walkMessage(element.children, callback);
+    } else if (element.options) {
+      for (const option of Object.values(element.options)) {
+        walkMessage(option.value, callback);
+      }
+    }
+  }
+}
+
+/**
+ * Get the arguments and rich text tags a message uses
+ * @param {Array} ast - The parsed message
+ * @returns {{arguments: Map<string, string>, tags: Set<string>}} Argument names
+ *   with their type (e.g. "plural"), and tag names
+ */
+function getMessageSignature(ast) {
+  const signature = { arguments: new Map(), tags: new Set() };
+
+  walkMessage(ast, (element) => {
+    if (element.type === TYPE.tag) {
+      signature.tags.add(element.value);
+    } else if (element.type in ARGUMENT_TYPES) {
+      const type =
+        element.type === TYPE.plural && element.pluralType === "ordinal"
+          ? "selectordinal"
+          : ARGUMENT_TYPES[element.type];
+
+      // A typed use like {count, number} says more than a plain {count}
+      if (!signature.arguments.has(element.value) || type !== "argument") {
+        signature.arguments.set(element.value, type);
+      }
+    }
+  });
+
+  return signature;
+}
+
+/**
+ * Get the plural categories CLDR defines for a locale
+ * @param {string} locale - The locale, e.g. "pl"
+ * @param {boolean} [ordinal] - Whether to get the categories of selectordinal
+ * @returns {string[]|null} The categories, or null for an unknown locale
+ */
+function getPluralCategories(locale, ordinal = false) {
+  try {
+    return new Intl.PluralRules(locale, {
+      type: ordinal ? "ordinal" : "cardinal",
+    }).resolvedOptions().pluralCategories;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Find plural arguments that lack a category the locale needs
+ * @param {Array} ast - The parsed message
+ * @param {string} locale - The locale of the message
+ * @returns {Array} For each incomplete plural its argument name, the missing
+ *   categories, the location of the plural in the message and its element
+ */
+function findMissingPluralCategories(ast, locale) {
+  const results = [];
+
+  walkMessage(ast, (element) => {
+    if (element.type !== TYPE.plural) return;
+
+    const categories = getPluralCategories(
+      locale,
+      element.pluralType === "ordinal"
+    );
+    if (!categories) return;
+
+    const missing = categories.filter(
+      (category) => !(category in element.options)
+    );
+    if (missing.length > 0) {
+      results.push({
+        argument: element.value,
+        missing,
+        location: element.location,
+        element,
+      });
+    }
+  });
+
+  return results;
+}
+
+/**
+ * Add the plural categories a locale needs to a message, with the text of the
+ * `other` category, so a translation into that locale can fill them in
+ * @param {string} message - The message
+ * @param {string} locale - The locale of the translation, e.g. "pl"
+ * @returns {string} The message with complete plurals. Invalid messages are
+ *   returned unchanged.
+ */
+function addMissingPluralCategories(message, locale) {
+  // Outer plurals first, as copies of their `other` text may need categories too
+  for (;;) {
+    const { ast } = parseMessage(message);
+    if (!ast) {
+      return message;
+    }
+
+    const [plural] = findMissingPluralCategories(ast, locale);
+    if (!plural) {
+      return message;
+    }
+
+    const { location } = plural.element.options.other;
+    const other = message.substring(location.start.offset, location.end.offset);
+    const added = plural.missing.map((category) => ` ${category} ${other}`);
+    message =
+      message.substring(0, location.end.offset) +
+      added.join("") +
+      message.substring(location.end.offset);
+  }
+}
+
+/**
+ * Escape literal text for an ICU message: braces and `<` that would start a tag
+ * are quoted, and apostrophes that would start a quote are doubled
+ * @param {string} text - The text
+ * @param {boolean} [inPlural] - Whether the text is in a plural option, where
+ *   `#` is the number and needs quoting too
+ * @returns {string} The escaped text
+ */
+function escapeMessageText(text, inPlural = false) {
+  const isSyntax = (index) =>
+    text[index] === "{" ||
+    text[index] === "}" ||
+    (inPlural && text[index] === "#") ||
+    (text[index] === "<" && /[A-Za-z/]/.test(text[index + 1] || ""));
+
+  let escaped = "";
+  let quoted = false;
+  for (let i = 0; i < text.length; i++) {
+    const next = text[i + 1];
+
+    if (isSyntax(i)) {
+      escaped += quoted ? text[i] : `'${text[i]}`;
+      quoted = true;
+    } else if (text[i] === "'") {
+      // In a quote and before text that an apostrophe would quote, as well as
+      // at the end where a placeholder may follow, apostrophes are doubled
+      const doubled =
+        quoted ||
+        next === undefined ||
+        "'{}<>".includes(next) ||
+        (inPlural && next === "#");
+      escaped += doubled ? "''" : "'";
+    } else {
+      escaped += quoted ? `'${text[i]}` : text[i];
+      quoted = false;
+    }
+  }
+  return quoted ? `${escaped}'` : escaped;
+}
+
+/**
+ * Get placeholder code for a value that a message needs
+ * @param {string} type - The argument type from getMessageSignature, or "tag"
+ * @returns {string} Code for a value of that type
+ */
+function getValueStub(type) {
+  switch (type) {
+    case "number":
+    case "plural":
+    case "selectordinal":
+      return "0";
+    case "date":
+    case "time":
+      return "new Date()";
+    case "tag":
+      return "(chunks) => chunks";
+    default:
+      return '""';
+  }
+}
+
+module.exports = {
+  parseMessage,
+  getMessageSignature,
+  getValueStub,
+  getPluralCategories,
+  findMissingPluralCategories,
+  addMissingPluralCategories,
+  escapeMessageText,
+};
@@ -0,0 +1,308 @@
+// utils/jsonUtils.js - Utilities for mapping translation keys to their position in locale files
+const { parseTree, getLocation } = require("jsonc-parser");
+const JSON5 = require("json5");
+const YAML = require("yaml");
+const { maskNonCode } = require("./callUtils");
+
+/**
+ * Convert an offset into a zero-based line and character
+ * @param {number[]} lineStarts - Offsets at which each line starts
+ * @param {number} offset - Offset in the text
+ * @returns {{line: number, character: number}} The position
+ */
+function positionAt(lineStarts, offset) {
+  let low = 0;
+  let high = lineStarts.length - 1;
+
+  while (low < high) {
+    const middle = Math.ceil((low + high) / 2);
+    if (lineStarts[middle] <= offset) {
+      low = middle;
+    } else {
+      high = middle - 1;
+    }
+  }
+
+  return { line: low, character: offset - lineStarts[low] };
+}
+
+/**
+ * Get the offsets at which each line of a text starts
+ * @param {string} text - The text
+ * @returns {number[]} The line start offsets
+ */
+function getLineStarts(text) {
+  const lineStarts = [0];
+  for (let i = 0; i < text.length; i++) {
+    if (text[i] === "\n") {
+      lineStarts.push(i + 1);
+    }
+  }
+  return lineStarts;
+}
+
+/**
+ * Describe where a key and its value are in a file
+ * @param {number[]} lineStarts - Offsets at which each line starts
+ * @param {number} keyOffset - Offset of the property name
+ * @param {number} keyLength - Length of the property name, including quotes
+ * @param {number} valueOffset - Offset of the value
+ * @param {number} valueLength - Length of the value
+ * @returns {Object} The offsets, and the line/character range of the name
+ */
+function createKeyPosition(
+  lineStarts,
+  keyOffset,
+  keyLength,
+  valueOffset,
+  valueLength
+) {
+  return {
+    keyOffset,
+    keyLength,
+    valueOffset,
+    valueLength,
+    start: positionAt(lineStarts, keyOffset),
+    end: positionAt(lineStarts, keyOffset + keyLength),
+  };
+}
+
+/**
+ * Map every key in a JSON document to the position of its property name
+ * @param {string} text - The JSON text
+ * @returns {Map<string, Object>} Key paths in dot notation to the offsets and
+ *   line/character positions of the property name and value
+ */
+function getKeyPositions(text) {
+  const positions = new Map();
+  const root = parseTree(text);
+  if (!root || root.type !== "object") {
+    return positions;
+  }
+
+  const lineStarts = getLineStarts(text);
+
+  const visit = (node, prefix) => {
+    for (const property of node.children || []) {
+      const [keyNode, valueNode] = property.children || [];
+      if (!keyNode) continue;
+
+      const key = prefix ? `${prefix}.${keyNode.value}` : keyNode.value;
+      positions.set(
+        key,
+        createKeyPosition(
+          lineStarts,
+          keyNode.offset,
+          keyNode.length,
+          valueNode ? valueNode.offset : keyNode.offset,
+          valueNode ? valueNode.length : keyNode.length
+        )
+      );
+
+      if (valueNode && valueNode.type === "object") {
+        visit(valueNode, key);
+      }
+    }
+  };
+
+  visit(root, "");
+  return positions;
+}
+
+/**
+ * Get the key path at an offset in a JSON document
+ * @param {string} text - The JSON text
+ * @param {number} offset - Offset in the text
+ * @returns {string|null} The key in dot notation, or null if the offset isn't
+ *   on a property name or string value
+ */
+function getKeyAtOffset(text, offset) {
+  const location = getLocation(text, offset);
+  const onValue =
+    location.previousNode && location.previousNode.type === "string";
+
+  if (
+    (!location.isAtPropertyKey && !onValue) ||
+    location.path.length === 0 ||
+    typeof location.path[location.path.length - 1] !== "string"
+  ) {
+    return null;
+  }
+
+  return location.path.join(".");
+}
+
+/**
+ * Map every key in a JavaScript or JSON5 object literal to its position, like
+ * getKeyPositions. Scanning stops at syntax that isn't static data, such as
+ * spreads or computed keys.
+ * @param {string} text - The source text
+ * @param {number} start - Offset of the opening brace of the object
+ * @returns {Map<string, Object>} Key paths to positions
+ */
+function getObjectLiteralKeyPositions(text, start) {
+  const positions = new Map();
+  const lineStarts = getLineStarts(text);
+  const masked = maskNonCode(text);
+
+  const skipSpace = (i) => {
+    while (i < masked.length && /\s/.test(masked[i])) i++;
+    return i;
+  };
+
+  // Find the end of a value that isn't an object, e.g. a string or an array
+  const skipValue = (i) => {
+    let depth = 0;
+    for (; i < masked.length; i++) {
+      const char = masked[i];
+      if ("([{".includes(char)) {
+        depth++;
+      } else if (")]}".includes(char)) {
+        if (depth === 0) break;
+        depth--;
+      } else if (char === "," && depth === 0) {
+        break;
+      }
+    }
+    while (/\s/.test(masked[i - 1])) i--;
+    return i;
+  };
+
+  // Returns the offset after the closing brace, or -1 for unsupported syntax
+  const visit = (open, prefix) => {
+    let i = skipSpace(open + 1);
+
+    while (i < masked.length && masked[i] !== "}") {
+      const keyStart = i;
+      if (masked[i] === '"' || masked[i] === "'") {
+        i = masked.indexOf(masked[i], i + 1) + 1;
+      } else {
+        while (i < masked.length && /[\w$]/.test(masked[i])) i++;
+      }
+      if (i <= keyStart) return -1;
+
+      const keyEnd = i;
+      i = skipSpace(i);
+      if (masked[i] !== ":") return -1;
+
+      const valueStart = skipSpace(i + 1);
+      const rawKey = text.substring(keyStart, keyEnd);
+      const name = /^["']/.test(rawKey) ? JSON5.parse(rawKey) : rawKey;
+      const key = prefix ? `${prefix}.${name}` : name;
+
+      // Parents are added before their children, as in getKeyPositions
+      const position = createKeyPosition(
+        lineStarts,
+        keyStart,
+        keyEnd - keyStart,
+        valueStart,
+        0
+      );
+      positions.set(key, position);
+
+      const valueEnd =
+        masked[valueStart] === "{"
+          ? visit(valueStart, key)
+          : skipValue(valueStart);
+      if (valueEnd === -1) return -1;
+      position.valueLength = valueEnd - valueStart;
+
+      i = skipSpace(valueEnd);
+      if (masked[i] === ",") {
+        i = skipSpace(i + 1);
+      }
+    }
+
+    return i < masked.length ? i + 1 : -1;
+  };
+
+  if (masked[start] === "{") {
+    visit(start, "");
+  }
+  return positions;
+}
+
+/**
+ * Map every key in a YAML document to its position, like getKeyPositions
+ * @param {string} text - The YAML text
+ * @returns {Map<string, Object>} Key paths to positions
+ */
+function getYamlKeyPositions(text) {
+  const positions = new Map();
+  const document = YAML.parseDocument(text);
+  if (!YAML.isMap(document.contents)) {
+    return positions;
+  }
+
+  const lineStarts = getLineStarts(text);
+
+  const visit = (map, prefix) => {
+    for (const pair of map.items) {
+      if (!pair.key || !pair.key.range) continue;
+
+      const name = YAML.isScalar(pair.key) ? pair.key.value : `${pair.key}`;
+      const key = prefix ? `${prefix}.${name}` : `${name}`;
+      const [keyStart, keyEnd] = pair.key.range;
+      const [valueStart, valueEnd] =
+        pair.value && pair.value.range ? pair.value.range : pair.key.range;
+
+      positions.set(
+        key,
+        createKeyPosition(
+          lineStarts,
+          keyStart,
+          keyEnd - keyStart,
+          valueStart,
+          valueEnd - valueStart
+        )
+      );
+
+      if (YAML.isMap(pair.value)) {
+        visit(pair.value, key);
+      }
+    }
+  };
+
+  visit(document.contents, "");
+  return positions;
+}
+
+/**
+ * Get the key whose name or value is at an offset, using the key positions of
+ * any locale file format
+ * @param {Map<string, Object>} positions - The key positions of the file
+ * @param {number} offset - Offset in the text
+ * @returns {string|null} The innermost key at the offset, or null
+ */
+function findKeyAtOffset(positions, offset) {
+  const parents = new Set(
+    Array.from(positions.keys(), (key) =>
+      key.substring(0, key.lastIndexOf("."))
+    )
+  );
+  let found = null;
+
+  for (const [key, position] of positions) {
+    const onKey =
+      position.keyOffset <= offset &&
+      offset <= position.keyOffset + position.keyLength;
+    const onValue =
+      !parents.has(key) &&
+      position.valueOffset <= offset &&
+      offset <= position.valueOffset + position.valueLength;
+
+    if (onKey || onValue) {
+      found = key;
+    }
+  }
+
+  return found;
+}
+
+module.exports = {
+  getKeyPositions,
+  getKeyAtOffset,
+  getObjectLiteralKeyPositions,
+  getYamlKeyPositions,
+  findKeyAtOffset,
+};
@@ -0,0 +1,324 @@
+// utils/nextIntlConfig.js - Reads locales and message locations from the project's next-intl setup
+const vscode = require("vscode");
+const fs = require("fs");
+const path = require("path");
+const util = require("util");
+
+const readFile = util.promisify(fs.readFile);
+
+/**
+ * Extensions tried when resolving source modules
+ */
+const SOURCE_EXTENSIONS = [
+  ".ts",
+  ".tsx",
+  ".js",
+  ".jsx",
+  ".mjs",
+  ".cjs",
+  ".mts",
+];
+
+/**
+ * Placeholder for the locale in message path templates
+ */
+const LOCALE_PLACEHOLDER = "{locale}";
+
+/**
+ * Resolve a module path the way the bundler would, trying known extensions
+ * @param {string} basePath - Path without or with extension
+ * @returns {string|null} Existing file path or null
+ */
+function resolveModulePath(basePath) {
+  if (fs.existsSync(basePath) && fs.statSync(basePath).isFile()) {
+    return basePath;
+  }
+
+  for (const ext of SOURCE_EXTENSIONS) {
+    if (fs.existsSync(basePath + ext)) {
+      return basePath + ext;
+    }
+    const indexPath = path.join(basePath, `index${ext}`);
+    if (fs.existsSync(indexPath)) {
+      return indexPath;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Resolve an import specifier relative to a file
+ * @param {string} specifier - The import specifier (e.g. "./routing" or "@/i18n/routing")
+ * @param {string} fromFile - The importing file
+ * @param {string} projectRoot - Root of the Next.js project
+ * @returns {string} Absolute path (not checked for existence)
+ */
+function resolveSpecifier(specifier, fromFile, projectRoot) {
+  if (specifier.startsWith("@/")) {
+    // The default Next.js path alias points to ./src when it exists
+    const srcRoot = path.join(projectRoot, "src");
+    const aliasRoot = fs.existsSync(srcRoot) ? srcRoot : projectRoot;
+    return path.join(aliasRoot, specifier.substring(2));
+  }
+
+  return path.resolve(path.dirname(fromFile), specifier);
+}
+
+/**
+ * Read a file, returning null when it doesn't exist
+ * @param {string|null} filePath - Path of the file
+ * @returns {Promise<string|null>} File content or null
+ */
+async function readOptionalFile(filePath) {
+  if (!filePath || !fs.existsSync(filePath)) {
+    return null;
+  }
+  return readFile(filePath, "utf8");
+}
+
+/**
+ * Find the value of a property in an object literal, following shorthand
+ * properties and identifiers to a const declaration in the same file
+ * @param {string} source - Source text of the module
+ * @param {string} objectText - Text of the object literal
+ * @param {string} property - Property name
+ * @returns {string|null} Source text of the value or null
+ */
+function findPropertyValue(source, objectText, property) {
+  const match = objectText.match(new RegExp(`\\b${property}\\b\\s*(:)?\\s*`));
+  if (!match) {
+    return null;
+  }
+
+  let value = property; // Shorthand property
+  if (match[1]) {
+    const rest = objectText.substring(match.index + match[0].length);
+    const valueMatch = rest.match(
+      /^(\[[^\]]*\]|["'`][^"'`]*["'`]|[A-Za-z_$][\w$]*)/
+    );
+    if (!valueMatch) {
+      return null;
+    }
+    value = valueMatch[1];
+  }
+
+  if (/^[A-Za-z_$][\w$]*$/.test(value)) {
+    // Identifier, look for its declaration
+    const declaration = source.match(
+      new RegExp(
+        `\\b(?:const|let|var)\\s+${value}\\b[^=]*=\\s*(\\[[^\\]]*\\]|["'][^"']*["'])`
+      )
+    );
+    return declaration ? declaration[1] : null;
+  }
+
+  return value;
+}
+
+/**
+ * Extract all string literals from a piece of source
+ * @param {string} text - Source text
+ * @returns {string[]} The string values
+ */
+function extractStringLiterals(text) {
+  return [...text.matchAll(/["'`]([^"'`]+)["'`]/g)].map((match) => match[1]);
+}
+
+/**
+ * Read locales and default locale from defineRouting({ ... })
+ * @param {string} source - Source of the routing module
+ * @returns {{locales: string[]|null, defaultLocale: string|null}}
+ */
+function parseRouting(source) {
+  const routingMatch = source.match(/defineRouting\s*\(\s*(\{[\s\S]*?\})\s*\)/);
+  if (!routingMatch) {
+    return { locales: null, defaultLocale: null };
+  }
+
+  const localesValue = findPropertyValue(source, routingMatch[1], "locales");
+  const defaultLocaleValue = findPropertyValue(
+    source,
+    routingMatch[1],
+    "defaultLocale"
+  );
+
+  const locales = localesValue ? extractStringLiterals(localesValue) : [];
+  const defaultLocale = defaultLocaleValue
+    ? extractStringLiterals(defaultLocaleValue)[0]
+    : null;
+
+  return {
+    locales: locales.length > 0 ? locales : null,
+    defaultLocale: defaultLocale || null,
+  };
+}
+
+/**
+ * Find the request config path passed to createNextIntlPlugin in next.config
+ * @param {string} source - Source of next.config.*
+ * @returns {string|null} The configured path or null for the default
+ */
+function parsePluginRequestConfig(source) {
+  const pluginMatch = source.match(/createNextIntlPlugin\s*\(([^)]*)\)/);
+  if (!pluginMatch) {
+    return null;
+  }
+
+  // createNextIntlPlugin("./src/i18n/request.ts")
+  // createNextIntlPlugin({ requestConfig: "./src/i18n/request.ts" })
+  const args = pluginMatch[1];
+  const configMatch =
+    args.match(/^\s*["'`]([^"'`]+)["'`]/) ||
+    args.match(/requestConfig\s*:\s*["'`]([^"'`]+)["'`]/);
+
+  return configMatch ? configMatch[1] : null;
+}
+
+/**
+ * Find the message import in getRequestConfig, e.g. import(`../../messages/${locale}.json`)
+ * @param {string} source - Source of the request config module
+ * @returns {string|null} Import specifier with the locale replaced by {locale}
+ */
+function parseMessagesImport(source) {
+  const importMatch = source.match(
+    /import\s*\(\s*`([^`]*\$\{[^}]+\}[^`]*)`\s*\)/
+  );
+  if (!importMatch) {
+    return null;
+  }
+
+  return importMatch[1].replace(/\$\{[^}]+\}/, LOCALE_PLACEHOLDER);
+}
+
+/**
+ * Find the next.config file and the project root it lives in
+ * @param {string} workspaceRoot - Root of the workspace folder
+ * @returns {Promise<{projectRoot: string, nextConfigFile: string|null}>}
+ */
+async function findNextConfig(workspaceRoot) {
+  const rootConfig = resolveModulePath(path.join(workspaceRoot, "next.config"));
+  if (rootConfig) {
+    return { projectRoot: workspaceRoot, nextConfigFile: rootConfig };
+  }
+
+  // Monorepos keep the app in a sub folder
+  const files = await vscode.workspace.findFiles(
+    "**/next.config.{js,mjs,cjs,ts,mts}",
+    "**/node_modules/**",
+    1
+  );
+  if (files.length > 0) {
+    return {
+      projectRoot: path.dirname(files[0].fsPath),
+      nextConfigFile: files[0].fsPath,
+    };
+  }
+
+  return { projectRoot: workspaceRoot, nextConfigFile: null };
+}
+
+/**
+ * Read the next-intl configuration of the project
+ * @param {string} workspaceRoot - Root of the workspace folder
+ * @returns {Promise<Object>} Locales, default locale, message path template and the config files read
+ */
+async function readNextIntlConfig(workspaceRoot) {
+  const { projectRoot, nextConfigFile } = await findNextConfig(workspaceRoot);
+  const configFiles = nextConfigFile ? [nextConfigFile] : [];
+
+  // Locate i18n/request.ts, either configured in the plugin or at its default location
+  const nextConfigSource = await readOptionalFile(nextConfigFile);
+  const pluginRequestConfig = nextConfigSource
+    ? parsePluginRequestConfig(nextConfigSource)
+    : null;
+
+  const requestConfigFile = pluginRequestConfig
+    ? resolveModulePath(path.resolve(projectRoot, pluginRequestConfig))
+    : resolveModulePath(path.join(projectRoot, "i18n", "request")) ||
+      resolveModulePath(path.join(projectRoot, "src", "i18n", "request"));
+
+  let messagesPattern = null;
+  let routingFile = null;
+
+  const requestSource = await readOptionalFile(requestConfigFile);
+  if (requestSource) {
+    configFiles.push(requestConfigFile);
+
+    const messagesImport = parseMessagesImport(requestSource);
+    if (messagesImport) {
+      messagesPattern = resolveSpecifier(
+        messagesImport,
+        requestConfigFile,
+        projectRoot
+      );
+    }
+
+    // Follow the import of the routing config
+    const routingImport = requestSource.match(
+      /import\s*\{[^}]*\brouting\b[^}]*\}\s*from\s*["']([^"']+)["']/
+    );
+    if (routingImport) {
+      routingFile = resolveModulePath(
+        resolveSpecifier(routingImport[1], requestConfigFile, projectRoot)
+      );
+    }
+  }
+
+  if (!routingFile) {
+    routingFile =
+      resolveModulePath(path.join(projectRoot, "i18n", "routing")) ||
+      resolveModulePath(path.join(projectRoot, "src", "i18n", "routing"));
+  }
+
+  let locales = null;
+  let defaultLocale = null;
+
+  const routingSource = await readOptionalFile(routingFile);
+  if (routingSource) {
+    configFiles.push(routingFile);
+    ({ locales, defaultLocale } = parseRouting(routingSource));
+  }
+
+  return {
+    projectRoot,
+    locales,
+    defaultLocale,
+    messagesPattern,
+    configFiles,
+  };
+}
+
+/**
+ * Get the locale from a file path matching a message path template
+ * @param {string} pattern - Absolute path template containing {locale}
+ * @param {string} filePath - Absolute file path
+ * @returns {string|null} The locale or null if the path doesn't match
+ */
+function matchMessagesPattern(pattern, filePath) {
+  const [before, after] = pattern.split(LOCALE_PLACEHOLDER);
+  const normalized = path.normalize(filePath);
+
+  if (
+    normalized.length > before.length + after.length &&
+    normalized.startsWith(path.normalize(before)) &&
+    normalized.endsWith(after)
+  ) {
+    const locale = normalized.substring(
+      before.length,
+      normalized.length - after.length
+    );
+    return locale.includes(path.sep) ? null : locale;
+  }
+
+  return null;
+}
+
+module.exports = {
+  LOCALE_PLACEHOLDER,
+  readNextIntlConfig,
+  matchMessagesPattern,
+  parseRouting,
+  parsePluginRequestConfig,
+  parseMessagesImport,
+};
@@ -0,0 +1,131 @@
+// utils/poUtils.js - Utilities for writing and reading Gettext PO files
+
+/**
+ * Escape sequences of PO strings
+ */
+const ESCAPES = {
+  "\\": "\\\\",
+  '"': '\\"',
+  "\n": "\\n",
+  "\r": "\\r",
+  "\t": "\\t",
+};
+
+/**
+ * A keyword line like `msgid "Hello"` or `msgstr[0] "Hallo"`
+ */
+const KEYWORD_PATTERN =
+  /^(msgctxt|msgid|msgid_plural|msgstr(?:\[\d+\])?)\s+(".*")$/;
+
+/**
+ * Write a string as a quoted PO string
+ * @param {string} value - The string
+ * @returns {string} The quoted string
+ */
+function quote(value) {
+  return `"${value.replace(/[\\"\n\r\t]/g, (char) => ESCAPES[char])}"`;
+}
+
+/**
+ * Read a quoted PO string
+ * @param {string} value - The quoted string, e.g. `"Hello\n"`
+ * @returns {string} The string
+ */
+function unquote(value) {
+  const unescapes = { n: "\n", r: "\r", t: "\t" };
+
+  return value
+    .trim()
+    .slice(1, -1)
+    .replace(/\\(.)/g, (match, char) => unescapes[char] || char);
+}
+
+/**
+ * Create a PO file with a message for each key, using the key as msgctxt
+ * @param {Object} file - The file
+ * @param {string} file.srcLang - The source (reference) language
+ * @param {string} file.trgLang - The target language
+ * @param {Array<{key: string, source: string, target: ?string}>} file.entries -
+ *   The messages, with the existing translation if there is one
+ * @returns {string} The PO file content
+ */
+function formatPo({ srcLang, trgLang, entries }) {
+  const header = [
+    "Content-Type: text/plain; charset=UTF-8\n",
+    `Language: ${trgLang}\n`,
+    `X-Source-Language: ${srcLang}\n`,
+  ];
+
+  const lines = ['msgid ""', 'msgstr ""', ...header.map(quote), ""];
+  for (const { key, source, target } of entries) {
+    lines.push(
+      `msgctxt ${quote(key)}`,
+      `msgid ${quote(source)}`,
+      `msgstr ${quote(target || "")}`,
+      ""
+    );
+  }
+
+  return lines.join("\n");
+}
+
+/**
+ * Read a PO file. Fuzzy and obsolete messages are left out, as they aren't
+ * finished translations.
+ * @param {string} text - The PO file content
+ * @returns {{language: ?string, entries: Array}} The language from the header,
+ *   and the messages with their context (the key), msgid and msgstr
+ */
+function parsePo(text) {
+  const entries = [];
+  let language = null;
+  let entry = {};
+  let field = null;
+  let fuzzy = false;
+
+  const endEntry = () => {
+    if (entry.msgid === "" && !entry.msgctxt) {
+      const match = /^Language:\s*(.+)$/m.exec(entry.msgstr || "");
+      language = match ? match[1].trim() : language;
+    } else if (entry.msgid !== undefined && !fuzzy) {
+      entries.push({
+        context: entry.msgctxt || null,
+        msgid: entry.msgid,
+        msgstr: entry.msgstr || "",
+      });
+    }
+    entry = {};
+    field = null;
+    fuzzy = false;
+  };
+
+  for (const line of text.split(/\r?\n/)) {
+    const trimmed = line.trim();
+    const keyword = KEYWORD_PATTERN.exec(trimmed);
+
+    if (trimmed === "") {
+      endEntry();
+    } else if (trimmed.startsWith("#")) {
+      // A comment starts the next entry when it follows a message
+      if (entry.msgstr !== undefined) endEntry();
+      if (/^#,.*\bfuzzy\b/.test(trimmed)) fuzzy = true;
+    } else if (keyword) {
+      const startsEntry = keyword[1] === "msgctxt" || keyword[1] === "msgid";
+      if (startsEntry && entry.msgstr !== undefined) endEntry();
+
+      // Only the first form of plural messages is used
+      field = keyword[1] === "msgstr[0]" ? "msgstr" : keyword[1];
+      entry[field] = unquote(keyword[2]);
+    } else if (trimmed.startsWith('"') && field) {
+      entry[field] += unquote(trimmed);
+    }
+  }
+  endEntry();
+
+  return { language, entries };
+}
+
+module.exports = {
+  formatPo,
+  parsePo,
+};
@@ -0,0 +1,676 @@
+// utils/translationFormats.js - Readers and writers for the supported locale file formats
+const path = require("path");
+const { modify, applyEdits } = require("jsonc-parser");
+const JSON5 = require("json5");
+const YAML = require("yaml");
+const { parseExpression } = require("@babel/parser");
+const { maskNonCode } = require("./callUtils");
+const {
+  getKeyPositions,
+  getKeyAtOffset,
+  getObjectLiteralKeyPositions,
+  getYamlKeyPositions,
+  findKeyAtOffset,
+} = require("./jsonUtils");
+
+/**
+ * Find the object literal a message module exports, e.g.
+ * `export default { ... }`, `const messages = { ... }; export default messages`
+ * or `module.exports = { ... }`
+ * @param {string} text - Source of the module
+ * @returns {{start: number, end: number}|null} Offsets of the braces, or null
+ *   if the module doesn't export an object literal
+ */
+function findExportedObject(text) {
+  const masked = maskNonCode(text);
+  const exportMatch = /\bexport\s+default\s+|\bmodule\.exports\s*=\s*/.exec(
+    masked
+  );
+  if (!exportMatch) {
+    return null;
+  }
+
+  let start = exportMatch.index + exportMatch[0].length;
+
+  // Follow an exported identifier to its declaration
+  const identifier = /^[A-Za-z_$][\w$]*/.exec(masked.substring(start));
+  if (identifier) {
+    const declaration = new RegExp(
+      `\\b(?:const|let|var)\\s+${identifier[0]}\\b[^=]*=\\s*`
+    ).exec(masked);
+    if (!declaration) {
+      return null;
+    }
+    start = declaration.index + declaration[0].length;
+  }
+
+  if (masked[start] !== "{") {
+    return null;
+  }
+
+  let depth = 0;
+  for (let i = start; i < masked.length; i++) {
+    if (masked[i] === "{") {
+      depth++;
+    } else if (masked[i] === "}" && --depth === 0) {
+      return { start, end: i + 1 };
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Get the quote character a file uses for its strings
+ * @param {string} text - The file text
+ * @returns {string} The quote character, double quotes by default
+ */
+function detectQuote(text) {
+  const match = /:\s*(["'])/.exec(text);
+  return match ? match[1] : '"';
+}
+
+/**
+ * Detect the indentation and line endings of a file, so added text matches it
+ * @param {string} text - The file text
+ * @returns {{insertSpaces: boolean, tabSize: number, eol: string}} Formatting
+ *   options as used by jsonc-parser, two spaces and \n by default
+ */
+function detectFormatting(text) {
+  const indent = /^([ \t]+)\S/m.exec(text);
+  const usesTabs = !!indent && indent[1][0] === "\t";
+
+  return {
+    insertSpaces: !usesTabs,
+    tabSize: indent && !usesTabs ? indent[1].length : 2,
+    eol: text.includes("\r\n") ? "\r\n" : "\n",
+  };
+}
+
+/**
+ * Check whether a value is a nested translations object
+ * @param {*} value - The value
+ * @returns {boolean} True for plain objects
+ */
+function isObject(value) {
+  return typeof value === "object" && value !== null && !Array.isArray(value);
+}
+
+/**
+ * List the differences between two versions of the translations
+ * @param {Object} before - The current translations
+ * @param {Object} after - The new translations
+ * @param {string[]} [parentPath] - Path of the compared objects
+ * @returns {Array<{path: string[], value: *}>} The values to set, with an
+ *   undefined value for removed keys
+ */
+function getContentChanges(before, after, parentPath = []) {
+  const changes = [];
+
+  for (const key of Object.keys(before)) {
+    if (!(key in after)) {
+      changes.push({ path: [...parentPath, key], value: undefined });
+    }
+  }
+
+  for (const [key, value] of Object.entries(after)) {
+    const keyPath = [...parentPath, key];
+    if (isObject(before[key]) && isObject(value)) {
+      changes.push(...getContentChanges(before[key], value, keyPath));
+    } else if (JSON.stringify(before[key]) !== JSON.stringify(value)) {
+      changes.push({ path: keyPath, value });
+    }
+  }
+
+  return changes;
+}
+
+/**
+ * Get where a new key goes among its siblings to keep them alphabetical
+ * @param {string[]} names - The existing keys
+ * @param {string} name - The new key
+ * @returns {number} The index to insert the key at
+ */
+function getSortedIndex(names, name) {
+  const index = names.findIndex((item) => item.localeCompare(name) > 0);
+  return index === -1 ? names.length : index;
+}
+
+/**
+ * Put the keys that are new in a version of the translations in alphabetical
+ * order among the existing ones, which keep their order
+ * @param {Object} before - The current translations
+ * @param {Object} after - The new translations
+ * @returns {Object} A copy of the new translations with the new keys sorted in
+ */
+function sortNewKeys(before, after) {
+  const names = Object.keys(after).filter((key) => key in before);
+  for (const key of Object.keys(after)) {
+    if (!(key in before)) {
+      names.splice(getSortedIndex(names, key), 0, key);
+    }
+  }
+
+  const sorted = {};
+  for (const key of names) {
+    sorted[key] = isObject(after[key])
+      ? sortNewKeys(isObject(before[key]) ? before[key] : {}, after[key])
+      : after[key];
+  }
+  return sorted;
+}
+
+/**
+ * Apply the differences between two versions of the translations to a JSON
+ * text as minimal edits, keeping its comments, formatting and key order
+ * @param {string} text - The JSON text
+ * @param {Object} content - The new translations
+ * @param {Object} options - Write options, see registerTranslationFormat
+ * @returns {string} The updated text
+ */
+function updateJsonText(text, content, options) {
+  const formattingOptions = detectFormatting(text);
+
+  for (const change of getContentChanges(JSON.parse(text), content)) {
+    const name = change.path[change.path.length - 1];
+    const edits = modify(text, change.path, change.value, {
+      formattingOptions,
+      getInsertionIndex: options.sortKeys
+        ? (names) => getSortedIndex(names, name)
+        : undefined,
+    });
+    text = applyEdits(text, edits);
+  }
+
+  return text;
+}
+
+/**
+ * Apply the differences between two versions of the translations to a YAML
+ * document, so comments and formatting of unchanged entries are kept
+ * @param {YAML.Document} document - The document
+ * @param {Object} content - The new translations
+ * @param {Object} options - Write options, see registerTranslationFormat
+ */
+function applyYamlChanges(document, content, options) {
+  for (const change of getContentChanges(document.toJS() || {}, content)) {
+    if (change.value === undefined) {
+      document.deleteIn(change.path);
+      continue;
+    }
+
+    const parentPath = change.path.slice(0, -1);
+    const name = change.path[change.path.length - 1];
+    const isNew = !document.hasIn(change.path);
+    document.setIn(change.path, change.value);
+
+    // New keys are appended, move them into place
+    const parent = parentPath.length
+      ? document.getIn(parentPath, true)
+      : document.contents;
+    if (isNew && options.sortKeys && YAML.isMap(parent)) {
+      const pair = parent.items.pop();
+      const names = parent.items.map((item) => `${item.key}`);
+      parent.items.splice(getSortedIndex(names, name), 0, pair);
+    }
+  }
+}
+
+/**
+ * Write translations as a new JSON5 object literal in the style of a file
+ * @param {Object} content - The translations
+ * @param {?string} previousText - The current file text
+ * @param {Object} options - Write options, see registerTranslationFormat
+ * @returns {string} The object literal
+ */
+function stringifyObjectLiteral(content, previousText, options) {
+  const { insertSpaces, tabSize, eol } = detectFormatting(previousText || "");
+  const sorted = options.sortKeys ? sortNewKeys({}, content) : content;
+
+  return JSON5.stringify(sorted, {
+    space: insertSpaces ? tabSize : "\t",
+    quote: detectQuote(previousText || ""),
+  }).replace(/\n/g, eol);
+}
+
+/**
+ * Get the name of a property in an object literal
+ * @param {Object} property - The Babel ObjectProperty node
+ * @returns {string|null} The name, or null for computed keys and spreads
+ */
+function getPropertyName(property) {
+  if (property.type !== "ObjectProperty" || property.computed) {
+    return null;
+  }
+  const { key } = property;
+  return key.type === "Identifier" ? key.name : String(key.value);
+}
+
+/**
+ * Get the offset of the comma after a property, skipping whitespace and
+ * comments
+ * @param {string} masked - The text with comments masked, see maskNonCode
+ * @param {number} offset - End of the property
+ * @returns {number} Offset of the comma, or -1 if there's none
+ */
+function findCommaAfter(masked, offset) {
+  const match = /^\s*,/.exec(masked.substring(offset));
+  return match ? offset + match[0].length - 1 : -1;
+}
+
+/**
+ * Get the offset of the end of a line, before its line break
+ * @param {string} text - The text
+ * @param {number} offset - Offset in the line
+ * @returns {number} The offset
+ */
+function getLineEnd(text, offset) {
+  const newline = text.indexOf("\n", offset);
+  if (newline === -1) {
+    return text.length;
+  }
+  return text[newline - 1] === "\r" ? newline - 1 : newline;
+}
+
+/**
+ * Get the offset of the start of a line
+ * @param {string} text - The text
+ * @param {number} offset - Offset in the line
+ * @returns {number} The offset
+ */
+function getLineStart(text, offset) {
+  return text.lastIndexOf("\n", offset - 1) + 1;
+}
+
+/**
+ * Replace part of a text
+ * @param {string} text - The text
+ * @param {number} start - Start of the part
+ * @param {number} end - End of the part
+ * @param {string} replacement - The new part
+ * @returns {string} The updated text
+ */
+function splice(text, start, end, replacement) {
+  return text.substring(0, start) + replacement + text.substring(end);
+}
+
+/**
+ * Apply one change of the translations to an object literal: replace the value
+ * of a property, remove a property with its line, or add a property in the
+ * style of its siblings
+ * @param {string} text - The file text
+ * @param {{start: number, end: number}} range - Offsets of the object braces
+ * @param {{path: string[], value: *}} change - The change, see
+ *   getContentChanges
+ * @param {Object} options - Write options, see registerTranslationFormat
+ * @returns {string} The updated text
+ */
+function applyObjectLiteralChange(text, range, change, options) {
+  const root = parseExpression(text.substring(range.start, range.end));
+  const at = (offset) => range.start + offset;
+  const masked = maskNonCode(text);
+  const { insertSpaces, tabSize, eol } = detectFormatting(text);
+  const quote = detectQuote(text);
+
+  const findProperty = (object, name) =>
+    object.properties.find((property) => getPropertyName(property) === name);
+
+  let object = root;
+  for (const name of change.path.slice(0, -1)) {
+    object = findProperty(object, name).value;
+  }
+  const name = change.path[change.path.length - 1];
+  const property = findProperty(object, name);
+
+  const stringify = (value, indent) =>
+    indent === null
+      ? JSON5.stringify(value, { quote })
+      : JSON5.stringify(value, {
+          space: insertSpaces ? tabSize : "\t",
+          quote,
+        }).replace(/\n/g, `${eol}${indent}`);
+
+  const getIndent = (offset) => {
+    const lineStart = getLineStart(text, offset);
+    const before = text.substring(lineStart, offset);
+    return before.trim() ? null : before;
+  };
+
+  if (property && change.value !== undefined) {
+    const indent = getIndent(at(property.start));
+    return splice(
+      text,
+      at(property.value.start),
+      at(property.value.end),
+      stringify(change.value, indent)
+    );
+  }
+
+  if (property) {
+    const index = object.properties.indexOf(property);
+    let start = at(property.start);
+    let end = at(property.end);
+    const comma = findCommaAfter(masked, end);
+    if (comma !== -1) {
+      end = comma + 1;
+    }
+
+    // Remove the line of a property that is on its own line
+    const lineEnd = getLineEnd(text, end);
+    if (getIndent(start) !== null && !masked.substring(end, lineEnd).trim()) {
+      start = getLineStart(text, start);
+      end = text[lineEnd] === "\r" ? lineEnd + 2 : lineEnd + 1;
+    }
+    text = splice(text, start, end, "");
+
+    // The property before the removed last one keeps no trailing comma
+    if (comma === -1 && index > 0) {
+      const previousComma = findCommaAfter(
+        masked,
+        at(object.properties[index - 1].end)
+      );
+      if (previousComma !== -1) {
+        text = splice(text, previousComma, previousComma + 1, "");
+      }
+    }
+    return text;
+  }
+
+  // Keys are quoted like their siblings, or the first key of the file
+  const sibling = object.properties[0] || root.properties[0];
+  const quotedSibling =
+    sibling && sibling.key.type === "StringLiteral" ? sibling.key : null;
+  const key =
+    quotedSibling || !/^[A-Za-z_$][\w$]*$/.test(name)
+      ? JSON5.stringify(name, {
+          quote: quotedSibling ? text[at(quotedSibling.start)] : quote,
+        })
+      : name;
+
+  const { properties } = object;
+  if (properties.length === 0) {
+    const lineStart = getLineStart(text, at(object.start));
+    const parentIndent = /^[ \t]*/.exec(text.substring(lineStart))[0];
+    const indent = parentIndent + (insertSpaces ? " ".repeat(tabSize) : "\t");
+    const entry = `${key}: ${stringify(change.value, indent)}`;
+    const interior = masked.substring(at(object.start) + 1, at(object.end) - 1);
+    if (!interior.trim()) {
+      return splice(
+        text,
+        at(object.start) + 1,
+        at(object.end) - 1,
+        `${eol}${indent}${entry}${eol}${parentIndent}`
+      );
+    }
+
+    // Keep a comment in the object
+    const offset = at(object.start) + 1 + interior.trimEnd().length;
+    return splice(text, offset, offset, `${eol}${indent}${entry}`);
+  }
+
+  // Properties of one-line objects like `{ a: "A", b: "B" }` stay on one line
+  const indent = getIndent(at(properties[0].start));
+  const separator = indent === null ? " " : eol;
+  const entry = `${key}: ${stringify(change.value, indent)}`;
+  const names = properties.map(getPropertyName);
+  const index = options.sortKeys ? getSortedIndex(names, name) : names.length;
+
+  if (index === 0) {
+    const offset = at(properties[0].start);
+    return splice(text, offset, offset, `${entry},${separator}${indent || ""}`);
+  }
+
+  // Go after the comment that ends the line of the previous property
+  const previousEnd = at(properties[index - 1].end);
+  const comma = findCommaAfter(masked, previousEnd);
+  let offset = comma === -1 ? previousEnd : comma + 1;
+  const lineEnd = getLineEnd(text, offset);
+  if (indent !== null && !masked.substring(offset, lineEnd).trim()) {
+    offset = lineEnd;
+  }
+
+  if (comma !== -1) {
+    return splice(text, offset, offset, `${separator}${indent || ""}${entry},`);
+  }
+  text = splice(text, offset, offset, `${separator}${indent || ""}${entry}`);
+  return splice(text, previousEnd, previousEnd, ",");
+}
+
+/**
+ * Apply the differences between two versions of the translations to an object
+ * literal as minimal edits, keeping its comments, quotes and layout
+ * @param {string} text - The file text
+ * @param {function(string): {start: number, end: number}} findObject - Finds
+ *   the offsets of the object braces in the text
+ * @param {Object} content - The new translations
+ * @param {Object} options - Write options, see registerTranslationFormat
+ * @returns {string} The updated text
+ */
+function updateObjectLiteralText(text, findObject, content, options) {
+  const range = findObject(text);
+  const previousContent = JSON5.parse(text.substring(range.start, range.end));
+
+  for (const change of getContentChanges(previousContent, content)) {
+    text = applyObjectLiteralChange(text, findObject(text), change, options);
+  }
+  return text;
+}
+
+/**
+ * Find the braces of the object in a JSON5 file
+ * @param {string} text - The file text
+ * @returns {{start: number, end: number}|null} Offsets of the braces, or null
+ */
+function findJson5Object(text) {
+  const masked = maskNonCode(text);
+  const start = masked.indexOf("{");
+  const end = masked.lastIndexOf("}");
+  return start === -1 || end < start ? null : { start, end: end + 1 };
+}
+
+/**
+ * Write a property name of an object literal, quoted like the name it replaces
+ * @param {string} name - The new name
+ * @param {string} previousKey - The replaced name as written in the file
+ * @param {string} text - The file text
+ * @returns {string} The name as written in the file
+ */
+function formatObjectLiteralKey(name, previousKey, text) {
+  if (/^["']/.test(previousKey)) {
+    return JSON5.stringify(name, { quote: previousKey[0] });
+  }
+  return /^[A-Za-z_$][\w$]*$/.test(name)
+    ? name
+    : JSON5.stringify(name, { quote: detectQuote(text) });
+}
+
+/**
+ * Write a YAML key, quoted like the key it replaces
+ * @param {string} name - The new name
+ * @param {string} previousKey - The replaced key as written in the file
+ * @returns {string} The key as written in the file
+ */
+function formatYamlKey(name, previousKey) {
+  if (previousKey[0] === '"') {
+    return JSON.stringify(name);
+  }
+  if (previousKey[0] === "'") {
+    return `'${name.replace(/'/g, "''")}'`;
+  }
+  return YAML.stringify(name, { lineWidth: 0 }).trimEnd();
+}
+
+/**
+ * Rename a key within its parent object by rewriting only its name, so it
+ * keeps its place in the file
+ * @param {Object} format - The format of the file, see getTranslationFormat
+ * @param {string} text - The file text
+ * @param {string} oldKey - The current key path
+ * @param {string} newKey - The new key path
+ * @returns {string|null} The updated text, or null if the key isn't in the
+ *   file, moves to another parent, or the format can't rename in place
+ */
+function renameKeyInText(format, text, oldKey, newKey) {
+  const oldPath = oldKey.split(".");
+  const newPath = newKey.split(".");
+  if (
+    !format.formatKey ||
+    oldPath.length !== newPath.length ||
+    oldPath.slice(0, -1).join(".") !== newPath.slice(0, -1).join(".")
+  ) {
+    return null;
+  }
+
+  const positions = format.getKeyPositions(text);
+  const position = positions.get(oldKey);
+  if (!position || positions.has(newKey)) {
+    return null;
+  }
+
+  const { keyOffset, keyLength } = position;
+  const previousKey = text.substring(keyOffset, keyOffset + keyLength);
+  const name = format.formatKey(newPath[newPath.length - 1], previousKey, text);
+  return splice(text, keyOffset, keyOffset + keyLength, name);
+}
+
+/**
+ * The supported formats. Each reads a file into nested translations, writes
+ * translations back in the style of the existing file, and locates keys.
+ */
+const formats = [
+  {
+    name: "JSON",
+    extensions: [".json"],
+    parse: (text) => JSON.parse(text),
+    serialize: (content, previousText, options = {}) =>
+      previousText
+        ? updateJsonText(previousText, content, options)
+        : `${JSON.stringify(content, null, 2)}\n`,
+    getKeyPositions: (text) => getKeyPositions(text),
+    getKeyAtOffset: (text, offset) => getKeyAtOffset(text, offset),
+    formatKey: (name) => JSON.stringify(name),
+  },
+  {
+    name: "JSON5",
+    extensions: [".json5"],
+    parse: (text) => JSON5.parse(text),
+    serialize: (content, previousText, options = {}) => {
+      if (previousText && findJson5Object(previousText)) {
+        return updateObjectLiteralText(
+          previousText,
+          findJson5Object,
+          content,
+          options
+        );
+      }
+      return `${stringifyObjectLiteral(content, null, options)}\n`;
+    },
+    getKeyPositions: (text) =>
+      getObjectLiteralKeyPositions(text, maskNonCode(text).indexOf("{")),
+    formatKey: formatObjectLiteralKey,
+  },
+  {
+    name: "YAML",
+    extensions: [".yaml", ".yml"],
+    parse: (text) => YAML.parse(text) || {},
+    serialize: (content, previousText, options = {}) => {
+      const document = YAML.parseDocument(previousText || "");
+      if (!YAML.isMap(document.contents)) {
+        return YAML.stringify(content, { lineWidth: 0 });
+      }
+
+      applyYamlChanges(document, content, options);
+      const { eol } = detectFormatting(previousText);
+      return document.toString({ lineWidth: 0 }).replace(/\r?\n/g, eol);
+    },
+    getKeyPositions: (text) => getYamlKeyPositions(text),
+    formatKey: formatYamlKey,
+  },
+  {
+    name: "message module",
+    extensions: [".ts", ".mts", ".js", ".mjs", ".cjs"],
+    parse: (text) => {
+      const object = findExportedObject(text);
+      if (!object) {
+        throw new Error("The module doesn't export an object literal");
+      }
+      return JSON5.parse(text.substring(object.start, object.end));
+    },
+    serialize: (content, previousText, options = {}) => {
+      if (previousText && findExportedObject(previousText)) {
+        return updateObjectLiteralText(
+          previousText,
+          findExportedObject,
+          content,
+          options
+        );
+      }
+      const objectText = stringifyObjectLiteral(content, previousText, options);
+      return `export default ${objectText};\n`;
+    },
+    getKeyPositions: (text) => {
+      const object = findExportedObject(text);
+      return object
+        ? getObjectLiteralKeyPositions(text, object.start)
+        : new Map();
+    },
+    formatKey: formatObjectLiteralKey,
+  },
+];
+
+/**
+ * Add support for another locale file format. Formats registered later take
+ * precedence for the same extension.
+ * @param {Object} format - The format
+ * @param {string} format.name - Name shown in messages
+ * @param {string[]} format.extensions - File extensions, e.g. [".toml"]
+ * @param {function(string): Object} format.parse - Reads the translations
+ * @param {function(Object, ?string, Object): string} format.serialize - Writes
+ *   the translations, given the previous file text to keep its style and the
+ *   write options: `sortKeys` inserts new keys in alphabetical order
+ * @param {function(string): Map<string, Object>} format.getKeyPositions -
+ *   Locates the keys, see getKeyPositions in jsonUtils
+ * @param {function(string, number): ?string} [format.getKeyAtOffset] - Gets
+ *   the key at an offset, found from the key positions by default
+ * @param {function(string, string, string): string} [format.formatKey] -
+ *   Writes a key name for a rename, given the replaced name as written in the
+ *   file and the file text.
+ *   Without it renamed keys are removed and added again.
+ */
+function registerTranslationFormat(format) {
+  formats.unshift(format);
+}
+
+/**
+ * Get the format of a locale file from its extension
+ * @param {string} filePath - Path of the file
+ * @returns {Object|null} The format, or null if it isn't supported
+ */
+function getTranslationFormat(filePath) {
+  const extension = path.extname(filePath).toLowerCase();
+  const format = formats.find((item) => item.extensions.includes(extension));
+  if (!format) {
+    return null;
+  }
+
+  return {
+    getKeyAtOffset: (text, offset) =>
+      findKeyAtOffset(format.getKeyPositions(text), offset),
+    ...format,
+  };
+}
+
+/**
+ * Get the extensions of all supported locale file formats
+ * @returns {string[]} The extensions, e.g. [".json", ".yaml"]
+ */
+function getTranslationFileExtensions() {
+  return [...new Set(formats.flatMap((format) => format.extensions))];
+}
+
+module.exports = {
+  registerTranslationFormat,
+  getTranslationFormat,
+  getTranslationFileExtensions,
+  renameKeyInText,
+};
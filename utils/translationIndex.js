@@ -0,0 +1,563 @@
+// utils/translationIndex.js - Cached, file-watched index of the project's translation files
+const vscode = require("vscode");
+const fs = require("fs");
+const path = require("path");
+const {
+  flattenKeys,
+  getReferenceLanguage,
+  isLocaleDirectory,
+  getLocaleFiles,
+  readTranslationText,
+  readTranslationFile,
+  writeTranslationFile,
+} = require("./translationUtils");
+const {
+  LOCALE_PLACEHOLDER,
+  readNextIntlConfig,
+  matchMessagesPattern,
+} = require("./nextIntlConfig");
+const {
+  getTranslationFormat,
+  getTranslationFileExtensions,
+} = require("./translationFormats");
+
+/**
+ * Extensions of message modules, which share them with ordinary source files
+ */
+const CODE_EXTENSIONS = [".ts", ".mts", ".js", ".mjs", ".cjs"];
+
+/**
+ * Locale codes like en, de-AT or zh_Hant, to tell locale directories from
+ * namespace files when the layout is detected
+ */
+const LOCALE_NAME_PATTERN = /^[a-z]{2,3}(?:[-_][A-Za-z0-9]{2,8})*$/;
+
+/**
+ * The loaded translations and their file paths by language
+ */
+let index = null;
+
+/**
+ * Pending load, shared by concurrent callers
+ */
+let loading = null;
+
+/**
+ * Incremented on invalidation so a load that started earlier isn't cached
+ */
+let generation = 0;
+
+/**
+ * Reverse lookup from a trimmed reference value to the keys that hold it
+ */
+let valueIndex = null;
+
+/**
+ * Positions of the keys in each translation file, computed on first use
+ */
+const keyPositionsByFile = new Map();
+
+/**
+ * Fired whenever the indexed translations change
+ */
+const changeEmitter = new vscode.EventEmitter();
+
+/**
+ * Get the paths a message import can point to. Imports without an extension,
+ * e.g. import(`../messages/${locale}`), can load any supported format or a
+ * directory with a file per namespace.
+ * @param {string} messagesPattern - Path template containing {locale}
+ * @param {string} layout - The nextIntlHelper.messagesLayout setting
+ * @returns {Array<{pattern: string, isDirectory: boolean}>} Path templates of
+ *   locale files or directories
+ */
+function getMessagesPatterns(messagesPattern, layout) {
+  const [before, after] = messagesPattern.split(LOCALE_PLACEHOLDER);
+  const directory = { pattern: before + LOCALE_PLACEHOLDER, isDirectory: true };
+
+  // Split messages, e.g. messages/{locale}/common.json
+  if (layout === "directory" || (layout !== "file" && /^[\\/]/.test(after))) {
+    return [directory];
+  }
+
+  if (getTranslationFormat(messagesPattern)) {
+    return [{ pattern: messagesPattern, isDirectory: false }];
+  }
+
+  const files = getTranslationFileExtensions().map((extension) => ({
+    pattern: messagesPattern + extension,
+    isDirectory: false,
+  }));
+  return layout === "file" ? files : [...files, directory];
+}
+
+/**
+ * Check whether a file or directory name is a locale
+ * @param {string} name - The name
+ * @param {string[]|null} locales - The locales configured for next-intl
+ * @returns {boolean} True if it's one of the locales, or looks like one when
+ *   they aren't configured
+ */
+function isLocaleName(name, locales) {
+  return locales ? locales.includes(name) : LOCALE_NAME_PATTERN.test(name);
+}
+
+/**
+ * Locate translation files in the workspace, using the next-intl configuration
+ * when possible and the nextIntlHelper.translationFilePatterns setting otherwise.
+ * Locales split into a file per namespace are located by their directory.
+ * @returns {Promise<Object>} File paths by language and the next-intl configuration
+ */
+async function discoverTranslationFiles() {
+  const workspaceFolders = vscode.workspace.workspaceFolders;
+  if (!workspaceFolders) {
+    throw new Error("No workspace folder open");
+  }
+
+  const workspaceRoot = workspaceFolders[0].uri.fsPath;
+  const config = await readNextIntlConfig(workspaceRoot);
+  const settings = vscode.workspace.getConfiguration("nextIntlHelper");
+  const layout = settings.get("messagesLayout", "auto");
+  const translationFilePaths = {};
+
+  // Message paths from getRequestConfig, e.g. messages/{locale}.json
+  if (config.messagesPattern) {
+    const patterns = getMessagesPatterns(config.messagesPattern, layout);
+
+    for (const { pattern, isDirectory } of patterns) {
+      if (config.locales) {
+        for (const locale of config.locales) {
+          const localePath = pattern.replace(LOCALE_PLACEHOLDER, locale);
+          if (
+            !translationFilePaths[locale] &&
+            fs.existsSync(localePath) &&
+            isLocaleDirectory(localePath) === isDirectory
+          ) {
+            translationFilePaths[locale] = localePath;
+          }
+        }
+      } else {
+        const glob = path
+          .relative(workspaceRoot, pattern)
+          .split(path.sep)
+          .join("/")
+          .replace(LOCALE_PLACEHOLDER, "*");
+        const files = await vscode.workspace.findFiles(
+          isDirectory ? `${glob}/*` : glob,
+          "**/node_modules/**"
+        );
+
+        for (const file of files) {
+          if (!getTranslationFormat(file.fsPath)) continue;
+
+          const localePath = isDirectory
+            ? path.dirname(file.fsPath)
+            : file.fsPath;
+          const locale = matchMessagesPattern(pattern, localePath);
+          if (locale && !translationFilePaths[locale]) {
+            translationFilePaths[locale] = localePath;
+          }
+        }
+      }
+    }
+  }
+
+  // Fall back to the configured glob patterns
+  if (Object.keys(translationFilePaths).length === 0) {
+    const patterns = settings.get("translationFilePatterns", []);
+
+    for (const pattern of patterns) {
+      const files = await vscode.workspace.findFiles(
+        pattern,
+        "**/node_modules/**"
+      );
+
+      for (const file of files) {
+        if (!getTranslationFormat(file.fsPath)) continue;
+
+        // messages/en/common.json holds the "common" namespace of en
+        const directory = path.dirname(file.fsPath);
+        const name = path.basename(file.fsPath, path.extname(file.fsPath));
+        const inLocaleDirectory =
+          layout === "directory" ||
+          (layout === "auto" &&
+            isLocaleName(path.basename(directory), config.locales) &&
+            !isLocaleName(name, config.locales));
+
+        const lang = inLocaleDirectory ? path.basename(directory) : name;
+        if (config.locales && !config.locales.includes(lang)) continue;
+        if (!translationFilePaths[lang]) {
+          translationFilePaths[lang] = inLocaleDirectory
+            ? directory
+            : file.fsPath;
+        }
+      }
+    }
+  }
+
+  return { translationFilePaths, config };
+}
+
+/**
+ * Read and parse all translation files
+ * @returns {Promise<Object>} Object with translations and file paths by language
+ */
+async function loadIndex() {
+  const { translationFilePaths, config } = await discoverTranslationFiles();
+  const translations = {};
+
+  for (const [lang, filePath] of Object.entries(translationFilePaths)) {
+    try {
+      translations[lang] = await readTranslationFile(filePath);
+    } catch (error) {
+      console.error(`Error reading translation file ${filePath}:`, error);
+      translations[lang] = {};
+    }
+  }
+
+  return {
+    translations,
+    translationFilePaths,
+    referenceLanguage: getReferenceLanguage(translations, config.defaultLocale),
+    locales: config.locales,
+    defaultLocale: config.defaultLocale,
+  };
+}
+
+/**
+ * Get the translations of the workspace, loading them on first use
+ * @returns {Promise<Object>} Object with translations and file paths by language,
+ *   the reference language and the locales configured for next-intl
+ */
+async function findTranslationFiles() {
+  if (index) {
+    return index;
+  }
+
+  if (!loading) {
+    const loadGeneration = generation;
+    loading = loadIndex()
+      .then((result) => {
+        if (loadGeneration === generation) {
+          index = result;
+        }
+        return result;
+      })
+      .finally(() => {
+        loading = null;
+      });
+  }
+
+  return loading;
+}
+
+/**
+ * Find the locale a translation file belongs to
+ * @param {Object} translationFilePaths - Locale file or directory paths by language
+ * @param {string} filePath - Path of the file
+ * @returns {string|undefined} The language, if it's one of the indexed files
+ *   or a namespace file in a locale directory
+ */
+function findLanguageOfFile(translationFilePaths, filePath) {
+  const resolved = path.resolve(filePath);
+
+  return Object.keys(translationFilePaths).find((lang) => {
+    const localePath = path.resolve(translationFilePaths[lang]);
+    return (
+      localePath === resolved ||
+      (path.dirname(resolved) === localePath &&
+        !!getTranslationFormat(resolved) &&
+        isLocaleDirectory(localePath))
+    );
+  });
+}
+
+/**
+ * Get the namespace a file of a locale directory holds, e.g. "common" for
+ * messages/en/common.json. Keys in that file are relative to it.
+ * @param {string} filePath - Path of the translation file
+ * @returns {Promise<string|null>} The namespace, or null for a file that
+ *   holds a whole locale
+ */
+async function findNamespaceOfFile(filePath) {
+  const { translationFilePaths } = await findTranslationFiles();
+  const lang = findLanguageOfFile(translationFilePaths, filePath);
+  if (!lang) {
+    return null;
+  }
+
+  const localePath = path.resolve(translationFilePaths[lang]);
+  return localePath === path.resolve(filePath)
+    ? null
+    : path.basename(filePath, path.extname(filePath));
+}
+
+/**
+ * Check whether a document is one of the indexed translation files
+ * @param {vscode.TextDocument} document - The document
+ * @returns {Promise<boolean>} True if it's a translation file
+ */
+async function isTranslationFile(document) {
+  const { translationFilePaths } = await findTranslationFiles();
+  return !!findLanguageOfFile(translationFilePaths, document.uri.fsPath);
+}
+
+/**
+ * Find the keys in the reference language whose value matches a text
+ * @param {string} text - The text to look up
+ * @returns {Promise<string[]>} Matching keys
+ */
+async function findKeysForValue(text) {
+  const { translations, referenceLanguage } = await findTranslationFiles();
+
+  if (!valueIndex) {
+    valueIndex = new Map();
+
+    for (const { key, value } of flattenKeys(
+      translations[referenceLanguage] || {}
+    )) {
+      if (typeof value !== "string") continue;
+
+      const trimmed = value.trim();
+      if (!valueIndex.has(trimmed)) {
+        valueIndex.set(trimmed, []);
+      }
+      valueIndex.get(trimmed).push(key);
+    }
+  }
+
+  return valueIndex.get(text.trim()) || [];
+}
+
+/**
+ * Find where a key is defined in each translation file
+ * @param {string} translationKey - The full translation key
+ * @returns {Promise<Array>} Language, file path and position of the key,
+ *   reference language first
+ */
+async function findKeyLocations(translationKey) {
+  const { translationFilePaths, referenceLanguage } =
+    await findTranslationFiles();
+  const languages = Object.keys(translationFilePaths).sort((a, b) =>
+    a === referenceLanguage ? -1 : b === referenceLanguage ? 1 : 0
+  );
+  const locations = [];
+
+  for (const lang of languages) {
+    let filePath = translationFilePaths[lang];
+    let key = translationKey;
+
+    // Namespaces of a locale directory are files, e.g. common.title is the
+    // title key in common.json
+    if (isLocaleDirectory(filePath)) {
+      const [namespace, ...rest] = translationKey.split(".");
+      const files = await getLocaleFiles(filePath);
+      const file = files.find((item) => item.namespace === namespace);
+      if (!file) continue;
+
+      filePath = file.filePath;
+      key = rest.join(".");
+
+      if (!key) {
+        const start = { line: 0, character: 0 };
+        locations.push({
+          lang,
+          filePath,
+          keyOffset: 0,
+          keyLength: 0,
+          start,
+          end: start,
+        });
+        continue;
+      }
+    }
+
+    if (!keyPositionsByFile.has(filePath)) {
+      try {
+        keyPositionsByFile.set(
+          filePath,
+          getTranslationFormat(filePath).getKeyPositions(
+            await readTranslationText(filePath)
+          )
+        );
+      } catch (error) {
+        continue;
+      }
+    }
+
+    const position = keyPositionsByFile.get(filePath).get(key);
+    if (position) {
+      locations.push({ lang, filePath, ...position });
+    }
+  }
+
+  return locations;
+}
+
+/**
+ * Re-read a single translation file after it changed
+ * @param {string} filePath - Path of the changed file
+ */
+async function refreshTranslationFile(filePath) {
+  if (!index) return;
+
+  const lang = findLanguageOfFile(index.translationFilePaths, filePath);
+  if (!lang) return;
+
+  // Key positions are re-read on next use, even while the file is invalid.
+  // Updating a locale directory can change any of its files.
+  const changedPath = path.resolve(filePath);
+  for (const cachedPath of keyPositionsByFile.keys()) {
+    const resolved = path.resolve(cachedPath);
+    if (resolved === changedPath || path.dirname(resolved) === changedPath) {
+      keyPositionsByFile.delete(cachedPath);
+    }
+  }
+
+  try {
+    const localePath = index.translationFilePaths[lang];
+    const content = await readTranslationFile(localePath);
+    index = {
+      ...index,
+      translations: { ...index.translations, [lang]: content },
+    };
+  } catch (error) {
+    // Keep the last valid content while the file is being edited
+    return;
+  }
+
+  valueIndex = null;
+  changeEmitter.fire();
+}
+
+/**
+ * Read a translation file, let a callback change its content and write it back
+ * @param {string} filePath - Path of the translation file or locale directory
+ * @param {function(Object): boolean} update - Changes the content, returns true if anything changed
+ * @returns {Promise<boolean>} True if the file was written
+ */
+async function updateTranslationFile(filePath, update) {
+  const content = await readTranslationFile(filePath);
+
+  if (!update(content)) {
+    return false;
+  }
+
+  await writeTranslationFile(filePath, content);
+  await refreshTranslationFile(filePath);
+  return true;
+}
+
+/**
+ * Drop the cached translations so they're rediscovered on next use
+ */
+function invalidateTranslationIndex() {
+  generation++;
+  index = null;
+  valueIndex = null;
+  keyPositionsByFile.clear();
+  changeEmitter.fire();
+}
+
+/**
+ * Registers the file watchers that keep the index up to date
+ * @param {vscode.ExtensionContext} context - Extension context
+ */
+function registerTranslationIndex(context) {
+  const extensions = getTranslationFileExtensions().map((extension) =>
+    extension.substring(1)
+  );
+  const watcher = vscode.workspace.createFileSystemWatcher(
+    `**/*.{${extensions.join(",")}}`
+  );
+  const isIgnored = (uri) =>
+    uri.fsPath
+      .split(path.sep)
+      .some((segment) => ["node_modules", ".next", ".git"].includes(segment));
+
+  // Source files only matter next to the known message modules
+  const affectsIndex = (uri) => {
+    if (isIgnored(uri)) return false;
+    if (!CODE_EXTENSIONS.includes(path.extname(uri.fsPath))) return true;
+
+    const directory = path.dirname(path.resolve(uri.fsPath));
+    return (
+      !!index &&
+      Object.values(index.translationFilePaths).some(
+        (localePath) =>
+          path.resolve(localePath) === directory ||
+          path.dirname(path.resolve(localePath)) === directory
+      )
+    );
+  };
+
+  // Changes to a known file only need that file re-read
+  watcher.onDidChange((uri) => {
+    if (!isIgnored(uri)) {
+      refreshTranslationFile(uri.fsPath);
+    }
+  });
+
+  // New or removed files can change which languages exist
+  watcher.onDidCreate((uri) => {
+    if (affectsIndex(uri)) {
+      invalidateTranslationIndex();
+    }
+  });
+  watcher.onDidDelete((uri) => {
+    if (affectsIndex(uri)) {
+      invalidateTranslationIndex();
+    }
+  });
+
+  // The next-intl configuration decides which files are translation files
+  const configWatcher = vscode.workspace.createFileSystemWatcher(
+    "**/{next.config,routing,request}.{js,jsx,mjs,cjs,ts,tsx,mts}"
+  );
+  configWatcher.onDidChange((uri) => {
+    if (!isIgnored(uri)) {
+      invalidateTranslationIndex();
+    }
+  });
+  configWatcher.onDidCreate((uri) => {
+    if (!isIgnored(uri)) {
+      invalidateTranslationIndex();
+    }
+  });
+  configWatcher.onDidDelete((uri) => {
+    if (!isIgnored(uri)) {
+      invalidateTranslationIndex();
+    }
+  });
+
+  const configurationListener = vscode.workspace.onDidChangeConfiguration(
+    (event) => {
+      if (
+        event.affectsConfiguration("nextIntlHelper.translationFilePatterns") ||
+        event.affectsConfiguration("nextIntlHelper.messagesLayout")
+      ) {
+        invalidateTranslationIndex();
+      }
+    }
+  );
+
+  context.subscriptions.push(
+    watcher,
+    configWatcher,
+    configurationListener,
+    changeEmitter
+  );
+}
+
+module.exports = {
+  registerTranslationIndex,
+  findTranslationFiles,
+  isTranslationFile,
+  findNamespaceOfFile,
+  findKeysForValue,
+  findKeyLocations,
+  refreshTranslationFile,
+  updateTranslationFile,
+  invalidateTranslationIndex,
+  onDidChangeTranslations: changeEmitter.event,
+};
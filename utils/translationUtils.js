@@ -3,161 +3,58 @@ const vscode = require("vscode");
 const fs = require("fs");
 const path = require("path");
 const util = require("util");
+const {
+  findTranslationCallAt,
+  getNamespaceAt,
+  joinKey,
+} = require("./callUtils");
+const { getTranslationFormat } = require("./translationFormats");
 
 const readFile = util.promisify(fs.readFile);
-const writeFile = util.promisify(fs.writeFile);
+const readdir = util.promisify(fs.readdir);
 
 /**
- * Extract translation key from the editor's current cursor position
+ * Namespaces that can be used as file names in split locale directories
+ */
+const NAMESPACE_FILE_PATTERN = /^(?!\.\.?$)[^\\/:*?"<>|]+$/;
+
+/**
+ * Extract translation key from the editor's current cursor position.
+ * Keys are resolved against the namespace the translation function was created with,
+ * e.g. t("title") after useTranslations("timeEntry.form") gives "timeEntry.form.title".
  * @param {vscode.TextEditor} editor - The active text editor
- * @returns {string|null} The translation key or null if not found
+ * @returns {string|null} The full translation key or null if not found
  */
 function findTranslationKey(editor) {
   const selection = editor.selection;
-  let translationKey;
-
-  if (selection.isEmpty) {
-    // No selection, try to find t() pattern under cursor
-    const document = editor.document;
-    const cursorPosition = selection.active;
-    const line = document.lineAt(cursorPosition.line).text;
-
-    // Match t("path.to.key") pattern
-    const regex = /t\(["']([\w\.]+)["']\)/g;
-    let match;
-    let foundKey = null;
-
-    while ((match = regex.exec(line)) !== null) {
-      const keyStart = document.positionAt(
-        document.offsetAt(new vscode.Position(cursorPosition.line, 0)) +
-          match.index +
-          3
-      );
-      const keyEnd = document.positionAt(
-        document.offsetAt(new vscode.Position(cursorPosition.line, 0)) +
-          match.index +
-          3 +
-          match[1].length
-      );
-
-      if (
-        cursorPosition.isAfterOrEqual(keyStart) &&
-        cursorPosition.isBeforeOrEqual(keyEnd)
-      ) {
-        foundKey = match[1];
-        break;
-      }
-    }
+  const document = editor.document;
+  const text = document.getText();
 
-    if (foundKey) {
-      translationKey = foundKey;
-    } else {
-      // Try to detect if cursor is inside a t("...") call
-      const beforeCursor = line.substring(0, cursorPosition.character);
-      const afterCursor = line.substring(cursorPosition.character);
-
-      const lastTBeforeCursor = beforeCursor.lastIndexOf('t("');
-      const lastSingleQuoteTBeforeCursor = beforeCursor.lastIndexOf("t('");
-
-      if (lastTBeforeCursor >= 0 || lastSingleQuoteTBeforeCursor >= 0) {
-        const quoteType = lastTBeforeCursor >= 0 ? '"' : "'";
-        const tStart =
-          lastTBeforeCursor >= 0
-            ? lastTBeforeCursor
-            : lastSingleQuoteTBeforeCursor;
-        const closingQuoteAfterCursor = afterCursor.indexOf(quoteType);
-
-        if (closingQuoteAfterCursor >= 0) {
-          const startOfKey = tStart + 3; // After t("
-          const keyFragment =
-            beforeCursor.substring(startOfKey) +
-            afterCursor.substring(0, closingQuoteAfterCursor);
-          translationKey = keyFragment;
-        }
-      }
-    }
-  } else {
-    // Use selection
-    translationKey = editor.document.getText(selection);
-
-    // If selection contains t("key"), extract just the key
-    const match = translationKey.match(/t\(["'](.+)["']\)/);
-    if (match) {
-      translationKey = match[1];
-    }
+  // Look for a t("path.to.key") call under the cursor or selection start
+  const call = findTranslationCallAt(text, document.offsetAt(selection.start));
+  if (call && !call.dynamic && call.fullKey !== null) {
+    return call.fullKey;
   }
 
-  return translationKey;
-}
-
-/**
- * Find translation files in the workspace
- * @returns {Promise<Object>} Object with translations and file paths by language
- */
-async function findTranslationFiles() {
-  const workspaceFolders = vscode.workspace.workspaceFolders;
-  if (!workspaceFolders) {
-    throw new Error("No workspace folder open");
+  if (selection.isEmpty) {
+    return null;
   }
 
-  const workspaceRoot = workspaceFolders[0].uri.fsPath;
-
-  // Common paths for translation files
-  const possiblePaths = [
-    path.join(workspaceRoot, "messages", "en.json"),
-    path.join(workspaceRoot, "messages", "nl.json"),
-    path.join(workspaceRoot, "locales", "en.json"),
-    path.join(workspaceRoot, "locales", "nl.json"),
-    path.join(workspaceRoot, "public", "locales", "en", "common.json"),
-    path.join(workspaceRoot, "src", "messages", "en.json"),
-    path.join(workspaceRoot, "src", "messages", "nl.json"),
-    path.join(workspaceRoot, "src", "locales", "en.json"),
-    path.join(workspaceRoot, "src", "locales", "nl.json"),
-  ];
-
-  // Try to find translation files
-  const translations = {};
-  const translationFilePaths = {};
-  let translationFilesFound = false;
-
-  for (const filePath of possiblePaths) {
-    if (fs.existsSync(filePath)) {
-      translationFilesFound = true;
-      const lang = path.basename(filePath, ".json");
-      const content = await readFile(filePath, "utf8");
-      translations[lang] = JSON.parse(content);
-      translationFilePaths[lang] = filePath;
-    }
-  }
+  // Use selection
+  let translationKey = document.getText(selection).trim();
 
-  if (!translationFilesFound) {
-    // If standard locations don't work, try to find files using glob
-    const files = await vscode.workspace.findFiles(
-      "**/*.json",
-      "**/node_modules/**"
+  // If selection contains t("key"), extract just the key
+  const match = translationKey.match(/^([\w$.]+?)(?:\.\w+)?\(["'](.+)["']\)$/);
+  if (match) {
+    const namespace = getNamespaceAt(
+      text,
+      match[1],
+      document.offsetAt(selection.start)
     );
-
-    for (const file of files) {
-      try {
-        const content = await vscode.workspace.fs.readFile(file);
-        const jsonContent = Buffer.from(content).toString("utf8");
-        const json = JSON.parse(jsonContent);
-
-        // Heuristic to detect if this is a translation file
-        if (hasNestedStructure(json) && hasCommonTranslationKeys(json)) {
-          const fileName = path.basename(file.fsPath);
-          const lang = fileName.replace(".json", "");
-          translations[lang] = json;
-          translationFilePaths[lang] = file.fsPath;
-          translationFilesFound = true;
-        }
-      } catch (e) {
-        // Skip files that can't be parsed as JSON
-      }
-    }
+    translationKey = joinKey(namespace || "", match[2]);
   }
 
-  return { translations, translationFilePaths };
+  return translationKey || null;
 }
 
 /**
@@ -204,42 +101,357 @@ function setNestedProperty(obj, path, value) {
 }
 
 /**
- * Write content to a JSON file with formatting
+ * Delete a nested property from an object using dot notation.
+ * Parent objects that end up empty are removed as well.
+ * @param {Object} obj - The object to delete the property from
+ * @param {string} path - The property path in dot notation (e.g., "a.b.c")
+ * @returns {boolean} True if the property existed and was deleted
+ */
+function deleteNestedProperty(obj, path) {
+  const properties = path.split(".");
+  const parents = [obj];
+  let current = obj;
+
+  for (const prop of properties.slice(0, -1)) {
+    current = current[prop];
+    if (typeof current !== "object" || current === null) {
+      return false;
+    }
+    parents.push(current);
+  }
+
+  const lastProp = properties[properties.length - 1];
+  if (!Object.prototype.hasOwnProperty.call(current, lastProp)) {
+    return false;
+  }
+  delete current[lastProp];
+
+  // Remove parents that are now empty, innermost first
+  for (let i = parents.length - 1; i > 0; i--) {
+    if (Object.keys(parents[i]).length > 0) break;
+    delete parents[i - 1][properties[i - 1]];
+  }
+
+  return true;
+}
+
+/**
+ * Move a nested property to a new path using dot notation. A key renamed
+ * within the same parent object keeps its position.
+ * @param {Object} obj - The object to change
+ * @param {string} oldPath - The current property path (e.g., "a.b.c")
+ * @param {string} newPath - The new property path (e.g., "a.b.d")
+ * @returns {boolean} True if the property existed and was moved
+ */
+function renameNestedProperty(obj, oldPath, newPath) {
+  const value = getNestedProperty(obj, oldPath);
+  if (value === undefined) {
+    return false;
+  }
+
+  const oldProperties = oldPath.split(".");
+  const newProperties = newPath.split(".");
+  const parentPath = oldProperties.slice(0, -1).join(".");
+
+  if (parentPath === newProperties.slice(0, -1).join(".")) {
+    // Rebuild the parent so the renamed key stays in place
+    const parent = parentPath ? getNestedProperty(obj, parentPath) : obj;
+    const oldKey = oldProperties[oldProperties.length - 1];
+    const newKey = newProperties[newProperties.length - 1];
+    const entries = Object.entries(parent);
+
+    for (const [key] of entries) {
+      delete parent[key];
+    }
+    for (const [key, entryValue] of entries) {
+      parent[key === oldKey ? newKey : key] = entryValue;
+    }
+    return true;
+  }
+
+  deleteNestedProperty(obj, oldPath);
+  setNestedProperty(obj, newPath, value);
+  return true;
+}
+
+/**
+ * Get the format of a translation file, or fail for unsupported extensions
  * @param {string} filePath - Path to the file
- * @param {Object} content - The content to write
+ * @returns {Object} The format, see translationFormats
+ */
+function getFileFormat(filePath) {
+  const format = getTranslationFormat(filePath);
+  if (!format) {
+    throw new Error(`Unsupported translation file format: ${filePath}`);
+  }
+  return format;
+}
+
+/**
+ * Check whether the translations of a locale are split into a file per
+ * top-level namespace, e.g. messages/en/common.json and messages/en/dashboard.json
+ * @param {string} localePath - Path of the locale file or directory
+ * @returns {boolean} True if the path is a directory
+ */
+function isLocaleDirectory(localePath) {
+  try {
+    return fs.statSync(localePath).isDirectory();
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * List the files holding the translations of a locale
+ * @param {string} localePath - Path of the locale file or directory
+ * @returns {Promise<Array<{filePath: string, namespace: ?string}>>} The files,
+ *   with the namespace each file of a locale directory holds
+ */
+async function getLocaleFiles(localePath) {
+  if (!isLocaleDirectory(localePath)) {
+    return [{ filePath: localePath, namespace: null }];
+  }
+
+  const files = [];
+  for (const name of (await readdir(localePath)).sort()) {
+    const namespace = path.basename(name, path.extname(name));
+
+    // Of common.json and common.yaml only the first is used
+    if (
+      getTranslationFormat(name) &&
+      !files.some((file) => file.namespace === namespace)
+    ) {
+      files.push({ filePath: path.join(localePath, name), namespace });
+    }
+  }
+  return files;
+}
+
+/**
+ * Work out which files of a locale directory change when its translations are
+ * replaced. Namespaces without a file get one in the format of the others.
+ * @param {string} directory - Path of the locale directory
+ * @param {Array<{filePath: string, namespace: string}>} files - Its files, from
+ *   getLocaleFiles
+ * @param {Object} previous - The current translations of the locale
+ * @param {Object} content - The new translations
+ * @returns {{writes: Array<{filePath: string, content: Object}>, deletes: string[]}}
+ *   The namespace files to write and the ones of removed namespaces
  */
-async function writeToJsonFile(filePath, content) {
-  const jsonString = JSON.stringify(content, null, 2);
-  await writeFile(filePath, jsonString, "utf8");
+function getNamespaceFileChanges(directory, files, previous, content) {
+  for (const [namespace, value] of Object.entries(content)) {
+    if (typeof value !== "object" || value === null || Array.isArray(value)) {
+      throw new Error(
+        `"${namespace}" needs a namespace, as ${directory} has a file per namespace`
+      );
+    }
+    if (!NAMESPACE_FILE_PATTERN.test(namespace)) {
+      throw new Error(`"${namespace}" can't be used as a file name`);
+    }
+  }
+
+  const extension =
+    files.length > 0 ? path.extname(files[0].filePath) : ".json";
+  const writes = [];
+
+  for (const [namespace, value] of Object.entries(content)) {
+    if (JSON.stringify(previous[namespace]) === JSON.stringify(value)) continue;
+
+    const file = files.find((item) => item.namespace === namespace);
+    writes.push({
+      filePath: file
+        ? file.filePath
+        : path.join(directory, namespace + extension),
+      content: value,
+    });
+  }
+
+  const deletes = files
+    .filter((file) => !(file.namespace in content))
+    .map((file) => file.filePath);
+
+  return { writes, deletes };
 }
 
 /**
- * Check if an object has a nested structure (likely a translation file)
- * @param {Object} obj - The object to check
- * @returns {boolean} True if the object has a nested structure
+ * Read the text of a translation file, including unsaved changes when it's
+ * open in an editor
+ * @param {string} filePath - Path to the file
+ * @returns {Promise<string>} The text
  */
-function hasNestedStructure(obj) {
-  return Object.values(obj).some(
-    (value) => typeof value === "object" && value !== null
+async function readTranslationText(filePath) {
+  const resolved = path.resolve(filePath);
+  const document = vscode.workspace.textDocuments.find(
+    (item) => item.uri.scheme === "file" && item.uri.fsPath === resolved
   );
+
+  return document ? document.getText() : readFile(filePath, "utf8");
+}
+
+/**
+ * Read the translations of a JSON, JSON5, YAML or message module file, or of
+ * a locale directory with a file per namespace
+ * @param {string} filePath - Path to the file or directory
+ * @returns {Promise<Object>} The nested translations
+ */
+async function readTranslationFile(filePath) {
+  if (isLocaleDirectory(filePath)) {
+    const content = {};
+    for (const file of await getLocaleFiles(filePath)) {
+      content[file.namespace] = await readTranslationFile(file.filePath);
+    }
+    return content;
+  }
+
+  return getFileFormat(filePath).parse(await readTranslationText(filePath));
+}
+
+/**
+ * Get the options for writing translation files from the settings
+ * @returns {{sortKeys: boolean}} The write options, see registerTranslationFormat
+ */
+function getWriteOptions() {
+  return {
+    sortKeys: vscode.workspace
+      .getConfiguration("nextIntlHelper")
+      .get("sortKeysOnInsert", false),
+  };
+}
+
+/**
+ * Get the part of a text that changed, so it can be replaced with one edit
+ * @param {string} oldText - The current text
+ * @param {string} newText - The new text
+ * @returns {{start: number, end: number, text: string}|null} The offsets of
+ *   the changed part of the current text and its replacement, or null
+ */
+function getTextChange(oldText, newText) {
+  if (oldText === newText) {
+    return null;
+  }
+
+  let start = 0;
+  const maxLength = Math.min(oldText.length, newText.length);
+  while (start < maxLength && oldText[start] === newText[start]) start++;
+
+  let suffix = 0;
+  while (
+    suffix < maxLength - start &&
+    oldText[oldText.length - 1 - suffix] ===
+      newText[newText.length - 1 - suffix]
+  ) {
+    suffix++;
+  }
+
+  // Don't split a \r\n line break
+  if (start > 0 && oldText[start - 1] === "\r") start--;
+  if (suffix > 0 && oldText[oldText.length - suffix] === "\n") suffix--;
+
+  return {
+    start,
+    end: oldText.length - suffix,
+    text: newText.substring(start, newText.length - suffix),
+  };
+}
+
+/**
+ * Add the edits that write translations to a file in its own format to a
+ * workspace edit, as minimal edits to its text that keep its formatting.
+ * Locale directories only have the files of changed namespaces written.
+ * @param {vscode.WorkspaceEdit} edit - The edit to add to
+ * @param {string} filePath - Path to the file or directory
+ * @param {Object} content - The content to write
+ * @returns {Promise<vscode.Uri[]>} The files to save after applying the edit:
+ *   new files and files without unsaved changes
+ */
+async function addTranslationFileEdits(edit, filePath, content) {
+  let writes = [{ filePath, content }];
+  let deletes = [];
+
+  if (isLocaleDirectory(filePath)) {
+    ({ writes, deletes } = getNamespaceFileChanges(
+      filePath,
+      await getLocaleFiles(filePath),
+      await readTranslationFile(filePath),
+      content
+    ));
+  }
+
+  const options = getWriteOptions();
+  const urisToSave = [];
+
+  for (const write of writes) {
+    const format = getFileFormat(write.filePath);
+    const uri = vscode.Uri.file(write.filePath);
+
+    if (!fs.existsSync(write.filePath)) {
+      edit.createFile(uri, { ignoreIfExists: true });
+      edit.insert(
+        uri,
+        new vscode.Position(0, 0),
+        format.serialize(write.content, null, options)
+      );
+      urisToSave.push(uri);
+      continue;
+    }
+
+    const document = await vscode.workspace.openTextDocument(uri);
+    const text = document.getText();
+    const change = getTextChange(
+      text,
+      format.serialize(write.content, text, options)
+    );
+    if (!change) continue;
+
+    edit.replace(
+      uri,
+      new vscode.Range(
+        document.positionAt(change.start),
+        document.positionAt(change.end)
+      ),
+      change.text
+    );
+    if (!document.isDirty) {
+      urisToSave.push(uri);
+    }
+  }
+
+  for (const deletedPath of deletes) {
+    edit.deleteFile(vscode.Uri.file(deletedPath));
+  }
+
+  return urisToSave;
 }
 
 /**
- * Check if an object has common translation keys
- * @param {Object} obj - The object to check
- * @returns {boolean} True if the object has common translation keys
+ * Save files after an edit was applied
+ * @param {vscode.Uri[]} uris - The files, see addTranslationFileEdits
  */
-function hasCommonTranslationKeys(obj) {
-  const commonKeys = [
-    "common",
-    "general",
-    "buttons",
-    "forms",
-    "navigation",
-    "errors",
-    "timeEntry",
-  ];
-  return Object.keys(obj).some((key) => commonKeys.includes(key));
+async function saveFiles(uris) {
+  for (const uri of uris) {
+    const document = await vscode.workspace.openTextDocument(uri);
+    await document.save();
+  }
+}
+
+/**
+ * Write translations to a file in its own format as minimal edits to its
+ * text, keeping its formatting. The edits go through the editor, so they can
+ * be undone and apply to unsaved changes, which are left unsaved; files
+ * without unsaved changes are saved. Locale directories only have the files
+ * of changed namespaces written.
+ * @param {string} filePath - Path to the file or directory
+ * @param {Object} content - The content to write
+ */
+async function writeTranslationFile(filePath, content) {
+  const edit = new vscode.WorkspaceEdit();
+  const urisToSave = await addTranslationFileEdits(edit, filePath, content);
+
+  if (!(await vscode.workspace.applyEdit(edit))) {
+    throw new Error(`Failed to update ${path.basename(filePath)}`);
+  }
+
+  await saveFiles(urisToSave);
 }
 
 /**
@@ -264,13 +476,38 @@ function flattenKeys(obj, prefix = "") {
   return result;
 }
 
+/**
+ * Get the reference language used for completions, previews and lookups
+ * @param {Object} translations - Translations by language
+ * @param {string|null} [defaultLocale] - The defaultLocale from the next-intl routing
+ * @returns {string|undefined} The reference language
+ */
+function getReferenceLanguage(translations, defaultLocale = null) {
+  const languages = Object.keys(translations);
+
+  if (defaultLocale && languages.includes(defaultLocale)) {
+    return defaultLocale;
+  }
+
+  return languages.includes("en") ? "en" : languages[0];
+}
+
 module.exports = {
   findTranslationKey,
-  findTranslationFiles,
   getNestedProperty,
   setNestedProperty,
-  writeToJsonFile,
-  hasNestedStructure,
-  hasCommonTranslationKeys,
+  deleteNestedProperty,
+  renameNestedProperty,
+  isLocaleDirectory,
+  getLocaleFiles,
+  getNamespaceFileChanges,
+  readTranslationText,
+  readTranslationFile,
+  getWriteOptions,
+  addTranslationFileEdits,
+  getTextChange,
+  saveFiles,
+  writeTranslationFile,
   flattenKeys,
+  getReferenceLanguage,
 };
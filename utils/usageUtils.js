@@ -0,0 +1,188 @@
+// utils/usageUtils.js - Utilities for finding where translation keys are used in the workspace
+const vscode = require("vscode");
+const fs = require("fs");
+const util = require("util");
+const {
+  findTranslationCalls,
+  findTranslatorBindings,
+  joinKey,
+} = require("./callUtils");
+
+const readFile = util.promisify(fs.readFile);
+
+/**
+ * Source files that can contain translation calls
+ */
+const SOURCE_FILES_GLOB = "**/*.{js,jsx,ts,tsx,mjs,cjs,mts,cts}";
+
+/**
+ * Folders that never contain the project's own source
+ */
+const EXCLUDED_FILES_GLOB =
+  "**/{node_modules,.next,dist,build,out,coverage}/**";
+
+/**
+ * Scan every source file in the workspace for translation calls.
+ * Open documents are read from the editor so unsaved changes are included.
+ * @param {vscode.CancellationToken} [token] - Token to stop the scan
+ * @returns {Promise<Array>} Files with their URI, text, translation calls and
+ *   the translation functions created with useTranslations/getTranslations
+ */
+async function scanWorkspaceUsages(token) {
+  const files = await vscode.workspace.findFiles(
+    SOURCE_FILES_GLOB,
+    EXCLUDED_FILES_GLOB
+  );
+  const openDocuments = new Map(
+    vscode.workspace.textDocuments.map((document) => [
+      document.uri.toString(),
+      document,
+    ])
+  );
+  const usages = [];
+
+  for (const uri of files) {
+    if (token && token.isCancellationRequested) {
+      break;
+    }
+
+    try {
+      const openDocument = openDocuments.get(uri.toString());
+      const text = openDocument
+        ? openDocument.getText()
+        : await readFile(uri.fsPath, "utf8");
+
+      // Cheap check before running the full scan
+      if (!/useTranslations|getTranslations|\(\s*["'`]/.test(text)) {
+        continue;
+      }
+
+      const calls = findTranslationCalls(text);
+      const bindings = findTranslatorBindings(text);
+      if (calls.length > 0 || bindings.length > 0) {
+        usages.push({ uri, text, calls, bindings });
+      }
+    } catch (error) {
+      console.error(`Error scanning ${uri.fsPath}:`, error);
+    }
+  }
+
+  return usages;
+}
+
+/**
+ * Get the range between two offsets of a scanned file
+ * @param {Object} usage - A file returned by scanWorkspaceUsages
+ * @param {number} start - Start offset
+ * @param {number} end - End offset
+ * @returns {vscode.Range} The range
+ */
+function getUsageRange(usage, start, end) {
+  if (!usage.lineStarts) {
+    usage.lineStarts = [0];
+    for (let i = 0; i < usage.text.length; i++) {
+      if (usage.text[i] === "\n") {
+        usage.lineStarts.push(i + 1);
+      }
+    }
+  }
+
+  const toPosition = (offset) => {
+    let low = 0;
+    let high = usage.lineStarts.length - 1;
+    while (low < high) {
+      const middle = Math.ceil((low + high) / 2);
+      if (usage.lineStarts[middle] <= offset) {
+        low = middle;
+      } else {
+        high = middle - 1;
+      }
+    }
+    return new vscode.Position(low, offset - usage.lineStarts[low]);
+  };
+
+  return new vscode.Range(toPosition(start), toPosition(end));
+}
+
+/**
+ * Collect the keys and key prefixes used by translation calls
+ * @param {Array} usages - Result of scanWorkspaceUsages
+ * @returns {{usedKeys: Set<string>, usedPrefixes: Set<string>,
+ *   usedRelativeKeys: Set<string>}} Exact keys, prefixes of dynamic keys like
+ *   t(`status.${status}`), and keys of calls whose namespace is only known at
+ *   runtime, which can be below any namespace
+ */
+function collectUsedKeys(usages) {
+  const usedKeys = new Set();
+  const usedPrefixes = new Set();
+  const usedRelativeKeys = new Set();
+
+  for (const { calls } of usages) {
+    for (const call of calls) {
+      if (call.namespace === null) {
+        // With useTranslations(namespace) the key could be in any namespace,
+        // and a dynamic key in it could be any key
+        const lastDot = call.quote ? call.staticPrefix.lastIndexOf(".") : -1;
+        if (!call.dynamic) {
+          usedRelativeKeys.add(call.key);
+        } else if (lastDot > 0) {
+          usedRelativeKeys.add(call.staticPrefix.substring(0, lastDot));
+        } else {
+          usedPrefixes.add("");
+        }
+      } else if (!call.dynamic) {
+        usedKeys.add(call.fullKey);
+      } else {
+        // Template literals and t(key) could use any key starting with the
+        // static part, which for t(key) is the whole namespace
+        usedPrefixes.add(joinKey(call.namespace, call.staticPrefix));
+      }
+    }
+  }
+
+  return { usedKeys, usedPrefixes, usedRelativeKeys };
+}
+
+/**
+ * Check whether a key is used, directly or through its parent or a dynamic prefix
+ * @param {string} key - The full translation key
+ * @param {Object} used - Result of collectUsedKeys
+ * @returns {boolean} True if the key is used
+ */
+function isKeyUsed(key, { usedKeys, usedPrefixes, usedRelativeKeys }) {
+  if (usedKeys.has(key)) {
+    return true;
+  }
+
+  // t.raw("parent") or t("parent") on an object uses all of its children
+  const segments = key.split(".");
+  for (let i = 1; i < segments.length; i++) {
+    if (usedKeys.has(segments.slice(0, i).join("."))) {
+      return true;
+    }
+  }
+
+  for (const prefix of usedPrefixes) {
+    if (key.startsWith(prefix)) {
+      return true;
+    }
+  }
+
+  // A call under an unknown namespace uses the key, or its parent, below any
+  // namespace
+  const path = `.${key}.`;
+  for (const relativeKey of usedRelativeKeys) {
+    if (path.includes(`.${relativeKey}.`)) {
+      return true;
+    }
+  }
+
+  return false;
+}
+
+module.exports = {
+  scanWorkspaceUsages,
+  getUsageRange,
+  collectUsedKeys,
+  isKeyUsed,
+};
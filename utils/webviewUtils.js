@@ -0,0 +1,84 @@
+// utils/webviewUtils.js - Helpers for building the HTML of the extension's webviews
+
+/**
+ * Escape text for use in HTML content and attribute values
+ * @param {*} value - The value to escape
+ * @returns {string} The escaped text
+ */
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+}
+
+/**
+ * Create a random nonce to allow the webview's own scripts
+ * @returns {string} The nonce
+ */
+function getNonce() {
+  const characters =
+    "ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789";
+  let nonce = "";
+  for (let i = 0; i < 32; i++) {
+    nonce += characters.charAt(Math.floor(Math.random() * characters.length));
+  }
+  return nonce;
+}
+
+/**
+ * Wrap the body of a webview in a page that only runs scripts with the nonce
+ * @param {vscode.Webview} webview - The webview the page is for
+ * @param {string} title - The page title
+ * @param {string} body - The HTML of the page body
+ * @param {Object} options - Page options
+ * @param {string} options.nonce - Nonce of the allowed scripts
+ * @param {string} [options.style] - CSS for the page
+ * @param {string} [options.script] - Script to run in the page
+ * @param {vscode.Uri} [options.scriptUri] - Script file to load after the
+ *   inline script, from the webview's local resource roots
+ * @returns {string} The complete HTML document
+ */
+function renderWebviewPage(
+  webview,
+  title,
+  body,
+  { nonce, style = "", script = "", scriptUri = null }
+) {
+  const csp = `default-src 'none'; style-src ${webview.cspSource} 'unsafe-inline'; script-src 'nonce-${nonce}';`;
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8">
+  <meta http-equiv="Content-Security-Policy" content="${csp}">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <title>${escapeHtml(title)}</title>
+  <style>
+    body { font-family: var(--vscode-font-family); color: var(--vscode-foreground); }
+    table { border-collapse: collapse; width: 100%; margin-bottom: 1em; }
+    th, td { text-align: left; padding: 4px 8px; border-bottom: 1px solid var(--vscode-panel-border); }
+    button { color: var(--vscode-button-foreground); background: var(--vscode-button-background); border: none; padding: 4px 10px; cursor: pointer; }
+    button:hover { background: var(--vscode-button-hoverBackground); }
+    a { color: var(--vscode-textLink-foreground); cursor: pointer; }
+    ${style}
+  </style>
+</head>
+<body>
+${body}
+<script nonce="${nonce}">
+  const vscode = acquireVsCodeApi();
+  ${script}
+</script>
+${scriptUri ? `<script nonce="${nonce}" src="${scriptUri}"></script>` : ""}
+</body>
+</html>`;
+}
+
+module.exports = {
+  escapeHtml,
+  getNonce,
+  renderWebviewPage,
+};
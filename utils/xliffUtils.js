@@ -0,0 +1,353 @@
+// utils/xliffUtils.js - Utilities for writing and reading XLIFF 2.0 files
+const { DOMParser } = require("@xmldom/xmldom");
+const { TYPE } = require("@formatjs/icu-messageformat-parser");
+const {
+  parseMessage,
+  addMissingPluralCategories,
+  escapeMessageText,
+} = require("./icuUtils");
+
+const XLIFF_NAMESPACE = "urn:oasis:names:tc:xliff:document:2.0";
+
+/**
+ * The start of a plural argument, up to its first option
+ */
+const PLURAL_PATTERN = /^\s*[^\s,]+\s*,\s*(?:plural|selectordinal)\s*,/;
+
+/**
+ * Escape text for use in XML content and attribute values
+ * @param {string} value - The text to escape
+ * @returns {string} The escaped text
+ */
+function escapeXml(value) {
+  return value
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+/**
+ * Split a message into translatable text and ICU syntax that must be kept as is,
+ * like `{name}`, `#`, `<b>` or the `{count, plural, one {` around plural options
+ * @param {string} message - The message
+ * @returns {Array<{text: string}|{code: string}>} The parts, which join back
+ *   into the message with joinParts. The text is unescaped, e.g. "It's" for
+ *   "It''s". Invalid messages are returned as a single text part.
+ */
+function splitMessage(message) {
+  const { ast } = parseMessage(message);
+  if (!ast) {
+    return [{ text: message }];
+  }
+
+  const parts = [];
+  const add = (type, value) => {
+    if (!value) return;
+
+    const last = parts[parts.length - 1];
+    if (last && type in last) {
+      last[type] += value;
+    } else {
+      parts.push({ [type]: value });
+    }
+  };
+  const push = (type, start, end) => {
+    if (start < end) add(type, message.substring(start, end));
+  };
+
+  const splitElements = (elements) => {
+    for (const element of elements) {
+      const { start, end } = element.location;
+
+      if (element.options) {
+        // Keep the option contents translatable, protect everything around them
+        let cursor = start.offset;
+        for (const option of Object.values(element.options)) {
+          push("code", cursor, option.location.start.offset + 1);
+          splitElements(option.value);
+          cursor = option.location.end.offset - 1;
+        }
+        push("code", cursor, end.offset);
+      } else if (element.children) {
+        const openingEnd = start.offset + `<${element.value}>`.length;
+        const closingStart = end.offset - `</${element.value}>`.length;
+        push("code", start.offset, openingEnd);
+        splitElements(element.children);
+        push("code", closingStart, end.offset);
+      } else if (element.type === TYPE.literal) {
+        add("text", element.value);
+      } else {
+        push("code", start.offset, end.offset);
+      }
+    }
+  };
+
+  splitElements(ast);
+  return parts;
+}
+
+/**
+ * Join message parts into a message, escaping the text. Whether text is in a
+ * plural option, where `#` needs escaping, follows from the braces of the
+ * protected parts.
+ * @param {Array<{text: string}|{code: string}>} parts - The parts, see
+ *   splitMessage
+ * @returns {string} The message
+ */
+function joinParts(parts) {
+  // The open braces: arguments with their text so far, and their options
+  const scopes = [];
+  let message = "";
+
+  for (const part of parts) {
+    if ("text" in part) {
+      const scope = scopes[scopes.length - 1];
+      message += escapeMessageText(part.text, !!scope && scope.plural === true);
+      continue;
+    }
+
+    for (const char of part.code) {
+      const scope = scopes[scopes.length - 1];
+      const inArgument = !!scope && "argument" in scope;
+
+      if (char === "{") {
+        scopes.push(
+          inArgument
+            ? { plural: PLURAL_PATTERN.test(scope.argument) }
+            : { argument: "" }
+        );
+      } else if (char === "}") {
+        scopes.pop();
+      } else if (inArgument) {
+        scope.argument += char;
+      }
+    }
+    message += part.code;
+  }
+
+  return message;
+}
+
+/**
+ * Get a reference message as it reads back from an XLIFF file exported for a
+ * locale, with the plural categories of the locale added
+ * @param {string} message - The reference message
+ * @param {string} locale - The target locale
+ * @returns {string} The message
+ */
+function getExportedSource(message, locale) {
+  return joinParts(splitMessage(addMissingPluralCategories(message, locale)));
+}
+
+/**
+ * Write message parts as XLIFF inline content, with the protected parts as
+ * `<ph>` elements that refer to the unit's original data
+ * @param {Array} parts - Parts from splitMessage
+ * @param {Map<string, string>} codes - Ids of the unit's protected parts by
+ *   their text, extended with new parts
+ * @returns {string} The XML content
+ */
+function renderParts(parts, codes) {
+  return parts
+    .map((part) => {
+      if ("text" in part) {
+        return escapeXml(part.text);
+      }
+
+      if (!codes.has(part.code)) {
+        codes.set(part.code, String(codes.size + 1));
+      }
+      const id = codes.get(part.code);
+      return `<ph id="${id}" dataRef="d${id}" disp="${escapeXml(part.code)}"/>`;
+    })
+    .join("");
+}
+
+/**
+ * Create an XLIFF 2.0 document. Plurals in the source get the categories the
+ * target language needs, so translators have placeholders for all of them.
+ * @param {Object} document - The document
+ * @param {string} document.srcLang - The source (reference) language
+ * @param {string} document.trgLang - The target language
+ * @param {Array<{key: string, source: string, target: ?string}>} document.units -
+ *   The messages, with the existing translation if there is one
+ * @returns {string} The XLIFF file content
+ */
+function serializeXliff({ srcLang, trgLang, units }) {
+  const lines = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<xliff xmlns="${XLIFF_NAMESPACE}" version="2.0" srcLang="${escapeXml(
+      srcLang
+    )}" trgLang="${escapeXml(trgLang)}">`,
+    '  <file id="f1">',
+  ];
+
+  units.forEach(({ key, source, target }, index) => {
+    const codes = new Map();
+    const sourceXml = renderParts(
+      splitMessage(addMissingPluralCategories(source, trgLang)),
+      codes
+    );
+    const targetXml =
+      typeof target === "string"
+        ? renderParts(splitMessage(target), codes)
+        : null;
+
+    lines.push(`    <unit id="u${index + 1}" name="${escapeXml(key)}">`);
+
+    if (codes.size > 0) {
+      lines.push("      <originalData>");
+      for (const [code, id] of codes) {
+        lines.push(`        <data id="d${id}">${escapeXml(code)}</data>`);
+      }
+      lines.push("      </originalData>");
+    }
+
+    const state = targetXml === null ? "initial" : "translated";
+    lines.push(
+      `      <segment state="${state}">`,
+      `        <source>${sourceXml}</source>`
+    );
+    if (targetXml !== null) {
+      lines.push(`        <target>${targetXml}</target>`);
+    }
+    lines.push("      </segment>", "    </unit>");
+  });
+
+  lines.push("  </file>", "</xliff>", "");
+  return lines.join("\n");
+}
+
+/**
+ * Get the child elements of an XLIFF element with a given name
+ * @param {Element} element - The parent element
+ * @param {string} name - The local name of the children
+ * @returns {Element[]} The matching children
+ */
+function getChildElements(element, name) {
+  return Array.from(element.childNodes).filter(
+    (node) => node.nodeType === node.ELEMENT_NODE && node.localName === name
+  );
+}
+
+/**
+ * Turn XLIFF inline content back into message parts
+ * @param {Element} element - A `<source>` or `<target>` element
+ * @param {Map<string, string>} data - The unit's original data by id
+ * @param {string} key - The key of the unit, for error messages
+ * @returns {Array<{text: string}|{code: string}>} The parts, see splitMessage
+ */
+function readInlineContent(element, data, key) {
+  const parts = [];
+
+  for (const node of Array.from(element.childNodes)) {
+    if (node.nodeType === node.TEXT_NODE) {
+      parts.push({ text: node.nodeValue });
+    } else if (node.nodeType === node.CDATA_SECTION_NODE) {
+      parts.push({ text: node.nodeValue });
+    } else if (node.nodeType === node.ELEMENT_NODE) {
+      if (node.localName === "ph") {
+        const code = data.get(node.getAttribute("dataRef"));
+        if (code === undefined) {
+          throw new Error(
+            `Unknown placeholder "${node.getAttribute("id")}" in "${key}"`
+          );
+        }
+        parts.push({ code });
+      } else {
+        // Annotations like <mrk> and paired codes wrap translatable text
+        parts.push(...readInlineContent(node, data, key));
+      }
+    }
+  }
+
+  return parts;
+}
+
+/**
+ * Read an XLIFF 2.0 document
+ * @param {string} text - The XLIFF file content
+ * @returns {{srcLang: string, trgLang: string, units: Array}} The languages and
+ *   the units with their key, source message and target message (null if the
+ *   unit isn't translated)
+ * @throws {Error} If the file isn't valid XLIFF 2.0
+ */
+function parseXliff(text) {
+  if (!text.trim()) {
+    throw new Error("The file is empty");
+  }
+
+  const errors = [];
+  // Keep the description, without the "[xmldom error]" prefix and position
+  const addError = (message) =>
+    errors.push(message.split("\n")[0].split("\t").pop());
+
+  const document = new DOMParser({
+    errorHandler: { warning: () => {}, error: addError, fatalError: addError },
+  }).parseFromString(text, "text/xml");
+
+  const root = document && document.documentElement;
+  if (errors.length > 0 || !root) {
+    throw new Error(errors[0] || "The file isn't valid XML");
+  }
+  if (root.localName !== "xliff" || root.getAttribute("version") !== "2.0") {
+    throw new Error("Not an XLIFF 2.0 file");
+  }
+
+  const units = [];
+  for (const unit of Array.from(root.getElementsByTagNameNS("*", "unit"))) {
+    const key = unit.getAttribute("name") || unit.getAttribute("id");
+
+    const data = new Map();
+    for (const originalData of getChildElements(unit, "originalData")) {
+      for (const item of getChildElements(originalData, "data")) {
+        data.set(item.getAttribute("id"), item.textContent);
+      }
+    }
+
+    // Translation tools may split a unit into several segments
+    const source = [];
+    const target = [];
+    let translated = false;
+    for (const node of Array.from(unit.childNodes)) {
+      if (node.localName !== "segment" && node.localName !== "ignorable") {
+        continue;
+      }
+
+      const [sourceElement] = getChildElements(node, "source");
+      const [targetElement] = getChildElements(node, "target");
+      const sourceParts = sourceElement
+        ? readInlineContent(sourceElement, data, key)
+        : [];
+
+      source.push(...sourceParts);
+      if (targetElement) {
+        target.push(...readInlineContent(targetElement, data, key));
+        translated = translated || node.localName === "segment";
+      } else if (node.localName === "ignorable") {
+        // Untranslated whitespace between segments stays as in the source
+        target.push(...sourceParts);
+      }
+    }
+
+    units.push({
+      key,
+      source: joinParts(source),
+      target: translated ? joinParts(target) : null,
+    });
+  }
+
+  return {
+    srcLang: root.getAttribute("srcLang"),
+    trgLang: root.getAttribute("trgLang"),
+    units,
+  };
+}
+
+module.exports = {
+  splitMessage,
+  getExportedSource,
+  serializeXliff,
+  parseXliff,
+};
@@ -0,0 +1,429 @@
+// xliffExchange.js - Export and import translations as XLIFF 2.0 files for translators
+const vscode = require("vscode");
+const fs = require("fs");
+const path = require("path");
+const util = require("util");
+const {
+  flattenKeys,
+  getNestedProperty,
+  setNestedProperty,
+  isLocaleDirectory,
+  readTranslationText,
+  readTranslationFile,
+  getWriteOptions,
+} = require("./utils/translationUtils");
+const {
+  findTranslationFiles,
+  updateTranslationFile,
+} = require("./utils/translationIndex");
+const { isKeyOrChild } = require("./utils/callUtils");
+const { getContext } = require("./utils/fileUtils");
+const { parseMessage } = require("./utils/icuUtils");
+const {
+  serializeXliff,
+  parseXliff,
+  getExportedSource,
+} = require("./utils/xliffUtils");
+const { getTranslationFormat } = require("./utils/translationFormats");
+
+const readFile = util.promisify(fs.readFile);
+const writeFile = util.promisify(fs.writeFile);
+
+/**
+ * Workspace state key of the reference messages last sent to or received from
+ * the translators, by locale and key. Used to find keys that changed since.
+ */
+const SOURCES_STATE_KEY = "nextIntlHelper.xliffSources";
+
+/**
+ * URI scheme of the import previews shown in the diff editor
+ */
+const PREVIEW_SCHEME = "next-intl-xliff";
+
+// Content of the open import previews by URI
+const previewContents = new Map();
+
+/**
+ * Provides the content of the import previews
+ */
+const previewProvider = {
+  provideTextDocumentContent(uri) {
+    return previewContents.get(uri.toString()) || "";
+  },
+};
+
+/**
+ * Get the reference messages last exchanged with the translators of a locale
+ * @param {string} lang - The target locale
+ * @returns {Object} Messages by key
+ */
+function getExchangedSources(lang) {
+  const sources = getContext().workspaceState.get(SOURCES_STATE_KEY, {});
+  return sources[lang] || {};
+}
+
+/**
+ * Remember the reference messages exchanged with the translators of a locale
+ * @param {string} lang - The target locale
+ * @param {Object} messages - Messages by key
+ */
+async function recordExchangedSources(lang, messages) {
+  const state = getContext().workspaceState;
+  const sources = state.get(SOURCES_STATE_KEY, {});
+
+  await state.update(SOURCES_STATE_KEY, {
+    ...sources,
+    [lang]: { ...sources[lang], ...messages },
+  });
+}
+
+/**
+ * Ask which keys of the reference locale to export
+ * @param {Object} reference - The reference translations
+ * @param {Object} target - The translations of the target locale
+ * @param {string} lang - The target locale
+ * @returns {Promise<Array|undefined>} The flattened entries to export, or
+ *   undefined if the user cancelled
+ */
+async function pickExportEntries(reference, target, lang) {
+  const entries = flattenKeys(reference).filter(
+    ({ value }) => typeof value === "string"
+  );
+
+  const namespaces = await vscode.window.showQuickPick(
+    Object.keys(reference).map((namespace) => {
+      const count = entries.filter(({ key }) =>
+        isKeyOrChild(key, namespace)
+      ).length;
+      return { label: namespace, description: `${count} keys`, picked: true };
+    }),
+    {
+      placeHolder: "Select the namespaces to export",
+      canPickMany: true,
+    }
+  );
+
+  if (!namespaces || namespaces.length === 0) {
+    return undefined;
+  }
+
+  const scope = await vscode.window.showQuickPick(
+    [
+      { label: "All keys", scope: "all" },
+      {
+        label: "Missing keys",
+        description: `Keys without a translation in ${lang}`,
+        scope: "missing",
+      },
+      {
+        label: "Changed keys",
+        description: `Keys added or edited since the last XLIFF exchange for ${lang}`,
+        scope: "changed",
+      },
+    ],
+    { placeHolder: "Select the keys to export" }
+  );
+
+  if (!scope) {
+    return undefined;
+  }
+
+  const sources = getExchangedSources(lang);
+
+  return entries.filter(({ key, value }) => {
+    if (!namespaces.some(({ label }) => isKeyOrChild(key, label))) {
+      return false;
+    }
+
+    if (scope.scope === "missing") {
+      const translation = getNestedProperty(target, key);
+      return (
+        translation === undefined || translation === null || translation === ""
+      );
+    }
+    if (scope.scope === "changed") {
+      return sources[key] !== value;
+    }
+    return true;
+  });
+}
+
+/**
+ * Command handler to export translations to an XLIFF file
+ */
+async function exportXliff() {
+  try {
+    const { translations, referenceLanguage } = await findTranslationFiles();
+    const targetLanguages = Object.keys(translations).filter(
+      (lang) => lang !== referenceLanguage
+    );
+
+    if (targetLanguages.length === 0) {
+      vscode.window.showErrorMessage(
+        "Add a translation file for another locale to export to XLIFF"
+      );
+      return;
+    }
+
+    const lang = await vscode.window.showQuickPick(targetLanguages, {
+      placeHolder: `Select the locale to translate ${referenceLanguage} into`,
+    });
+
+    if (!lang) {
+      return; // User cancelled
+    }
+
+    const entries = await pickExportEntries(
+      translations[referenceLanguage],
+      translations[lang],
+      lang
+    );
+
+    if (!entries) {
+      return; // User cancelled
+    }
+
+    if (entries.length === 0) {
+      vscode.window.showInformationMessage("No keys to export");
+      return;
+    }
+
+    const fileName = `${referenceLanguage}-${lang}.xlf`;
+    const workspaceFolder = vscode.workspace.workspaceFolders?.[0];
+
+    const uri = await vscode.window.showSaveDialog({
+      defaultUri: workspaceFolder
+        ? vscode.Uri.file(path.join(workspaceFolder.uri.fsPath, fileName))
+        : undefined,
+      filters: { XLIFF: ["xlf", "xliff"] },
+    });
+
+    if (!uri) {
+      return; // User cancelled
+    }
+
+    const units = entries.map(({ key, value }) => {
+      const target = getNestedProperty(translations[lang], key);
+      return {
+        key,
+        source: value,
+        target: typeof target === "string" && target !== "" ? target : null,
+      };
+    });
+
+    await writeFile(
+      uri.fsPath,
+      serializeXliff({ srcLang: referenceLanguage, trgLang: lang, units }),
+      "utf8"
+    );
+    await recordExchangedSources(
+      lang,
+      Object.fromEntries(entries.map(({ key, value }) => [key, value]))
+    );
+
+    vscode.window.showInformationMessage(
+      `Exported ${entries.length} keys to ${path.basename(uri.fsPath)}`
+    );
+  } catch (error) {
+    vscode.window.showErrorMessage(`Error: ${error.message}`);
+  }
+}
+
+/**
+ * Show the changes an import makes to a locale file in the diff editor.
+ * Locale directories are compared as a single JSON document of all their
+ * namespaces.
+ * @param {string} filePath - Path of the locale file or directory
+ * @param {Object} content - The content of the file after the import
+ * @returns {Promise<vscode.Uri[]>} The URIs of the previews
+ */
+async function showImportPreview(filePath, content) {
+  const fileName = path.basename(filePath);
+  // A new URI for every import, so the diff editor doesn't show an older preview
+  const createPreview = (name, text) => {
+    const uri = vscode.Uri.parse(`${PREVIEW_SCHEME}:/${name}?${Date.now()}`);
+    previewContents.set(uri.toString(), text);
+    return uri;
+  };
+
+  let originalUri = vscode.Uri.file(filePath);
+  let previewUri;
+
+  if (isLocaleDirectory(filePath)) {
+    const current = await readTranslationFile(filePath);
+    originalUri = createPreview(
+      `${fileName}.json`,
+      JSON.stringify(current, null, 2)
+    );
+    previewUri = createPreview(
+      `${fileName} (import).json`,
+      JSON.stringify(content, null, 2)
+    );
+  } else {
+    const previousText = await readTranslationText(filePath);
+    previewUri = createPreview(
+      fileName,
+      getTranslationFormat(filePath).serialize(
+        content,
+        previousText,
+        getWriteOptions()
+      )
+    );
+  }
+
+  await vscode.commands.executeCommand(
+    "vscode.diff",
+    originalUri,
+    previewUri,
+    `${fileName} ↔ XLIFF import`
+  );
+
+  return [originalUri, previewUri];
+}
+
+/**
+ * Command handler to merge the translations of an XLIFF file into the
+ * locale file of its target language
+ */
+async function importXliff() {
+  try {
+    const [uri] =
+      (await vscode.window.showOpenDialog({
+        canSelectMany: false,
+        filters: { XLIFF: ["xlf", "xliff"] },
+        openLabel: "Import",
+      })) || [];
+
+    if (!uri) {
+      return; // User cancelled
+    }
+
+    let xliff;
+    try {
+      xliff = parseXliff(await readFile(uri.fsPath, "utf8"));
+    } catch (error) {
+      vscode.window.showErrorMessage(`Invalid XLIFF file: ${error.message}`);
+      return;
+    }
+
+    const { translations, translationFilePaths, referenceLanguage } =
+      await findTranslationFiles();
+    const { srcLang, trgLang } = xliff;
+
+    if (srcLang !== referenceLanguage) {
+      vscode.window.showErrorMessage(
+        `The XLIFF file translates from ${srcLang}, but the reference locale is ${referenceLanguage}`
+      );
+      return;
+    }
+    if (!trgLang || !translationFilePaths[trgLang]) {
+      vscode.window.showErrorMessage(
+        `No translation file found for the target locale ${trgLang}`
+      );
+      return;
+    }
+
+    // Translations of known keys that are valid messages and differ from the file
+    const imported = [];
+    const skipped = [];
+    for (const unit of xliff.units) {
+      if (unit.target === null) continue;
+
+      const reference = getNestedProperty(
+        translations[referenceLanguage],
+        unit.key
+      );
+      if (typeof reference !== "string") {
+        skipped.push(`${unit.key} (unknown key)`);
+      } else if (parseMessage(unit.target).error) {
+        skipped.push(`${unit.key} (invalid message)`);
+      } else if (
+        getNestedProperty(translations[trgLang], unit.key) !== unit.target
+      ) {
+        // The exported source differs from the reference message when plural
+        // categories were added for the target locale
+        const source =
+          unit.source === getExportedSource(reference, trgLang)
+            ? reference
+            : unit.source;
+        imported.push({ ...unit, source });
+      }
+    }
+
+    const skippedNote =
+      skipped.length > 0 ? ` Skipped: ${skipped.join(", ")}.` : "";
+
+    if (imported.length === 0) {
+      vscode.window.showInformationMessage(
+        `No new translations for ${trgLang} in the XLIFF file.${skippedNote}`
+      );
+      return;
+    }
+
+    const filePath = translationFilePaths[trgLang];
+    const fileName = path.basename(filePath);
+    const preview = JSON.parse(JSON.stringify(translations[trgLang]));
+    for (const { key, target } of imported) {
+      setNestedProperty(preview, key, target);
+    }
+    const previewUris = await showImportPreview(filePath, preview);
+
+    const choice = await vscode.window.showInformationMessage(
+      `Import ${imported.length} translations into ${fileName}?${skippedNote}`,
+      "Import",
+      "Cancel"
+    );
+    for (const uri of previewUris) {
+      previewContents.delete(uri.toString());
+    }
+
+    if (choice !== "Import") {
+      return;
+    }
+
+    await updateTranslationFile(filePath, (content) => {
+      for (const { key, target } of imported) {
+        setNestedProperty(content, key, target);
+      }
+      return true;
+    });
+    await recordExchangedSources(
+      trgLang,
+      Object.fromEntries(imported.map(({ key, source }) => [key, source]))
+    );
+
+    vscode.window.showInformationMessage(
+      `Imported ${imported.length} translations into ${fileName}`
+    );
+  } catch (error) {
+    vscode.window.showErrorMessage(`Error: ${error.message}`);
+  }
+}
+
+/**
+ * Register the XLIFF export and import commands
+ * @param {vscode.ExtensionContext} context - The extension context
+ */
+function registerXliffCommands(context) {
+  const exportCommand = vscode.commands.registerCommand(
+    "nextIntlHelper.exportXliff",
+    exportXliff
+  );
+
+  const importCommand = vscode.commands.registerCommand(
+    "nextIntlHelper.importXliff",
+    importXliff
+  );
+
+  const previewRegistration =
+    vscode.workspace.registerTextDocumentContentProvider(
+      PREVIEW_SCHEME,
+      previewProvider
+    );
+
+  context.subscriptions.push(exportCommand, importCommand, previewRegistration);
+}
+
+module.exports = {
+  registerXliffCommands,
+};